@@ -1,213 +1,184 @@
-import OpenAI from "openai";
 import { NextResponse } from "next/server";
-import { rateLimit, getClientIp, validateDocsUrl } from "@/app/lib/limiter";
+import { rateLimit, rateLimitHeaders, getRateLimitKey } from "@/app/lib/limiter";
+import { validateDocsUrl } from "@/app/lib/docsUrl";
+import { saveQuestionSet, toPublicQuestion } from "@/app/lib/problemStore";
+import { loadDocsContent } from "@/app/lib/docsContent";
+import { buildQuestionPrompt, buildRepairPrompt, resolveSourceSection } from "@/app/lib/questionPrompt";
+import { verifyQuestions } from "@/app/lib/verifyQuestions";
+import { validateQuestion, validateQuestionSet } from "@/app/lib/questionSchema";
+import { getGenerationProvider } from "@/app/lib/llm";
+import { parseGenerationOptions, mixReport } from "@/app/lib/generationOptions";
+import { resolveLimits } from "@/app/lib/limits";
+import {
+  hasVirtualClock,
+  isTypedLanguage,
+  normalizeLanguage,
+  starterMatchesLanguage,
+  starterTemplate,
+} from "@/app/lib/languages";
+
+/**
+ * Asks the model for a JSON object. Returns { ok: true, value } or { ok: false, error }.
+ */
+async function completeJson(prompt, maxTokens) {
+  const raw = await getGenerationProvider().complete({
+    system: "You are a helpful coding mentor that ONLY returns valid JSON following the user's schema.",
+    prompt,
+    maxTokens,
+  });
+
+  if (!raw) return { ok: false, error: "No content returned from model" };
 
-const client = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-function normalizeLanguage(lang) {
-  const l = (lang || "").toLowerCase();
-  if (l === "python") return "python";
-  if (l === "typescript") return "typescript";
-  return "javascript";
-}
-
-function starterTemplate(lang) {
-  if (lang === "python") {
-    return `def solve(input):
-    """
-    input: parsed JSON value (number/string/list/dict/etc)
-    return: value that matches expectedOutput
-    """
-    # TODO: implement
-    return None
-`;
-  }
-  if (lang === "typescript") {
-    return `export function solve(input: unknown): unknown {
-  // input: parsed JSON value
-  // return: value that matches expectedOutput
-  return null;
-}
-`;
+  try {
+    // Non-JSON-mode servers sometimes wrap the object in a ```json fence.
+    const text = raw.trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/, "$1");
+    return { ok: true, value: JSON.parse(text) };
+  } catch (e) {
+    console.error("Invalid JSON from model:", e, raw);
+    return { ok: false, error: "Model returned invalid JSON" };
   }
-  return `export function solve(input) {
-  // input: parsed JSON value
-  // return: value that matches expectedOutput
-  return null;
-}
-`;
-}
-
-function starterLooksOk(starterCode, lang) {
-  const sc = String(starterCode || "");
-  const looksPy = sc.includes("def solve");
-  const looksJS =
-    sc.includes("export function solve") || sc.includes("function solve");
-  return lang === "python" ? looksPy : looksJS;
 }
 
 export async function POST(req) {
   try {
-    // Rate limit: 10 requests per 5 minutes per IP
-    const ip = getClientIp(req);
-    const rl = rateLimit({
-      key: `gen:${ip}`,
+    // Rate limit: 10 requests per 5 minutes per user (or IP)
+    const rl = await rateLimit({
+      key: `gen:${getRateLimitKey(req)}`,
       limit: 10,
       windowMs: 5 * 60 * 1000,
     });
+    const headers = rateLimitHeaders(rl);
     if (!rl.allowed) {
       return NextResponse.json(
         { error: "Too many generate requests. Try again later." },
-        {
-          status: 429,
-          headers: {
-            "Retry-After": String(
-              Math.ceil((rl.resetAt - Date.now()) / 1000)
-            ),
-          },
-        }
+        { status: 429, headers }
       );
     }
 
     const body = await req.json();
-    const { docsUrl, language } = body;
+    const { docsUrl, language, count, difficultyMix, focus } = body;
 
-    const v = validateDocsUrl(docsUrl);
+    const v = await validateDocsUrl(docsUrl);
     if (!v.ok) {
-      return NextResponse.json({ error: v.error }, { status: 400 });
+      return NextResponse.json({ error: v.error }, { status: 400, headers });
+    }
+
+    const opts = parseGenerationOptions({ count, difficultyMix, focus });
+    if (!opts.ok) {
+      return NextResponse.json({ error: opts.error }, { status: 400, headers });
     }
+    const options = opts.value;
+    // ~700 output tokens per question (statement, tests, starter + reference code)
+    const maxTokens = 1000 + options.count * 700;
 
     const lang = normalizeLanguage(language);
 
-    const prompt = `
-You are CodingSim, an assistant that creates practical coding assessment questions
-based on framework documentation.
-
-Documentation URL:
-${v.value}
-
-Selected language (MUST follow): ${lang}
-
-Task:
-- Create EXACTLY 5 different LeetCode-style exercises based on the docs page topic.
-- Each exercise MUST be meaningfully different (different concept/angle/edge cases).
-- Each exercise MUST be solved by implementing a function named exactly: solve(input)
-
-EXECUTION MODEL:
-- Runner calls solve(input) where input = JSON.parse(testCase.input)
-- The return value is printed (as JSON for arrays/objects) and compared to expectedOutput.
-
-STARTER CODE RULES:
-- starterCode MUST be in ${lang} ONLY.
-- If ${lang} is python: def solve(input):
-- If ${lang} is javascript/typescript: export function solve(input) { ... }
-- Do NOT use any other function name.
-
-TEST RULES:
-- Provide 2–3 visible testCases (shown to user).
-- Provide 3–5 hiddenTestCases (NOT shown to user).
-- Hidden tests must include at least 2 edge cases that prevent trivial hardcoding.
-- Every testCase.input MUST be VALID JSON (as a string).
-- expectedOutput MUST be a plain string representing the final return value.
-- Keep outputs simple (number/string/boolean/null/string/array/object) when possible.
-
-Return ONLY valid JSON EXACTLY with this schema:
-
-{
-  "questions": [
-    {
-      "title": "short title",
-      "concept": "1–2 sentence explanation",
-      "question": "full question text",
-      "functionName": "solve",
-      "starterCode": "starter code for solve(input) in ${lang}",
-      "instructions": "what the user must do",
-      "hints": ["hint 1", "hint 2"],
-      "difficulty": "beginner | intermediate | advanced",
-      "testCases": [
-        {
-          "name": "Case 1",
-          "input": "VALID JSON string",
-          "expectedOutput": "string",
-          "explanation": "1–2 sentences"
-        }
-      ],
-      "hiddenTestCases": [
-        {
-          "name": "Hidden 1",
-          "input": "VALID JSON string",
-          "expectedOutput": "string",
-          "explanation": "short explanation"
-        }
-      ]
+    // Ground the prompt in the page itself; fall back to URL-only if it can't be fetched.
+    let docs = null;
+    try {
+      docs = await loadDocsContent(v.value);
+      if (docs.sections.length === 0) docs = null;
+    } catch (e) {
+      console.warn("Could not fetch docs page, generating from URL only:", e?.message || e);
     }
-  ]
-}
 
-Formatting:
-- Return ONLY the JSON object. No extra text.
-- Use \\n inside strings, not raw line breaks.
-`.trim();
-
-    const completion = await client.chat.completions.create({
-      model: "gpt-4.1-mini",
-      response_format: { type: "json_object" },
-      messages: [
-        {
-          role: "system",
-          content:
-            "You are a helpful coding mentor that ONLY returns valid JSON following the user's schema.",
-        },
-        { role: "user", content: prompt },
-      ],
-      max_completion_tokens: 2800,
-    });
+    const prompt = buildQuestionPrompt({ lang, docsUrl: v.value, docs, options });
 
-    const raw = completion.choices[0]?.message?.content;
-    if (!raw) {
-      return NextResponse.json(
-        { error: "No content returned from model" },
-        { status: 500 }
-      );
+    const first = await completeJson(prompt, maxTokens);
+    if (!first.ok) {
+      return NextResponse.json({ error: first.error }, { status: 500, headers });
     }
 
-    let payload;
-    try {
-      payload = JSON.parse(raw);
-    } catch (e) {
-      console.error("Invalid JSON from model:", e, raw);
-      return NextResponse.json(
-        { error: "Model returned invalid JSON" },
-        { status: 500 }
-      );
+    // Java, C++, Go and Rust can only run a question that declares its input/return types
+    const schemaOptions = { requireTypes: isTypedLanguage(lang), allowVirtualClock: hasVirtualClock(lang) };
+    const checked = validateQuestionSet(first.value, options.count, schemaOptions);
+    if (checked.error) {
+      return NextResponse.json({ error: checked.error }, { status: 500, headers });
+    }
+
+    // One repair round-trip for questions that fail the schema; whatever is still broken is rejected.
+    const accepted = [...checked.valid];
+    const rejected = [];
+    if (checked.invalid.length > 0) {
+      const repairPrompt = buildRepairPrompt({ lang, invalid: checked.invalid });
+      const repair = await completeJson(repairPrompt, maxTokens).catch((e) => ({
+        ok: false,
+        error: String(e?.message || e),
+      }));
+      const repaired = repair.ok && Array.isArray(repair.value?.questions) ? repair.value.questions : [];
+      if (!repair.ok) console.warn("Repair request failed:", repair.error);
+
+      checked.invalid.forEach((item, k) => {
+        const fixed = repaired[k];
+        const errors = fixed === undefined ? item.errors : validateQuestion(fixed, schemaOptions);
+        if (errors.length === 0) {
+          accepted.push({ index: item.index, question: fixed });
+        } else {
+          const title = fixed?.title || item.question?.title;
+          rejected.push({
+            index: item.index,
+            title: typeof title === "string" && title ? title : `Question ${item.index + 1}`,
+            errors,
+          });
+        }
+      });
+      accepted.sort((a, b) => a.index - b.index);
     }
 
-    if (!payload.questions || !Array.isArray(payload.questions)) {
+    if (accepted.length === 0) {
       return NextResponse.json(
-        { error: "Model response missing 'questions' array" },
-        { status: 500 }
+        { error: "Model returned no valid questions. Please try again.", rejected },
+        { status: 502, headers }
       );
     }
 
-    payload.questions = payload.questions.slice(0, 5).map((q) => {
-      const qq = q || {};
-      qq.functionName = "solve";
+    const questions = accepted.map(({ question: q }) => {
+      const qq = { ...q };
+      // signature questions are called by their own name, design questions by their class;
+      // the rest by solve(input)
+      qq.functionName = qq.design ? qq.design.className : qq.signature ? qq.signature.name : "solve";
+      qq.sourceSection = resolveSourceSection(docs, qq.sourceSection);
 
-      if (!starterLooksOk(qq.starterCode, lang))
-        qq.starterCode = starterTemplate(lang);
-      if (!Array.isArray(qq.testCases)) qq.testCases = [];
-      if (!Array.isArray(qq.hiddenTestCases)) qq.hiddenTestCases = [];
+      if (!starterMatchesLanguage(qq.starterCode, lang, qq))
+        qq.starterCode = starterTemplate(lang, qq);
 
       // cap sizes to protect runner
       qq.testCases = qq.testCases.slice(0, 3);
       qq.hiddenTestCases = qq.hiddenTestCases.slice(0, 6);
 
+      // explicit limits (difficulty defaults when the model left them out) so the client can show them
+      Object.assign(qq, resolveLimits(qq));
+
       return qq;
     });
 
-    return NextResponse.json(payload, { status: 200 });
+    // Drop test cases the model's own reference solution disagrees with.
+    const verified = await verifyQuestions(questions, lang);
+    if (verified.questions.length === 0) {
+      return NextResponse.json(
+        { error: "Generated questions failed verification. Please try again.", rejected },
+        { status: 502, headers }
+      );
+    }
+
+    // Hidden cases + reference solutions stay on the server; the client only gets ids + visible cases.
+    const { setId, questions: stored } = saveQuestionSet({
+      language: lang,
+      docsUrl: v.value,
+      questions: verified.questions,
+    });
+
+    return NextResponse.json(
+      {
+        setId,
+        questions: stored.map(toPublicQuestion),
+        grounding: { grounded: Boolean(docs), title: docs?.title || "", truncated: Boolean(docs?.truncated) },
+        verification: verified.report,
+        rejected,
+        mix: mixReport(options, verified.questions),
+      },
+      { status: 200, headers }
+    );
   } catch (err) {
     console.error("Error in /api/generate-questions:", err);
     return NextResponse.json(
@@ -0,0 +1,83 @@
+import { NextResponse } from "next/server";
+import { rateLimit, rateLimitHeaders, getRateLimitKey } from "@/app/lib/limiter";
+import { prepareRun } from "@/app/lib/runRequest";
+import { runCases } from "@/app/lib/runCases";
+import { formatSseEvent } from "@/app/lib/sse";
+
+export const dynamic = "force-dynamic";
+
+/**
+ * Same request as /api/run, but answers with Server-Sent Events:
+ *   start { mode, total } -> case { index, result } (one per case, as it finishes)
+ *   -> done { mode, passedCount, total, ... } | error { error }
+ */
+export async function POST(req) {
+  try {
+    // Shares the /api/run budget: 30 runs per 5 minutes per user (or IP)
+    const rl = await rateLimit({ key: `run:${getRateLimitKey(req)}`, limit: 30, windowMs: 5 * 60 * 1000 });
+    const headers = rateLimitHeaders(rl);
+    if (!rl.allowed) {
+      return NextResponse.json({ error: "Too many run requests. Try again later." }, { status: 429, headers });
+    }
+
+    const body = await req.json();
+    const run = prepareRun(body);
+    if (!run.ok) {
+      return NextResponse.json({ error: run.error }, { status: run.status, headers });
+    }
+
+    if (run.mode === "performance") {
+      return NextResponse.json({ error: "Performance runs are not streamed; use /api/run." }, { status: 400, headers });
+    }
+
+    const { mode, language, code, functionName, signature, design, virtualClock, cases } = run;
+    const encoder = new TextEncoder();
+
+    const stream = new ReadableStream({
+      async start(controller) {
+        const send = (event, data) => {
+          try {
+            controller.enqueue(encoder.encode(formatSseEvent(event, data)));
+          } catch {
+            // client went away; keep running so the result is still computed once
+          }
+        };
+
+        send("start", { mode, total: cases.length });
+        try {
+          const summary = await runCases({
+            language,
+            code,
+            functionName,
+            signature,
+            design,
+            virtualClock,
+            cases,
+            limits: run.limits,
+            onResult: (index, result) => send("case", { index, result }),
+          });
+          send("done", { mode, ...summary });
+        } catch (err) {
+          console.error("Error in /api/run/stream:", err);
+          send("error", { error: "Server error running code" });
+        }
+        try {
+          controller.close();
+        } catch {}
+      },
+    });
+
+    return new Response(stream, {
+      status: 200,
+      headers: {
+        ...headers,
+        "Content-Type": "text/event-stream; charset=utf-8",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+      },
+    });
+  } catch (err) {
+    console.error("Error in /api/run/stream:", err);
+    return NextResponse.json({ error: "Server error running code" }, { status: 500 });
+  }
+}
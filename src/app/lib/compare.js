@@ -0,0 +1,187 @@
+// app/lib/compare.js
+
+/**
+ * How a test case's expected output is compared with what the solution returned:
+ *   exact      trimmed text must match character for character
+ *   json       deep equality of the values (object key order ignored) — the default
+ *   float      like json, but numbers match within an absolute/relative tolerance
+ *   unordered  top-level array compared as a multiset (order and duplicates-by-count)
+ *   text       case-insensitive, whitespace-collapsed string comparison
+ */
+export const COMPARATORS = ["exact", "json", "float", "unordered", "text"];
+export const DEFAULT_COMPARATOR = "json";
+
+const DEFAULT_ABS_TOL = 1e-6;
+const DEFAULT_REL_TOL = 1e-9;
+const MAX_REASON_VALUE_CHARS = 60;
+
+/**
+ * Accepts "float" or { type: "float", abs, rel }. Returns the normalized comparator
+ * ({ type, abs?, rel? }) or null when the spec is invalid.
+ */
+export function parseComparator(spec) {
+  if (spec === undefined || spec === null) return { type: DEFAULT_COMPARATOR };
+  const raw = typeof spec === "string" ? { type: spec } : spec;
+  if (typeof raw !== "object" || Array.isArray(raw) || !COMPARATORS.includes(raw.type)) return null;
+
+  if (raw.type !== "float") return { type: raw.type };
+
+  const abs = raw.abs === undefined ? DEFAULT_ABS_TOL : Number(raw.abs);
+  const rel = raw.rel === undefined ? DEFAULT_REL_TOL : Number(raw.rel);
+  if (!Number.isFinite(abs) || abs < 0 || !Number.isFinite(rel) || rel < 0) return null;
+  return { type: "float", abs, rel };
+}
+
+/**
+ * Expected outputs are written as JSON ("[1,2]", "\"text\"", "3.5"); anything that
+ * doesn't parse is taken as a plain string, which is how printed strings look.
+ */
+export function parseLoose(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+function preview(v) {
+  let s;
+  try {
+    s = JSON.stringify(v);
+  } catch {
+    s = String(v);
+  }
+  if (s === undefined) s = String(v);
+  return s.length > MAX_REASON_VALUE_CHARS ? s.slice(0, MAX_REASON_VALUE_CHARS) + "…" : s;
+}
+
+export function kindOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  return typeof v;
+}
+
+// "$.a[2]" style path to a child value
+export function childPath(path, key) {
+  if (typeof key === "number") return `${path}[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * First difference between two JSON values, as a human-readable reason (null when equal).
+ * `numbersEqual` decides number equality so the float comparator can plug in a tolerance.
+ */
+function firstDifference(expected, actual, numbersEqual, path = "$") {
+  const ek = kindOf(expected);
+  const ak = kindOf(actual);
+  if (ek !== ak) {
+    return `${path}: expected ${ek} ${preview(expected)}, got ${ak} ${preview(actual)}`;
+  }
+
+  if (ek === "number") {
+    return numbersEqual(expected, actual) ? null : `${path}: expected ${expected}, got ${actual}`;
+  }
+
+  if (ek === "array") {
+    const n = Math.min(expected.length, actual.length);
+    for (let i = 0; i < n; i++) {
+      const d = firstDifference(expected[i], actual[i], numbersEqual, childPath(path, i));
+      if (d) return d;
+    }
+    if (expected.length !== actual.length) {
+      return `${path}: expected ${expected.length} item(s), got ${actual.length}`;
+    }
+    return null;
+  }
+
+  if (ek === "object") {
+    for (const key of Object.keys(expected)) {
+      if (!Object.prototype.hasOwnProperty.call(actual, key)) return `${childPath(path, key)}: missing`;
+      const d = firstDifference(expected[key], actual[key], numbersEqual, childPath(path, key));
+      if (d) return d;
+    }
+    const extra = Object.keys(actual).find((key) => !Object.prototype.hasOwnProperty.call(expected, key));
+    return extra === undefined ? null : `${childPath(path, extra)}: unexpected key`;
+  }
+
+  return expected === actual ? null : `${path}: expected ${preview(expected)}, got ${preview(actual)}`;
+}
+
+// Canonical JSON (sorted keys) so equal values hash the same for multiset counting.
+export function canonical(v) {
+  if (Array.isArray(v)) return `[${v.map(canonical).join(",")}]`;
+  if (v && typeof v === "object") {
+    return `{${Object.keys(v)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonical(v[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(v);
+}
+
+function compareUnordered(expected, actual) {
+  if (!Array.isArray(expected) || !Array.isArray(actual)) {
+    return firstDifference(expected, actual, (x, y) => x === y);
+  }
+
+  const counts = new Map();
+  for (const v of expected) counts.set(canonical(v), (counts.get(canonical(v)) || 0) + 1);
+  const unexpected = [];
+  for (const v of actual) {
+    const key = canonical(v);
+    if (counts.get(key)) counts.set(key, counts.get(key) - 1);
+    else unexpected.push(v);
+  }
+  const missing = [...counts].flatMap(([key, n]) => Array(n).fill(key));
+
+  if (missing.length === 0 && unexpected.length === 0) return null;
+  const parts = [];
+  if (missing.length) parts.push(`missing ${preview(missing.map((k) => JSON.parse(k)))}`);
+  if (unexpected.length) parts.push(`unexpected ${preview(unexpected)}`);
+  return `$ (any order): ${parts.join(", ")}`;
+}
+
+function firstCharDifference(expected, actual) {
+  let i = 0;
+  while (i < expected.length && i < actual.length && expected[i] === actual[i]) i++;
+  if (i === expected.length && i === actual.length) return null;
+  if (i === actual.length) return `output ends early at character ${i + 1} (expected ${expected.length} chars)`;
+  if (i === expected.length) return `output has ${actual.length - expected.length} extra character(s) after ${i}`;
+  return `character ${i + 1}: expected ${JSON.stringify(expected[i])}, got ${JSON.stringify(actual[i])}`;
+}
+
+/**
+ * Compares one case. `actualText` is the printed output; `actualJson` (when the harness
+ * could serialize the return value) keeps its type, so "[1,2]" the string and [1,2] the
+ * array are told apart. Returns { equal, reason } — reason explains a mismatch.
+ */
+export function compareOutput({ expected, actualText, actualJson }, comparatorSpec) {
+  const comparator = parseComparator(comparatorSpec) || { type: DEFAULT_COMPARATOR };
+  const expectedText = String(expected ?? "").trim();
+  const text = String(actualText ?? "").trim();
+
+  let reason;
+  if (comparator.type === "exact") {
+    reason = firstCharDifference(expectedText, text);
+  } else if (comparator.type === "text") {
+    const norm = (s) => s.replace(/\s+/g, " ").trim().toLowerCase();
+    reason = firstCharDifference(norm(expectedText), norm(text));
+    if (reason) reason = `${reason} (ignoring case and whitespace)`;
+  } else {
+    const e = parseLoose(expectedText);
+    const a = actualJson !== undefined && actualJson !== null ? parseLoose(actualJson) : parseLoose(text);
+
+    if (comparator.type === "unordered") {
+      reason = compareUnordered(e, a);
+    } else if (comparator.type === "float") {
+      const { abs, rel } = comparator;
+      const close = (x, y) => Math.abs(x - y) <= Math.max(abs, rel * Math.max(Math.abs(x), Math.abs(y)));
+      reason = firstDifference(e, a, close);
+      if (reason) reason = `${reason} (tolerance abs=${abs}, rel=${rel})`;
+    } else {
+      reason = firstDifference(e, a, (x, y) => x === y);
+    }
+  }
+
+  return { equal: !reason, reason: reason || null };
+}
@@ -0,0 +1,173 @@
+// app/lib/design.js
+import { formatType, parseType, valueMatchesType } from "@/app/lib/valueTypes";
+import { checkName, checkParams } from "@/app/lib/signature";
+
+/**
+ * Design questions (LeetCode "design" style): the user implements a class, and each case
+ * constructs it and applies a sequence of method calls, checking the result of every call.
+ *   design: {
+ *     className: "LRUCache",
+ *     constructorParams: [{ name: "capacity", type: "int" }],
+ *     methods: [
+ *       { name: "get", params: [{ name: "key", type: "int" }], returnType: "int" },
+ *       { name: "put", params: [{ name: "key", type: "int" }, { name: "value", type: "int" }], returnType: "void" }
+ *     ]
+ *   }
+ * A case input is [operations, arguments]: the first operation is the class name (the
+ * constructor), every later one a method name, with one argument list per operation:
+ *   [["LRUCache", "put", "get"], [[2], [1, 1], [1]]]
+ * expectedOutput holds one result per operation, null for the constructor and void methods:
+ *   [null, null, 1]
+ */
+export const MAX_METHODS = 8;
+export const MAX_OPERATIONS = 200;
+export const VOID = "void";
+
+// Comparators that judge the results array step by step (the others would compare it as a whole).
+export const DESIGN_COMPARATORS = ["json", "float"];
+
+function isObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+/**
+ * Field-level errors ({ path, message }) for a question's `design`; empty means valid.
+ */
+export function validateDesign(design, path = "design") {
+  if (!isObject(design)) return [{ path, message: "must be an object { className, constructorParams, methods }" }];
+  const errors = [];
+  checkName(design.className, `${path}.className`, errors);
+  checkParams(design.constructorParams ?? [], `${path}.constructorParams`, errors, 0);
+
+  if (!Array.isArray(design.methods) || design.methods.length === 0 || design.methods.length > MAX_METHODS) {
+    errors.push({ path: `${path}.methods`, message: `must be an array of 1–${MAX_METHODS} { name, params, returnType } objects` });
+    return errors;
+  }
+  const seen = new Set();
+  design.methods.forEach((m, i) => {
+    const at = `${path}.methods[${i}]`;
+    if (!isObject(m)) {
+      errors.push({ path: at, message: "must be an object { name, params, returnType }" });
+      return;
+    }
+    checkName(m.name, `${at}.name`, errors);
+    if (m.name === "constructor" || m.name === design.className) {
+      errors.push({ path: `${at}.name`, message: "is taken by the constructor" });
+    }
+    if (seen.has(m.name)) errors.push({ path: `${at}.name`, message: "is used by another method" });
+    seen.add(m.name);
+    checkParams(m.params ?? [], `${at}.params`, errors, 0);
+    if (m.returnType !== VOID && !parseType(m.returnType)) {
+      errors.push({ path: `${at}.returnType`, message: `must be "${VOID}" or a type like int, string[] or map<string,int>` });
+    }
+  });
+  return errors;
+}
+
+/**
+ * A question's design with parsed types (a void method's returnType is null), or null when
+ * the question has no valid design.
+ */
+export function resolveDesign(question) {
+  const design = question?.design;
+  if (design === undefined || design === null || validateDesign(design).length > 0) return null;
+  const params = (list) => (list ?? []).map((p) => ({ name: p.name, type: parseType(p.type) }));
+  return {
+    className: design.className,
+    constructorParams: params(design.constructorParams),
+    methods: design.methods.map((m) => ({
+      name: m.name,
+      params: params(m.params),
+      returnType: m.returnType === VOID ? null : parseType(m.returnType),
+    })),
+  };
+}
+
+/**
+ * "put(key: int, value: int): void" for a resolved method.
+ */
+export function formatMethod(method) {
+  const params = method.params.map((p) => `${p.name}: ${formatType(p.type)}`).join(", ");
+  return `${method.name}(${params}): ${method.returnType ? formatType(method.returnType) : VOID}`;
+}
+
+/**
+ * A case input as its operations: [{ name, args }], the constructor first.
+ * null when it isn't [operations, arguments] with one argument array per operation.
+ */
+export function splitOperations(input) {
+  let value;
+  try {
+    value = JSON.parse(input);
+  } catch {
+    return null;
+  }
+  if (!Array.isArray(value) || value.length !== 2) return null;
+  const [names, args] = value;
+  if (!Array.isArray(names) || !Array.isArray(args) || names.length === 0 || names.length !== args.length) return null;
+  if (!names.every((n) => typeof n === "string") || !args.every(Array.isArray)) return null;
+  return names.map((name, k) => ({ name, args: args[k] }));
+}
+
+/**
+ * "put(1, 1)" for one operation.
+ */
+export function formatOperation(op) {
+  return `${op.name}(${op.args.map((a) => JSON.stringify(a)).join(", ")})`;
+}
+
+// the resolved method (or constructor, as a method without a result) an operation calls
+function target(design, op, k) {
+  if (k === 0) return op.name === design.className ? { name: op.name, params: design.constructorParams, returnType: null } : null;
+  return design.methods.find((m) => m.name === op.name) || null;
+}
+
+/**
+ * Why a case input doesn't fit the design (resolved), or null when it does: the constructor
+ * comes first, every later operation names a method, and every argument matches its type.
+ */
+export function operationsError(input, design) {
+  const ops = splitOperations(input);
+  if (!ops) return "must be [operations, arguments]: two JSON arrays of the same length, one argument array per operation";
+  if (ops.length > MAX_OPERATIONS) return `must have at most ${MAX_OPERATIONS} operations`;
+  if (ops[0].name !== design.className) return `must start with the constructor, "${design.className}"`;
+  for (let k = 0; k < ops.length; k++) {
+    const { name, args } = ops[k];
+    const method = target(design, ops[k], k);
+    if (!method) return `operations[${k}] ("${name}") is not a method of ${design.className}`;
+    if (args.length !== method.params.length) {
+      return `operations[${k}] (${name}) takes ${method.params.length} argument(s), got ${args.length}`;
+    }
+    const bad = method.params.find((p, j) => !valueMatchesType(args[j], p.type));
+    if (bad) return `operations[${k}] (${name}): argument ${bad.name} does not match ${formatType(bad.type)}`;
+  }
+  return null;
+}
+
+/**
+ * Why an expectedOutput doesn't fit a (valid) case input, or null: one result per operation,
+ * null for the constructor and void methods, otherwise of the method's return type.
+ */
+export function resultsError(expectedOutput, input, design) {
+  const ops = splitOperations(input) || [];
+  let value;
+  try {
+    value = JSON.parse(expectedOutput);
+  } catch {
+    value = undefined;
+  }
+  if (!Array.isArray(value) || value.length !== ops.length) {
+    return `must be a JSON array with one result per operation (${ops.length})`;
+  }
+  for (let k = 0; k < ops.length; k++) {
+    const method = target(design, ops[k], k);
+    if (!method) continue;
+    if (!method.returnType && value[k] !== null) {
+      return k === 0 ? "must start with null (the constructor's result)" : `[${k}] must be null: ${method.name} returns ${VOID}`;
+    }
+    if (method.returnType && !valueMatchesType(value[k], method.returnType)) {
+      return `[${k}] does not match ${formatType(method.returnType)}, what ${method.name} returns`;
+    }
+  }
+  return null;
+}
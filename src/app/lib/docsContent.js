@@ -0,0 +1,260 @@
+// app/lib/docsContent.js
+import { fetchDocsPage } from "@/app/lib/docsUrl";
+
+const MAX_HTML_CHARS = 2_000_000;
+const DEFAULT_TOKEN_BUDGET = 3_000;
+const CHARS_PER_TOKEN = 4; // rough estimate, good enough for budgeting prompt size
+const MAX_CODE_CHARS = 1_200;
+
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  ndash: "–",
+  mdash: "—",
+  hellip: "…",
+  rsquo: "’",
+  lsquo: "‘",
+  rdquo: "”",
+  ldquo: "“",
+  copy: "©",
+};
+
+// Lines that show up on almost every docs site and say nothing about the topic.
+const BOILERPLATE_LINE =
+  /^(edit this page|on this page|table of contents|skip to (main )?content|was this (page )?helpful\??|previous|next|copyright\b|©|\[?edit\]?$|share$|feedback$)/i;
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === "#") {
+      const code = e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+    }
+    return ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+// Every pattern here stops at the next "<" or ">", and elements are paired in one pass over
+// the tags (see elementSpans): the page is user-chosen, and a lazy `<x>[\s\S]*?</x>` regex
+// rescans to the end of the input for every unclosed <x>.
+function stripTags(html) {
+  return decodeEntities(html.replace(/<[^<>]*>/g, ""));
+}
+
+function removeComments(html) {
+  let out = "";
+  let from = 0;
+  for (;;) {
+    const open = html.indexOf("<!--", from);
+    if (open === -1) return out + html.slice(from);
+    out += html.slice(from, open) + " ";
+    const close = html.indexOf("-->", open + 4);
+    // an unterminated comment runs to the end of the page, as in a browser
+    if (close === -1) return out;
+    from = close + 3;
+  }
+}
+
+/**
+ * Elements named in `names`, outermost first, as { name, start, end, innerStart, innerEnd }
+ * offsets into `html`. Opening tags are matched to closing ones with a stack per name;
+ * unclosed ones are left alone.
+ */
+function elementSpans(html, names) {
+  const wanted = new Set(names);
+  const open = new Map(names.map((n) => [n, []]));
+  const spans = [];
+  for (const m of html.matchAll(/<(\/?)([a-z][a-z0-9-]*)\b[^<>]*>/gi)) {
+    const name = m[2].toLowerCase();
+    if (!wanted.has(name)) continue;
+    const tag = { start: m.index, end: m.index + m[0].length };
+    if (!m[1]) open.get(name).push(tag);
+    else if (open.get(name).length > 0) {
+      const o = open.get(name).pop();
+      spans.push({ name, start: o.start, innerStart: o.end, innerEnd: tag.start, end: tag.end });
+    }
+  }
+  spans.sort((a, b) => a.start - b.start);
+  // drop spans inside (or overlapping) an earlier one
+  const outer = [];
+  for (const span of spans) {
+    if (outer.length === 0 || span.start >= outer[outer.length - 1].end) outer.push(span);
+  }
+  return outer;
+}
+
+// Replaces each outermost element named in `names` by replace(span, inner html).
+function replaceElements(html, names, replace) {
+  let out = "";
+  let from = 0;
+  for (const span of elementSpans(html, names)) {
+    out += html.slice(from, span.start) + replace(span, html.slice(span.innerStart, span.innerEnd));
+    from = span.end;
+  }
+  return out + html.slice(from);
+}
+
+function removeElements(html, tags) {
+  return replaceElements(html, tags, () => " ");
+}
+
+// Elements that are page chrome wherever they appear.
+const CHROME_TAGS = ["nav", "footer", "aside", "form", "button"];
+
+/**
+ * The page's main content and whether a main landmark (<main>, <article>, role="main") was
+ * found. Inside one, <header> belongs to the article (MDN puts the <h1> there) and is kept;
+ * without one, it's the site header.
+ */
+function pickMainRegion(html) {
+  const long = (inner) => stripTags(inner).trim().length > 200;
+  for (const name of ["main", "article"]) {
+    const [span] = elementSpans(html, [name]);
+    const inner = span && html.slice(span.innerStart, span.innerEnd);
+    if (span && long(inner)) return { html: inner, landmark: true };
+  }
+  for (const m of html.matchAll(/<[a-z][a-z0-9-]*\b([^<>]*)>/gi)) {
+    if (!/\brole=["']main["']/i.test(m[1])) continue;
+    const rest = html.slice(m.index + m[0].length);
+    if (long(rest)) return { html: rest, landmark: true };
+    break;
+  }
+  const [body] = elementSpans(html, ["body"]);
+  const inner = body && html.slice(body.innerStart, body.innerEnd);
+  if (body && long(inner)) return { html: inner, landmark: false };
+  return { html, landmark: false };
+}
+
+function toText(html) {
+  const text = stripTags(
+    html
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<li\b[^<>]*>/gi, "\n- ")
+      .replace(/<\/(p|div|li|ul|ol|table|tr|h[1-6]|blockquote|section|dd|dt)>/gi, "\n")
+  );
+  return text
+    .split("\n")
+    .map((l) => l.replace(/\s+/g, " ").trim())
+    .filter((l) => l && !BOILERPLATE_LINE.test(l))
+    .join("\n");
+}
+
+/**
+ * Pulls the readable part of a docs page: title plus sections split on h1–h3,
+ * each with its prose and code samples. Navigation, scripts and page chrome are dropped.
+ */
+export function extractDocsContent(html) {
+  const source = String(html ?? "").slice(0, MAX_HTML_CHARS);
+  const [titleSpan] = elementSpans(source, ["title"]);
+  const title = titleSpan
+    ? stripTags(source.slice(titleSpan.innerStart, titleSpan.innerEnd)).replace(/\s+/g, " ").trim()
+    : "";
+
+  let body = removeComments(source);
+  body = removeElements(body, ["head", "script", "style", "noscript", "svg", "template", "iframe"]);
+  const main = pickMainRegion(body);
+  body = removeElements(main.html, main.landmark ? CHROME_TAGS : ["header", ...CHROME_TAGS]);
+
+  // Pull code samples out first so their whitespace survives text flattening.
+  const code = [];
+  body = replaceElements(body, ["pre"], (_, inner) => {
+    code.push(stripTags(inner.replace(/<br\s*\/?>/gi, "\n")).trim());
+    return `\n\uE000${code.length - 1}\uE000\n`;
+  });
+
+  const sections = [];
+  let current = { heading: title || "Introduction", html: "" };
+  body = replaceElements(body, ["h1", "h2", "h3"], (_, inner) => {
+    const heading = stripTags(inner).replace(/\s+/g, " ").trim();
+    return `\uE001${heading.replace(/\uE001/g, "")}\uE001`;
+  });
+  body.split(/\uE001([^\uE001]*)\uE001/).forEach((part, i) => {
+    // odd parts are headings (the split's capture group)
+    if (i % 2 === 0) {
+      current.html += part;
+    } else {
+      sections.push(current);
+      current = { heading: part, html: "" };
+    }
+  });
+  sections.push(current);
+
+  return {
+    title,
+    sections: sections
+      .map((s) => {
+        const codeSamples = [];
+        const text = toText(
+          s.html.replace(/\uE000(\d+)\uE000/g, (_, i) => {
+            if (code[i]) codeSamples.push(code[i]);
+            return "";
+          })
+        );
+        return { heading: s.heading, text, code: codeSamples };
+      })
+      .filter((s) => s.text || s.code.length > 0)
+      .map((s, i) => ({ id: `S${i + 1}`, ...s })),
+  };
+}
+
+/**
+ * Keeps whole sections in page order until the (approximate) token budget is spent;
+ * the section that crosses the budget is cut short.
+ */
+export function trimToTokenBudget(content, maxTokens = DEFAULT_TOKEN_BUDGET) {
+  let remaining = maxTokens * CHARS_PER_TOKEN;
+  const sections = [];
+  let truncated = false;
+
+  for (const s of content.sections) {
+    if (remaining <= 0) {
+      truncated = true;
+      break;
+    }
+    const code = [];
+    let text = s.text;
+    if (text.length > remaining) {
+      text = text.slice(0, remaining) + " …";
+      truncated = true;
+    }
+    remaining -= s.heading.length + text.length;
+
+    for (const sample of s.code) {
+      if (remaining <= 0) {
+        truncated = true;
+        break;
+      }
+      const c = sample.length > MAX_CODE_CHARS ? sample.slice(0, MAX_CODE_CHARS) + "\n// …" : sample;
+      code.push(c);
+      remaining -= c.length;
+    }
+    sections.push({ ...s, text, code });
+  }
+
+  return { ...content, sections, truncated };
+}
+
+/**
+ * Fetches a docs page (SSRF-guarded, see docsUrl.js) and returns its trimmed readable content.
+ * `fetcher` / `lookup` default to the guarded network path; pass stubs to work offline
+ * (e.g. saved HTML fixtures).
+ */
+export async function loadDocsContent(url, { fetcher, lookup, maxTokens = DEFAULT_TOKEN_BUDGET } = {}) {
+  const html = await fetchDocsPage(url, { fetcher, lookup });
+  return trimToTokenBudget(extractDocsContent(html), maxTokens);
+}
+
+/**
+ * Prompt-ready rendering: one block per section, tagged with its id ("[S2] Heading").
+ */
+export function formatDocsForPrompt(content) {
+  return content.sections
+    .map((s) => {
+      const code = s.code.map((c) => "```\n" + c + "\n```").join("\n");
+      return [`[${s.id}] ${s.heading}`, s.text, code].filter(Boolean).join("\n");
+    })
+    .join("\n\n");
+}
@@ -0,0 +1,238 @@
+// app/lib/docsUrl.js
+import dns from "node:dns";
+import http from "node:http";
+import https from "node:https";
+import { Readable } from "node:stream";
+import { ipInRanges, parseCidr, parseIp } from "@/app/lib/ip";
+
+const MAX_URL_CHARS = 600;
+const FETCH_TIMEOUT_MS = 8_000;
+const MAX_REDIRECTS = 5;
+const MAX_DOCS_BYTES = 2_000_000;
+const ALLOWED_CONTENT_TYPES = ["text/html", "application/xhtml+xml", "text/plain"];
+
+// Anything that isn't the public internet: loopback, RFC 1918, CGNAT, link-local
+// (incl. cloud metadata at 169.254.169.254), multicast, documentation and reserved ranges.
+// IPv4-mapped IPv6 ("::ffff:127.0.0.1") is parsed as IPv4 and checked against the IPv4 ranges;
+// the other IPv6 forms that carry an IPv4 address are refused whole.
+const BLOCKED_RANGES = [
+  "0.0.0.0/8",
+  "10.0.0.0/8",
+  "100.64.0.0/10",
+  "127.0.0.0/8",
+  "169.254.0.0/16",
+  "172.16.0.0/12",
+  "192.0.0.0/24",
+  "192.0.2.0/24",
+  "192.168.0.0/16",
+  "198.18.0.0/15",
+  "198.51.100.0/24",
+  "203.0.113.0/24",
+  "224.0.0.0/4",
+  "240.0.0.0/4",
+  "::/128",
+  "::1/128",
+  "::/96", // IPv4-compatible ("::127.0.0.1", deprecated)
+  "64:ff9b::/96", // NAT64 can wrap any IPv4, including private ones
+  "64:ff9b:1::/48", // local-use NAT64
+  "100::/64",
+  "2001::/32", // Teredo
+  "2001:db8::/32",
+  "2002::/16", // 6to4
+  "fc00::/7",
+  "fe80::/10",
+  "ff00::/8",
+].map(parseCidr);
+
+/**
+ * True for addresses that are routable on the public internet.
+ */
+export function isPublicAddress(address) {
+  const ip = parseIp(address);
+  return Boolean(ip) && !ipInRanges(ip, BLOCKED_RANGES);
+}
+
+/**
+ * DOCS_ALLOWED_DOMAINS="developer.mozilla.org,python.org" limits docs URLs to those
+ * hosts and their subdomains. Unset means any public host.
+ */
+function getAllowedDomains() {
+  return (process.env.DOCS_ALLOWED_DOMAINS || "")
+    .split(",")
+    .map((d) => d.trim().toLowerCase().replace(/^\*?\./, ""))
+    .filter(Boolean);
+}
+
+function hostAllowed(hostname, allowed) {
+  if (allowed.length === 0) return true;
+  return allowed.some((d) => hostname === d || hostname.endsWith(`.${d}`));
+}
+
+function lookupAll(hostname) {
+  return dns.promises.lookup(hostname, { all: true, verbatim: true });
+}
+
+/**
+ * Checks one URL (the submitted one or a redirect target): scheme, credentials,
+ * allowlist, and that every address the host resolves to is public.
+ */
+async function checkTarget(u, { lookup = lookupAll } = {}) {
+  if (!["http:", "https:"].includes(u.protocol)) {
+    return { ok: false, error: "docsUrl must start with http:// or https://" };
+  }
+  if (u.username || u.password) {
+    return { ok: false, error: "docsUrl must not contain credentials" };
+  }
+
+  const hostname = u.hostname.replace(/^\[|\]$/g, "").toLowerCase().replace(/\.$/, "");
+  if (!hostAllowed(hostname, getAllowedDomains())) {
+    return { ok: false, error: `docsUrl host ${hostname} is not an allowed documentation domain` };
+  }
+
+  let addresses;
+  if (parseIp(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = (await lookup(hostname)).map((a) => a.address);
+    } catch {
+      return { ok: false, error: `docsUrl host ${hostname} could not be resolved` };
+    }
+  }
+  if (addresses.length === 0 || !addresses.every(isPublicAddress)) {
+    return { ok: false, error: "docsUrl must point to a public host" };
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Validates a user-supplied docs URL, resolving its host so internal addresses are refused.
+ * Returns { ok: true, value } or { ok: false, error }. `lookup` is injectable for tests.
+ */
+export async function validateDocsUrl(docsUrl, { lookup } = {}) {
+  if (typeof docsUrl !== "string") return { ok: false, error: "docsUrl must be a string" };
+  const trimmed = docsUrl.trim();
+  if (!trimmed) return { ok: false, error: "docsUrl is required" };
+  if (trimmed.length > MAX_URL_CHARS) return { ok: false, error: "docsUrl is too long" };
+
+  let u;
+  try {
+    u = new URL(trimmed);
+  } catch {
+    return { ok: false, error: "docsUrl must be a valid URL" };
+  }
+
+  const target = await checkTarget(u, { lookup });
+  if (!target.ok) return target;
+
+  return { ok: true, value: trimmed };
+}
+
+/**
+ * dns.lookup drop-in for http(s).request that refuses private addresses at connect time,
+ * so a host can't pass validation and then re-resolve somewhere internal (DNS rebinding).
+ */
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find((a) => !isPublicAddress(a.address));
+    if (blocked || addresses.length === 0) {
+      const e = new Error(`Refusing to connect to non-public address for ${hostname}`);
+      e.code = "EADDRNOTPUBLIC";
+      return callback(e);
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Minimal fetch over node:http(s) using publicOnlyLookup. Never follows redirects.
+ */
+function guardedFetch(url, { headers = {}, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const u = new URL(url);
+    const client = u.protocol === "https:" ? https : http;
+    const req = client.request(u, { method: "GET", headers, signal, lookup: publicOnlyLookup }, (res) => {
+      const h = new Headers();
+      for (const [k, v] of Object.entries(res.headers)) {
+        if (v !== undefined) h.set(k, Array.isArray(v) ? v.join(", ") : v);
+      }
+      const emptyBody = [204, 205, 304].includes(res.statusCode);
+      if (emptyBody) res.resume();
+      resolve(new Response(emptyBody ? null : Readable.toWeb(res), { status: res.statusCode, headers: h }));
+    });
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+async function readCapped(res, maxBytes, controller) {
+  const declared = Number(res.headers.get("content-length"));
+  if (declared > maxBytes) throw new Error(`Docs page is too large (${declared} bytes)`);
+  if (!res.body) return "";
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let total = 0;
+  let text = "";
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.byteLength;
+    if (total > maxBytes) {
+      controller.abort();
+      throw new Error(`Docs page is larger than ${maxBytes} bytes`);
+    }
+    text += decoder.decode(value, { stream: true });
+  }
+  return text + decoder.decode();
+}
+
+/**
+ * Fetches a docs page as text. Redirects are followed by hand (at most MAX_REDIRECTS) and
+ * every hop is re-validated; non-HTML bodies and bodies over `maxBytes` are refused.
+ * `fetcher` / `lookup` can be swapped for offline stubs.
+ */
+export async function fetchDocsPage(
+  url,
+  { fetcher = guardedFetch, lookup, timeoutMs = FETCH_TIMEOUT_MS, maxBytes = MAX_DOCS_BYTES } = {}
+) {
+  const controller = new AbortController();
+  const t = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    let current = new URL(url);
+    for (let hop = 0; ; hop++) {
+      const target = await checkTarget(current, { lookup });
+      if (!target.ok) throw new Error(`${target.error} (${current.href})`);
+
+      const res = await fetcher(current.href, {
+        headers: { Accept: "text/html,application/xhtml+xml" },
+        redirect: "manual",
+        signal: controller.signal,
+      });
+
+      const location = res.headers.get("location");
+      if (res.status >= 300 && res.status < 400 && location) {
+        await res.body?.cancel().catch(() => {});
+        if (hop >= MAX_REDIRECTS) throw new Error("Docs page redirected too many times");
+        current = new URL(location, current);
+        continue;
+      }
+
+      if (!res.ok) throw new Error(`Docs page returned HTTP ${res.status}`);
+
+      const type = (res.headers.get("content-type") || "").split(";")[0].trim().toLowerCase();
+      if (!ALLOWED_CONTENT_TYPES.includes(type)) {
+        await res.body?.cancel().catch(() => {});
+        throw new Error(`Docs page has unsupported content type "${type || "none"}"`);
+      }
+
+      return await readCapped(res, maxBytes, controller);
+    }
+  } finally {
+    clearTimeout(t);
+  }
+}
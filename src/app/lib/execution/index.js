@@ -0,0 +1,33 @@
+// app/lib/execution/index.js
+import { createLocalBackend } from "./local";
+import { createPistonBackend } from "./piston";
+
+/**
+ * Execution backends all expose:
+ *   name: string
+ *   execute({ language, version, files: [{ name, content }], onStdout?, memoryLimitMb? })
+ *     -> Promise<{ stage: "compile" | "run", stdout, stderr, exitCode, timedOut }>
+ * The first file is the entry point. onStdout(chunk) gets run-stage stdout as early
+ * as the backend can provide it. memoryLimitMb is the per-case limit the harness enforces;
+ * a backend that caps process memory must allow at least that much. Infrastructure failures throw.
+ */
+const factories = {
+  piston: createPistonBackend,
+  local: createLocalBackend,
+};
+
+let cached = null;
+
+/**
+ * Backend picked by EXECUTION_BACKEND ("piston" | "local"), defaulting to piston.
+ */
+export function getExecutionBackend() {
+  const name = (process.env.EXECUTION_BACKEND || "piston").toLowerCase();
+  if (cached?.name === name) return cached;
+
+  const factory = factories[name];
+  if (!factory) throw new Error(`Unknown EXECUTION_BACKEND "${name}"`);
+
+  cached = factory();
+  return cached;
+}
@@ -0,0 +1,330 @@
+// app/lib/execution/local.js
+import { spawn, spawnSync } from "node:child_process";
+import { mkdtemp, rm, writeFile, access } from "node:fs/promises";
+import { homedir, tmpdir } from "node:os";
+import path from "node:path";
+import { StringDecoder } from "node:string_decoder";
+
+const MAX_OUTPUT_BYTES = 1_000_000;
+// Process memory on top of a question's per-case limit: the runtime itself, the harness and
+// its worker start-up. The harness enforces the limit; the process cap only backs it up.
+const HARNESS_HEADROOM_MB = 128;
+// tsc's syntax diagnostics (TS1xxx), e.g. "solution.ts(2,13): error TS1109: Expression expected."
+const TS_SYNTAX_ERROR = /^.*\berror TS1\d{3}:.*$/gm;
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+// Best-effort guards, used when we can't put the child in its own network namespace.
+const NODE_NET_GUARD = `
+"use strict";
+const __deny = () => { throw new Error("Network access is disabled in the sandbox."); };
+// load everything before patching: tls/http subclass net.Socket at load time
+const __mods = ["net", "tls", "http", "https", "http2", "dgram", "child_process", "cluster"].map((m) => require(m));
+for (const mod of __mods) {
+  for (const k of Object.keys(mod)) {
+    // classes stay (stdio pipes are net.Sockets); their ways out are patched below
+    if (typeof mod[k] !== "function" || /^[A-Z]/.test(k)) continue;
+    try {
+      mod[k] = __deny;
+    } catch {} // getter-only exports can't be replaced
+  }
+}
+require("net").Socket.prototype.connect = __deny;
+require("dgram").Socket.prototype.send = __deny;
+require("dgram").Socket.prototype.connect = __deny;
+globalThis.fetch = __deny;
+globalThis.WebSocket = undefined;
+// ES module named imports (import { connect } from "net") are snapshots; refresh them too
+require("module").syncBuiltinESMExports();
+`.trim();
+
+const PYTHON_NET_GUARD = `
+import socket as __s, subprocess as __sp, os as __os
+def __deny(*a, **k):
+    raise PermissionError("Network access is disabled in the sandbox.")
+__s.socket = __deny; __s.create_connection = __deny; __s.getaddrinfo = __deny
+__sp.Popen = __deny; __os.system = __deny
+del __s, __sp, __os, __deny
+`.trim();
+
+let unshareChecked = false;
+let unshareWorks = false;
+
+// `unshare -rn` gives the child an empty network namespace (no interfaces but lo).
+function canUnshare() {
+  if (unshareChecked) return unshareWorks;
+  unshareChecked = true;
+  if (process.env.LOCAL_RUNNER_UNSHARE === "0") return false;
+  try {
+    const r = spawnSync("unshare", ["-rn", "true"], { timeout: 2000, stdio: "ignore" });
+    unshareWorks = r.status === 0;
+  } catch {
+    unshareWorks = false;
+  }
+  return unshareWorks;
+}
+
+async function resolveTsc() {
+  if (process.env.LOCAL_TSC_PATH) return process.env.LOCAL_TSC_PATH;
+  const local = path.join(process.cwd(), "node_modules", ".bin", "tsc");
+  try {
+    await access(local);
+    return local;
+  } catch {
+    return "tsc";
+  }
+}
+
+function collect(stream, sink, onData) {
+  const decoder = new StringDecoder("utf8");
+  stream.on("data", (chunk) => {
+    if (sink.bytes >= MAX_OUTPUT_BYTES) return;
+    const room = MAX_OUTPUT_BYTES - sink.bytes;
+    const part = chunk.length > room ? chunk.subarray(0, room) : chunk;
+    sink.bytes += part.length;
+    sink.chunks.push(part);
+    if (onData) onData(decoder.write(part));
+  });
+}
+
+/**
+ * Spawns one process with CPU/memory/process-count limits (via ulimit), a wall-clock
+ * timeout and a minimal environment. The whole process group is killed on timeout and
+ * again once the process exits, so nothing it forked outlives the run.
+ * onStdout (optional) receives decoded stdout as it arrives.
+ */
+function runProcess(cmd, args, { cwd, limits, isolateNetwork, onStdout, env = {} }) {
+  const ulimits = [`ulimit -t ${limits.cpuSeconds}`, `ulimit -f ${limits.fileBlocks ?? 10240}`];
+  if (limits.virtualMemoryKb) ulimits.push(`ulimit -v ${limits.virtualMemoryKb}`);
+  // counts threads too, and per user: leave room for the JVM's and Go runtime's threads
+  if (limits.processes) ulimits.push(`ulimit -u ${limits.processes}`);
+
+  let file = "sh";
+  let argv = ["-c", `${ulimits.join("; ")}; exec "$@"`, "sh", cmd, ...args];
+  if (isolateNetwork) {
+    argv = ["-rn", file, ...argv];
+    file = "unshare";
+  }
+
+  return new Promise((resolve) => {
+    const child = spawn(file, argv, {
+      cwd,
+      detached: true,
+      stdio: ["ignore", "pipe", "pipe"],
+      env: { PATH: process.env.PATH || "/usr/bin:/bin", HOME: cwd, LANG: "C.UTF-8", ...env },
+    });
+
+    const out = { chunks: [], bytes: 0 };
+    const err = { chunks: [], bytes: 0 };
+    collect(child.stdout, out, onStdout);
+    collect(child.stderr, err);
+
+    const killGroup = () => {
+      try {
+        if (child.pid) process.kill(-child.pid, "SIGKILL");
+      } catch {} // group already gone
+    };
+
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      killGroup();
+    }, limits.wallMs);
+
+    const finish = (exitCode, signal, spawnError) => {
+      clearTimeout(timer);
+      killGroup();
+      let stderr = Buffer.concat(err.chunks).toString("utf8");
+      if (spawnError) stderr = `Runner error: ${spawnError.message}`;
+      if (timedOut) stderr = `${stderr}\nTime limit exceeded (${limits.wallMs}ms wall clock).`.trim();
+      else if (signal === "SIGXCPU" || signal === "SIGKILL") {
+        stderr = `${stderr}\nKilled by ${signal} (CPU time limit is ${limits.cpuSeconds}s).`.trim();
+      } else if (signal) stderr = `${stderr}\nKilled by ${signal}.`.trim();
+      resolve({
+        stdout: Buffer.concat(out.chunks).toString("utf8"),
+        stderr,
+        exitCode: exitCode ?? 1,
+        timedOut: timedOut || signal === "SIGXCPU" || signal === "SIGKILL",
+      });
+    };
+
+    child.on("error", (e) => finish(1, null, e));
+    // children left holding stdout/stderr would otherwise keep "close" from firing until the timeout
+    child.on("exit", killGroup);
+    child.on("close", (code, signal) => finish(code, signal));
+  });
+}
+
+/**
+ * Runs code on this machine in a throwaway temp dir: no network, no secrets in env,
+ * CPU-time / memory / wall-clock limits. Needs node, python3 and (for TypeScript) tsc;
+ * Java, C++, Go and Rust need their toolchains (javac/java, g++, go, rustc) on PATH.
+ * Compiled programs only get network isolation from unshare; the node/python guards
+ * have no equivalent for native code.
+ *
+ * Config: LOCAL_RUNNER_TIMEOUT_MS, LOCAL_RUNNER_CPU_SECONDS, LOCAL_RUNNER_MEMORY_MB,
+ * LOCAL_RUNNER_MAX_PROCESSES, LOCAL_RUNNER_COMPILE_TIMEOUT_MS, LOCAL_NODE_PATH, LOCAL_PYTHON_PATH, LOCAL_TSC_PATH,
+ * LOCAL_JAVA_HOME, LOCAL_GXX_PATH, LOCAL_GO_PATH, LOCAL_GO_CACHE, LOCAL_RUSTC_PATH,
+ * LOCAL_RUNNER_UNSHARE=0.
+ */
+export function createLocalBackend({
+  wallMs = envNumber("LOCAL_RUNNER_TIMEOUT_MS", 10_000),
+  cpuSeconds = envNumber("LOCAL_RUNNER_CPU_SECONDS", 5),
+  memoryMb = envNumber("LOCAL_RUNNER_MEMORY_MB", 256),
+  maxProcesses = envNumber("LOCAL_RUNNER_MAX_PROCESSES", 512),
+  compileWallMs = envNumber("LOCAL_RUNNER_COMPILE_TIMEOUT_MS", 60_000),
+} = {}) {
+  const nodeBin = process.env.LOCAL_NODE_PATH || process.execPath;
+  const pythonBin = process.env.LOCAL_PYTHON_PATH || "python3";
+  const javaHome = process.env.LOCAL_JAVA_HOME || process.env.JAVA_HOME;
+  const javaBin = (name) => (javaHome ? path.join(javaHome, "bin", name) : name);
+
+  // Compiled languages: `compile` builds the entry file into the temp dir, `run(capMb)` starts the result.
+  // The run gets ulimit -v only where the runtime doesn't reserve huge address ranges up front.
+  const toolchains = {
+    java: {
+      compile: (entry) => [javaBin("javac"), ["-encoding", "UTF-8", "-d", ".", entry]],
+      run: (capMb) => [javaBin("java"), [`-Xmx${capMb}m`, "-cp", ".", "Main"]],
+      env: javaHome ? { JAVA_HOME: javaHome } : {},
+    },
+    "c++": {
+      compile: (entry) => [process.env.LOCAL_GXX_PATH || "g++", ["-std=c++17", "-O2", "-pipe", "-o", "main", entry]],
+      run: () => ["./main", []],
+      capMemory: true,
+    },
+    go: {
+      compile: (entry) => [process.env.LOCAL_GO_PATH || "go", ["build", "-o", "main", entry]],
+      run: () => ["./main", []],
+      // a shared build cache: a cold one rebuilds the standard library on every run
+      env: {
+        GOCACHE: process.env.LOCAL_GO_CACHE || path.join(tmpdir(), "codingsim-go-cache"),
+        GO111MODULE: "off",
+        GOTOOLCHAIN: "local",
+        CGO_ENABLED: "0",
+      },
+    },
+    rust: {
+      compile: (entry) => [process.env.LOCAL_RUSTC_PATH || "rustc", ["--edition", "2021", "-O", "-o", "main", entry]],
+      run: () => ["./main", []],
+      capMemory: true,
+      // rustup's rustc is a proxy that finds the toolchain through these
+      env: {
+        RUSTUP_HOME: process.env.RUSTUP_HOME || path.join(homedir(), ".rustup"),
+        CARGO_HOME: process.env.CARGO_HOME || path.join(homedir(), ".cargo"),
+      },
+    },
+  };
+
+  async function execute({ language, files, onStdout, memoryLimitMb = 0 }) {
+    const dir = await mkdtemp(path.join(tmpdir(), "codingsim-"));
+    const isolateNetwork = canUnshare();
+    const opts = { cwd: dir, isolateNetwork, onStdout };
+    // never below what the question allows one case, so its own limit is what trips first
+    const capMb = Math.max(memoryMb, (Number(memoryLimitMb) || 0) + HARNESS_HEADROOM_MB);
+    // V8 reserves far more address space than it uses, so node gets a heap cap instead of ulimit -v.
+    const nodeLimits = { wallMs, cpuSeconds, processes: maxProcesses };
+    const nodeArgs = [`--max-old-space-size=${capMb}`];
+
+    try {
+      for (const f of files) {
+        await writeFile(path.join(dir, f.name), f.content, "utf8");
+      }
+      const entry = files[0].name;
+
+      const toolchain = toolchains[language];
+      if (toolchain) {
+        const [compiler, compileArgs] = toolchain.compile(entry);
+        const built = await runProcess(compiler, compileArgs, {
+          ...opts,
+          onStdout: null,
+          env: toolchain.env,
+          // compilers and the Go build cache write far more than programs may
+          limits: { wallMs: compileWallMs, cpuSeconds: Math.ceil(compileWallMs / 1000), fileBlocks: "unlimited" },
+        });
+        if (built.exitCode !== 0 || built.timedOut) {
+          return {
+            stage: "compile",
+            stdout: built.stdout,
+            stderr: built.stderr || built.stdout,
+            exitCode: built.exitCode || 1,
+            timedOut: built.timedOut,
+          };
+        }
+        const [cmd, args] = toolchain.run(capMb);
+        const r = await runProcess(cmd, args, {
+          ...opts,
+          env: toolchain.env,
+          limits: {
+            wallMs,
+            cpuSeconds,
+            processes: maxProcesses,
+            virtualMemoryKb: toolchain.capMemory ? capMb * 1024 : 0,
+          },
+        });
+        return { stage: "run", ...r };
+      }
+
+      if (!isolateNetwork && language !== "python") {
+        await writeFile(path.join(dir, "__guard.cjs"), NODE_NET_GUARD, "utf8");
+        nodeArgs.push("--require", "./__guard.cjs");
+      }
+
+      if (language === "python") {
+        const args = isolateNetwork
+          ? ["-I", entry]
+          : ["-I", "-c", `${PYTHON_NET_GUARD}\nimport runpy\nrunpy.run_path(${JSON.stringify(entry)}, run_name="__main__")`];
+        const r = await runProcess(pythonBin, args, {
+          ...opts,
+          limits: { wallMs, cpuSeconds, processes: maxProcesses, virtualMemoryKb: capMb * 1024 },
+        });
+        return { stage: "run", ...r };
+      }
+
+      if (language === "typescript") {
+        const tsc = await resolveTsc();
+        const compiled = await runProcess(
+          tsc,
+          ["--target", "es2020", "--module", "commonjs", "--skipLibCheck", "--outDir", ".", ...files.map((f) => f.name)],
+          { ...opts, onStdout: null, limits: nodeLimits }
+        );
+        const jsEntry = entry.replace(/\.ts$/, ".js");
+        // tsc still emits on type errors and even on syntax errors, whose output then lacks the
+        // user's code; those are reported like a JS parse error.
+        const syntax = `${compiled.stdout}\n${compiled.stderr}`.match(TS_SYNTAX_ERROR);
+        if (syntax) {
+          return {
+            stage: "compile",
+            stdout: compiled.stdout,
+            stderr: `Your code does not parse:\n${syntax.join("\n")}`,
+            exitCode: compiled.exitCode || 1,
+            timedOut: compiled.timedOut,
+          };
+        }
+        try {
+          // otherwise only a missing output is a compile failure
+          await access(path.join(dir, jsEntry));
+        } catch {
+          return {
+            stage: "compile",
+            stdout: compiled.stdout,
+            stderr: compiled.stderr || compiled.stdout,
+            exitCode: compiled.exitCode || 1,
+            timedOut: compiled.timedOut,
+          };
+        }
+        const r = await runProcess(nodeBin, [...nodeArgs, jsEntry], { ...opts, limits: nodeLimits });
+        return { stage: "run", ...r };
+      }
+
+      const r = await runProcess(nodeBin, [...nodeArgs, entry], { ...opts, limits: nodeLimits });
+      return { stage: "run", ...r };
+    } finally {
+      await rm(dir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  return { name: "local", execute };
+}
@@ -0,0 +1,59 @@
+// app/lib/execution/piston.js
+const DEFAULT_PISTON_URL = "https://emkc.org/api/v2/piston/execute";
+const PISTON_TIMEOUT_MS = 8_500;
+
+/**
+ * Remote execution on a Piston instance (public emkc.org by default).
+ * Set PISTON_URL to point at a self-hosted Piston.
+ */
+export function createPistonBackend({
+  url = process.env.PISTON_URL || DEFAULT_PISTON_URL,
+  timeoutMs = PISTON_TIMEOUT_MS,
+} = {}) {
+  async function execute({ language, version, files, onStdout }) {
+    const controller = new AbortController();
+    const t = setTimeout(() => controller.abort(), timeoutMs);
+
+    let data;
+    try {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        signal: controller.signal,
+        body: JSON.stringify({ language, version, files }),
+      });
+
+      if (!res.ok) {
+        const text = await res.text();
+        throw new Error(`Runner error: ${text}`);
+      }
+      data = await res.json();
+    } finally {
+      clearTimeout(t);
+    }
+
+    // Compiled languages report a separate compile stage; a failed compile has no run.
+    if (data?.compile && data.compile.code !== 0) {
+      return {
+        stage: "compile",
+        stdout: data.compile.stdout ?? "",
+        stderr: data.compile.stderr || data.compile.output || "",
+        exitCode: data.compile.code ?? 1,
+        timedOut: data.compile.signal === "SIGKILL",
+      };
+    }
+
+    // Piston only answers once the program has finished, so "streaming" is a single chunk.
+    if (onStdout && data?.run?.stdout) onStdout(data.run.stdout);
+
+    return {
+      stage: "run",
+      stdout: data?.run?.stdout ?? "",
+      stderr: data?.run?.stderr ?? "",
+      exitCode: data?.run?.code ?? (data?.run?.signal ? 1 : 0),
+      timedOut: data?.run?.signal === "SIGKILL",
+    };
+  }
+
+  return { name: "piston", execute };
+}
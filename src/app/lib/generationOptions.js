@@ -0,0 +1,112 @@
+// app/lib/generationOptions.js
+import { DIFFICULTIES } from "@/app/lib/questionSchema";
+
+export const MIN_QUESTIONS = 1;
+export const MAX_QUESTIONS = 15;
+const DEFAULT_QUESTIONS = 5;
+const MAX_FOCUS_AREAS = 5;
+const MAX_FOCUS_CHARS = 80;
+
+/**
+ * Turns difficulty weights into whole counts that add up to `count`
+ * (largest remainder, ties go to the easier level).
+ */
+export function distributeCounts(weights, count) {
+  const total = DIFFICULTIES.reduce((sum, d) => sum + (weights[d] || 0), 0);
+  const exact = DIFFICULTIES.map((d) => ((weights[d] || 0) / total) * count);
+  const counts = exact.map(Math.floor);
+  let left = count - counts.reduce((a, b) => a + b, 0);
+
+  const order = exact
+    .map((x, i) => ({ i, frac: x - Math.floor(x) }))
+    .sort((a, b) => b.frac - a.frac || a.i - b.i);
+  for (const { i } of order) {
+    if (left <= 0) break;
+    counts[i] += 1;
+    left -= 1;
+  }
+
+  return Object.fromEntries(DIFFICULTIES.map((d, i) => [d, counts[i]]));
+}
+
+function parseFocus(focus) {
+  if (focus === undefined || focus === null || focus === "") return { ok: true, value: [] };
+
+  const items = Array.isArray(focus) ? focus : typeof focus === "string" ? focus.split(/[,\n]/) : null;
+  if (!items || items.some((f) => typeof f !== "string")) {
+    return { ok: false, error: "focus must be a string or an array of strings" };
+  }
+
+  const cleaned = items.map((f) => f.replace(/[\u0000-\u001f"`]/g, " ").replace(/\s+/g, " ").trim()).filter(Boolean);
+  if (cleaned.length > MAX_FOCUS_AREAS) {
+    return { ok: false, error: `At most ${MAX_FOCUS_AREAS} focus areas are allowed` };
+  }
+  if (cleaned.some((f) => f.length > MAX_FOCUS_CHARS)) {
+    return { ok: false, error: `Each focus area must be at most ${MAX_FOCUS_CHARS} characters` };
+  }
+  return { ok: true, value: cleaned };
+}
+
+/**
+ * Validates the optional generation knobs from the request body.
+ * Returns { ok: true, value: { count, mix, focus } } or { ok: false, error }.
+ * `mix` is null (no preference) or whole counts per difficulty summing to `count`.
+ */
+export function parseGenerationOptions({ count, difficultyMix, focus } = {}) {
+  const n = count === undefined || count === null || count === "" ? DEFAULT_QUESTIONS : Number(count);
+  if (!Number.isInteger(n) || n < MIN_QUESTIONS || n > MAX_QUESTIONS) {
+    return { ok: false, error: `count must be a whole number from ${MIN_QUESTIONS} to ${MAX_QUESTIONS}` };
+  }
+
+  let mix = null;
+  if (difficultyMix !== undefined && difficultyMix !== null) {
+    if (typeof difficultyMix !== "object" || Array.isArray(difficultyMix)) {
+      return { ok: false, error: "difficultyMix must be an object of weights per difficulty" };
+    }
+    const unknown = Object.keys(difficultyMix).filter((k) => !DIFFICULTIES.includes(k));
+    if (unknown.length > 0) {
+      return { ok: false, error: `Unknown difficulty in difficultyMix: ${unknown.join(", ")}` };
+    }
+    const weights = {};
+    for (const d of DIFFICULTIES) {
+      const w = difficultyMix[d] === undefined ? 0 : Number(difficultyMix[d]);
+      if (!Number.isFinite(w) || w < 0) {
+        return { ok: false, error: `difficultyMix.${d} must be a non-negative number` };
+      }
+      weights[d] = w;
+    }
+    if (DIFFICULTIES.every((d) => weights[d] === 0)) {
+      return { ok: false, error: "difficultyMix needs at least one non-zero weight" };
+    }
+    mix = distributeCounts(weights, n);
+  }
+
+  const f = parseFocus(focus);
+  if (!f.ok) return f;
+
+  return { ok: true, value: { count: n, mix, focus: f.value } };
+}
+
+/**
+ * How the returned set compares with what was asked for.
+ * score is the share of requested slots filled by a question of the right difficulty.
+ */
+export function mixReport(options, questions) {
+  const actual = Object.fromEntries(DIFFICULTIES.map((d) => [d, 0]));
+  for (const q of questions) {
+    if (DIFFICULTIES.includes(q.difficulty)) actual[q.difficulty] += 1;
+  }
+
+  const requested = options.mix;
+  const matched = requested
+    ? DIFFICULTIES.reduce((sum, d) => sum + Math.min(requested[d], actual[d]), 0)
+    : Math.min(options.count, questions.length);
+
+  return {
+    requestedCount: options.count,
+    returnedCount: questions.length,
+    requested,
+    actual,
+    score: Math.round((matched / options.count) * 100) / 100,
+  };
+}
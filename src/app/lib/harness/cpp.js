@@ -0,0 +1,527 @@
+// app/lib/harness/cpp.js
+import { typeName } from "@/app/lib/valueTypes";
+import { INPUTS_FILE, argumentLabel, arityError, inputLines, operationArgumentLabel } from "./inputs";
+
+// JSON reading/writing for the harness: std has no JSON, so a small parser plus
+// from_json/to_json overloads for the declared types and whatever solve() returns.
+const CPP_JSON = String.raw`
+namespace cs_json {
+struct Value {
+  enum Kind { Null, Bool, Number, String, Array, Object } kind = Null;
+  bool b = false;
+  std::string text; // number literal or string contents
+  std::vector<Value> items;
+  std::vector<std::pair<std::string, Value>> fields;
+};
+
+struct Mismatch : std::runtime_error {
+  using std::runtime_error::runtime_error;
+};
+
+struct Parser {
+  const std::string& s;
+  size_t p = 0;
+  void ws() { while (p < s.size() && isspace((unsigned char)s[p])) ++p; }
+  [[noreturn]] void fail() { throw Mismatch("invalid JSON input"); }
+  void expect(const char* word) {
+    size_t n = strlen(word);
+    if (s.compare(p, n, word) != 0) fail();
+    p += n;
+  }
+  std::string str() {
+    std::string out;
+    ++p;
+    while (p < s.size() && s[p] != '"') {
+      char c = s[p++];
+      if (c != '\\') { out += c; continue; }
+      if (p >= s.size()) fail();
+      char e = s[p++];
+      if (e == 'n') out += '\n';
+      else if (e == 't') out += '\t';
+      else if (e == 'r') out += '\r';
+      else if (e == 'b') out += '\b';
+      else if (e == 'f') out += '\f';
+      else if (e == 'u') {
+        if (p + 4 > s.size()) fail();
+        unsigned cp = std::stoul(s.substr(p, 4), nullptr, 16);
+        p += 4;
+        if (cp >= 0xD800 && cp <= 0xDBFF && s.compare(p, 2, "\\u") == 0) {
+          unsigned lo = std::stoul(s.substr(p + 2, 4), nullptr, 16);
+          p += 6;
+          cp = 0x10000 + ((cp - 0xD800) << 10) + (lo - 0xDC00);
+        }
+        if (cp < 0x80) out += (char)cp;
+        else if (cp < 0x800) { out += (char)(0xC0 | (cp >> 6)); out += (char)(0x80 | (cp & 0x3F)); }
+        else if (cp < 0x10000) { out += (char)(0xE0 | (cp >> 12)); out += (char)(0x80 | ((cp >> 6) & 0x3F)); out += (char)(0x80 | (cp & 0x3F)); }
+        else { out += (char)(0xF0 | (cp >> 18)); out += (char)(0x80 | ((cp >> 12) & 0x3F)); out += (char)(0x80 | ((cp >> 6) & 0x3F)); out += (char)(0x80 | (cp & 0x3F)); }
+      } else out += e;
+    }
+    if (p >= s.size()) fail();
+    ++p;
+    return out;
+  }
+  Value value() {
+    ws();
+    if (p >= s.size()) fail();
+    Value v;
+    char c = s[p];
+    if (c == '{') {
+      v.kind = Value::Object;
+      ++p; ws();
+      if (p < s.size() && s[p] == '}') { ++p; return v; }
+      while (true) {
+        ws();
+        if (p >= s.size() || s[p] != '"') fail();
+        std::string key = str();
+        ws();
+        if (p >= s.size() || s[p] != ':') fail();
+        ++p;
+        v.fields.emplace_back(key, value());
+        ws();
+        if (p < s.size() && s[p] == ',') { ++p; continue; }
+        if (p < s.size() && s[p] == '}') { ++p; return v; }
+        fail();
+      }
+    }
+    if (c == '[') {
+      v.kind = Value::Array;
+      ++p; ws();
+      if (p < s.size() && s[p] == ']') { ++p; return v; }
+      while (true) {
+        v.items.push_back(value());
+        ws();
+        if (p < s.size() && s[p] == ',') { ++p; continue; }
+        if (p < s.size() && s[p] == ']') { ++p; return v; }
+        fail();
+      }
+    }
+    if (c == '"') { v.kind = Value::String; v.text = str(); return v; }
+    if (c == 't') { expect("true"); v.kind = Value::Bool; v.b = true; return v; }
+    if (c == 'f') { expect("false"); v.kind = Value::Bool; return v; }
+    if (c == 'n') { expect("null"); return v; }
+    size_t start = p;
+    while (p < s.size() && strchr("+-0123456789.eE", s[p])) ++p;
+    if (p == start) fail();
+    v.kind = Value::Number;
+    v.text = s.substr(start, p - start);
+    return v;
+  }
+};
+
+inline Value parse(const std::string& s) {
+  Parser parser{s};
+  Value v = parser.value();
+  parser.ws();
+  if (parser.p != s.size()) parser.fail();
+  return v;
+}
+
+inline const char* kind_name(const Value& v) {
+  static const char* names[] = {"null", "bool", "number", "string", "array", "object"};
+  return names[v.kind];
+}
+
+inline void from_json(const Value& v, long long& out) {
+  if (v.kind != Value::Number) throw Mismatch(std::string("expected an int, got ") + kind_name(v));
+  char* end = nullptr;
+  errno = 0;
+  long long n = std::strtoll(v.text.c_str(), &end, 10);
+  if (*end == '\0' && errno == 0) { out = n; return; }
+  double d = std::strtod(v.text.c_str(), nullptr);
+  if (d != std::floor(d) || std::fabs(d) > 9.2e18) throw Mismatch("expected an int, got " + v.text);
+  out = (long long)d;
+}
+inline void from_json(const Value& v, double& out) {
+  if (v.kind != Value::Number) throw Mismatch(std::string("expected a float, got ") + kind_name(v));
+  out = std::strtod(v.text.c_str(), nullptr);
+}
+inline void from_json(const Value& v, bool& out) {
+  if (v.kind != Value::Bool) throw Mismatch(std::string("expected a bool, got ") + kind_name(v));
+  out = v.b;
+}
+inline void from_json(const Value& v, std::string& out) {
+  if (v.kind != Value::String) throw Mismatch(std::string("expected a string, got ") + kind_name(v));
+  out = v.text;
+}
+template <class T> void from_json(const Value& v, std::vector<T>& out);
+template <class T> void from_json(const Value& v, std::map<std::string, T>& out);
+template <class T> void from_json(const Value& v, std::vector<T>& out) {
+  if (v.kind != Value::Array) throw Mismatch(std::string("expected an array, got ") + kind_name(v));
+  out.clear();
+  for (const Value& item : v.items) {
+    T x{};
+    from_json(item, x);
+    out.push_back(std::move(x));
+  }
+}
+template <class T> void from_json(const Value& v, std::map<std::string, T>& out) {
+  if (v.kind != Value::Object) throw Mismatch(std::string("expected an object, got ") + kind_name(v));
+  out.clear();
+  for (const auto& f : v.fields) from_json(f.second, out[f.first]);
+}
+// one argument; errors name the parameter it was for
+template <class T> void from_arg(const Value& v, T& out, const std::string& label) {
+  try {
+    from_json(v, out);
+  } catch (const Mismatch& e) {
+    throw Mismatch(label + ": " + e.what());
+  }
+}
+
+inline void write(std::string& o, const std::string& s) {
+  o += '"';
+  for (unsigned char c : s) {
+    if (c == '"') o += "\\\"";
+    else if (c == '\\') o += "\\\\";
+    else if (c == '\n') o += "\\n";
+    else if (c == '\r') o += "\\r";
+    else if (c == '\t') o += "\\t";
+    else if (c < 0x20) { char buf[8]; snprintf(buf, sizeof buf, "\\u%04x", c); o += buf; }
+    else o += (char)c;
+  }
+  o += '"';
+}
+inline void write(std::string& o, const char* s) { write(o, std::string(s)); }
+inline void write(std::string& o, char c) { write(o, std::string(1, c)); }
+inline void write(std::string& o, bool b) { o += b ? "true" : "false"; }
+inline void write(std::string& o, double d) {
+  if (!std::isfinite(d)) { o += "null"; return; }
+  char buf[32];
+  // shortest form that reads back as the same double
+  for (int precision = 15; precision <= 17; ++precision) {
+    snprintf(buf, sizeof buf, "%.*g", precision, d);
+    if (std::strtod(buf, nullptr) == d) break;
+  }
+  o += buf;
+}
+inline void write(std::string& o, float f) { write(o, (double)f); }
+template <class T, typename std::enable_if<std::is_integral<T>::value, int>::type = 0>
+void write(std::string& o, T n) { o += std::to_string(n); }
+inline void write(std::string& o, std::nullptr_t) { o += "null"; }
+// already-serialized JSON (a design question's results array)
+struct Raw {
+  std::string text;
+};
+inline void write(std::string& o, const Raw& r) { o += r.text; }
+template <class T> void write(std::string& o, const std::vector<T>& v);
+template <class T, size_t N> void write(std::string& o, const std::array<T, N>& v);
+template <class T> void write(std::string& o, const std::deque<T>& v);
+template <class T> void write(std::string& o, const std::set<T>& v);
+template <class T> void write(std::string& o, const std::optional<T>& v);
+template <class A, class B> void write(std::string& o, const std::pair<A, B>& v);
+template <class T> void write(std::string& o, const std::map<std::string, T>& v);
+template <class T> void write(std::string& o, const std::unordered_map<std::string, T>& v);
+template <class C> void write_items(std::string& o, const C& items) {
+  o += '[';
+  bool first = true;
+  for (const auto& x : items) {
+    if (!first) o += ',';
+    first = false;
+    write(o, x);
+  }
+  o += ']';
+}
+template <class C> void write_fields(std::string& o, const C& fields) {
+  std::vector<const typename C::value_type*> sorted;
+  for (const auto& f : fields) sorted.push_back(&f);
+  std::sort(sorted.begin(), sorted.end(), [](auto a, auto b) { return a->first < b->first; });
+  o += '{';
+  for (size_t k = 0; k < sorted.size(); ++k) {
+    if (k) o += ',';
+    write(o, sorted[k]->first);
+    o += ':';
+    write(o, sorted[k]->second);
+  }
+  o += '}';
+}
+template <class T> void write(std::string& o, const std::vector<T>& v) { write_items(o, v); }
+template <class T, size_t N> void write(std::string& o, const std::array<T, N>& v) { write_items(o, v); }
+template <class T> void write(std::string& o, const std::deque<T>& v) { write_items(o, v); }
+template <class T> void write(std::string& o, const std::set<T>& v) { write_items(o, v); }
+template <class T> void write(std::string& o, const std::optional<T>& v) {
+  if (v) write(o, *v);
+  else o += "null";
+}
+template <class A, class B> void write(std::string& o, const std::pair<A, B>& v) {
+  o += '[';
+  write(o, v.first);
+  o += ',';
+  write(o, v.second);
+  o += ']';
+}
+template <class T> void write(std::string& o, const std::map<std::string, T>& v) { write_fields(o, v); }
+template <class T> void write(std::string& o, const std::unordered_map<std::string, T>& v) { write_fields(o, v); }
+
+template <class T> std::string dump(const T& v) {
+  std::string o;
+  write(o, v);
+  return o;
+}
+// the printed form: strings as-is, everything else as JSON
+template <class T> std::string printed(const T& v) { return dump(v); }
+inline std::string printed(const std::string& v) { return v; }
+} // namespace cs_json
+`;
+
+// A design question's runner: constructs the class from operation 0, then dispatches each
+// later operation to its method, converting the arguments; results are collected as JSON text.
+function cppDesign(design) {
+  const { className, constructorParams } = design;
+  // statements that convert the current operation's arguments (cs_a) into cs_a0, cs_a1, ...
+  const convert = (method, params) =>
+    params.map(
+      (p, k) =>
+        `${typeName(p.type, "cpp")} cs_a${k}{};\n` +
+        `cs_json::from_arg(cs_a.at(${k}), cs_a${k}, ${JSON.stringify(operationArgumentLabel(method, p))});`
+    );
+  const list = (params) => params.map((_, k) => `cs_a${k}`).join(", ");
+  const indent = (lines, pad) => lines.join("\n").replace(/\n/g, `\n${pad}`);
+  const branches = design.methods.map((m) => {
+    const call = `cs_obj.${m.name}(${list(m.params)})`;
+    const body = [
+      ...convert(m.name, m.params),
+      ...(m.returnType ? [`cs_json::write(cs_out, ${call});`] : [`${call};`, `cs_out += "null";`]),
+    ];
+    return `if (cs_op == ${JSON.stringify(m.name)}) {
+      ${indent(body, "      ")}
+    }`;
+  });
+  return `
+namespace cs_design {
+cs_json::Raw run(const cs_json::Value& cs_in) {
+  const auto& cs_ops = cs_in.items.at(0).items;
+  const auto& cs_args = cs_in.items.at(1).items;
+  const auto& cs_a = cs_args.at(0).items;
+  (void)cs_a;
+  ${indent(convert(className, constructorParams), "  ")}
+  ${className} cs_obj${constructorParams.length ? `(${list(constructorParams)})` : ""};
+  std::string cs_out = "[null";
+  for (size_t cs_k = 1; cs_k < cs_ops.size(); ++cs_k) {
+    const std::string& cs_op = cs_ops[cs_k].text;
+    const auto& cs_a = cs_args.at(cs_k).items;
+    (void)cs_a;
+    cs_out += ',';
+    ${branches.join(" else ")} else {
+      throw cs_json::Mismatch(${JSON.stringify(`${className} has no method `)} + cs_op);
+    }
+  }
+  cs_out += ']';
+  return {cs_out};
+}
+} // namespace cs_design
+`;
+}
+
+/**
+ * C++17, one process for every case. Inputs are read from inputs.txt and converted to the
+ * declared parameter types before solve() is called (with `spread`, one argument per item).
+ * std::cout/printf output during a case goes to that case's `logs` (fd 1 and 2 are pointed at
+ * a temp file), results go to the real stdout. Allocations through operator new are counted,
+ * which gives `memoryKb` and lets `memoryLimitMb` throw std::bad_alloc. A timeout (SIGALRM) or a
+ * crash signal reports the case with `fatal: true` and ends the process; later cases don't run.
+ * With `design` each case runs cs_design::run (see cppDesign) instead of solve().
+ */
+export function cppHarness(
+  userCode,
+  inputs,
+  { functionName = "solve", params, spread, design, timeoutMs, marker, maxLogChars, repeat, trackMemory, memoryLimitMb }
+) {
+  // with a design the input is only parsed here; cs_design::run converts each operation's arguments
+  const source = spread ? (k) => `cs_in.items[${k}]` : () => "cs_in";
+  const convert = design
+    ? ""
+    : params
+        .map(
+          (p, k) => `${typeName(p.type, "cpp")} cs_arg${k}{};
+        cs_json::from_arg(${source(k)}, cs_arg${k}, ${JSON.stringify(argumentLabel(p, spread))});`
+        )
+        .join("\n        ");
+  const arityCheck =
+    spread && !design
+      ? `if (cs_in.kind != cs_json::Value::Array || cs_in.items.size() != ${params.length}) throw cs_json::Mismatch(${JSON.stringify(arityError(params))});`
+      : "";
+  const call = design ? "cs_design::run(cs_in)" : `${functionName}(${params.map((_, k) => `cs_arg${k}`).join(", ")})`;
+  // #line makes compiler errors point at the user's own line numbers
+  const head = String.raw`#include <bits/stdc++.h>
+#include <malloc.h>
+#include <signal.h>
+#include <sys/time.h>
+#include <unistd.h>
+${CPP_JSON}
+namespace cs_harness {
+long long allocated = 0, peak = 0, limit = 0, base = 0;
+}
+
+void* operator new(std::size_t n) {
+  using namespace cs_harness;
+  if (limit && allocated - base + (long long)n > limit) throw std::bad_alloc();
+  void* p = std::malloc(n ? n : 1);
+  if (!p) throw std::bad_alloc();
+  allocated += (long long)malloc_usable_size(p);
+  if (allocated > peak) peak = allocated;
+  return p;
+}
+void operator delete(void* p) noexcept {
+  if (!p) return;
+  cs_harness::allocated -= (long long)malloc_usable_size(p);
+  std::free(p);
+}
+void operator delete(void* p, std::size_t) noexcept { operator delete(p); }
+#line 1 "solution.cpp"
+${userCode}
+`;
+  const tail = String.raw`${design ? cppDesign(design) : ""}
+namespace cs_harness {
+const char* MARK = ${JSON.stringify(marker)};
+const int TIMEOUT_MS = ${Math.max(1, Math.floor(Number(timeoutMs)))};
+const size_t MAX_LOG_CHARS = ${Number(maxLogChars)};
+const int REPEAT = ${Math.max(1, Math.floor(Number(repeat) || 1))};
+const bool TRACK_MEMORY = ${trackMemory ? "true" : "false"};
+const long long MEMORY_LIMIT = ${Math.max(0, Math.floor(Number(memoryLimitMb) || 0))}LL * 1024 * 1024;
+int out_fd = 1, err_fd = 2;
+std::string timeout_line, crash_prefix;
+
+void emit(const std::string& line) {
+  std::string s = "\n" + line + "\n";
+  for (size_t off = 0; off < s.size();) {
+    ssize_t n = ::write(out_fd, s.data() + off, s.size() - off);
+    if (n <= 0) break;
+    off += (size_t)n;
+  }
+}
+
+extern "C" void on_alarm(int) {
+  ssize_t ignored = ::write(out_fd, timeout_line.data(), timeout_line.size());
+  (void)ignored;
+  _exit(0);
+}
+
+extern "C" void on_crash(int sig) {
+  const char* what = sig == SIGSEGV ? "Segmentation fault (invalid memory access or stack overflow)"
+                   : sig == SIGFPE ? "Floating point exception (division by zero?)"
+                   : sig == SIGBUS ? "Bus error"
+                   : "Aborted";
+  ssize_t ignored = ::write(out_fd, crash_prefix.data(), crash_prefix.size());
+  ignored = ::write(out_fd, what, strlen(what));
+  ignored = ::write(out_fd, "\"}\n", 3);
+  (void)ignored;
+  _exit(0);
+}
+
+void set_timer(int ms) {
+  itimerval t{};
+  t.it_value.tv_sec = ms / 1000;
+  t.it_value.tv_usec = (ms % 1000) * 1000;
+  setitimer(ITIMER_REAL, &t, nullptr);
+}
+
+std::string read_logs(FILE* f) {
+  fflush(stdout);
+  std::cout.flush();
+  std::cerr.flush();
+  dup2(out_fd, 1);
+  dup2(err_fd, 2);
+  std::string text;
+  if (!f) return text;
+  fseek(f, 0, SEEK_SET);
+  char buf[4096];
+  size_t n;
+  while ((n = fread(buf, 1, sizeof buf, f)) > 0 && text.size() <= MAX_LOG_CHARS) text.append(buf, n);
+  fclose(f);
+  if (text.size() > MAX_LOG_CHARS) text = text.substr(0, MAX_LOG_CHARS) + "\n...[logs truncated]";
+  return text;
+}
+
+int run() {
+  using namespace std;
+  out_fd = dup(1);
+  err_fd = dup(2);
+  static char alt_stack[1 << 16];
+  stack_t ss{};
+  ss.ss_sp = alt_stack;
+  ss.ss_size = sizeof alt_stack;
+  sigaltstack(&ss, nullptr);
+  struct sigaction crash{};
+  crash.sa_handler = on_crash;
+  crash.sa_flags = SA_ONSTACK;
+  for (int sig : {SIGSEGV, SIGFPE, SIGBUS, SIGABRT}) sigaction(sig, &crash, nullptr);
+  signal(SIGALRM, on_alarm);
+
+  ifstream file("${INPUTS_FILE}");
+  vector<string> cases;
+  for (string line; getline(file, line);) cases.push_back(line);
+
+  for (size_t i = 0; i < cases.size(); ++i) {
+    string head = string(MARK) + "{\"i\":" + to_string(i) + ",\"ok\":false,\"fatal\":true,\"logs\":\"\",";
+    timeout_line = "\n" + head + "\"timedOut\":true,\"ms\":" + to_string(TIMEOUT_MS) + ",\"error\":\"Timed out after " + to_string(TIMEOUT_MS) + "ms.\"}\n";
+    crash_prefix = "\n" + head + "\"error\":\"";
+
+    fflush(stdout);
+    cout.flush();
+    FILE* log = tmpfile();
+    if (log) {
+      dup2(fileno(log), 1);
+      dup2(fileno(log), 2);
+    }
+
+    string fields;
+    double best = -1;
+    long long used = 0;
+    set_timer(TIMEOUT_MS);
+    try {
+      for (int rep = 0; rep < REPEAT; ++rep) {
+        cs_json::Value cs_in = cs_json::parse(cases[i]);
+        ${arityCheck}
+        ${convert}
+        base = allocated;
+        peak = allocated;
+        limit = MEMORY_LIMIT;
+        auto started = chrono::steady_clock::now();
+        auto result = ${call};
+        double ms = chrono::duration<double, milli>(chrono::steady_clock::now() - started).count();
+        limit = 0;
+        if (best < 0 || ms < best) best = ms;
+        if (rep == 0) {
+          used = peak - base;
+          string output, json;
+          cs_json::write(output, cs_json::printed(result));
+          json = cs_json::dump(result);
+          fields = "\"ok\":true,\"output\":" + output + ",\"json\":";
+          cs_json::write(fields, json);
+        }
+      }
+      fields += ",\"ms\":" + cs_json::dump(best);
+      if (TRACK_MEMORY) fields += ",\"memoryKb\":" + cs_json::dump(used / 1024.0);
+    } catch (const bad_alloc&) {
+      limit = 0;
+      fields = "\"ok\":false,\"memoryExceeded\":true,\"error\":";
+      cs_json::write(fields, MEMORY_LIMIT ? "Ran out of memory (limit " + to_string(MEMORY_LIMIT >> 20) + " MB)." : string("Ran out of memory."));
+    } catch (const cs_json::Mismatch& e) {
+      limit = 0;
+      fields = "\"ok\":false,\"error\":";
+      cs_json::write(fields, string(e.what()));
+    } catch (const exception& e) {
+      limit = 0;
+      fields = "\"ok\":false,\"error\":";
+      cs_json::write(fields, string("Uncaught exception: ") + e.what());
+    } catch (...) {
+      limit = 0;
+      fields = "\"ok\":false,\"error\":\"Uncaught exception of a non-std type.\"";
+    }
+    set_timer(0);
+    string logs;
+    cs_json::write(logs, read_logs(log));
+    emit(string(MARK) + "{\"i\":" + to_string(i) + "," + fields + ",\"logs\":" + logs + "}");
+  }
+  return 0;
+}
+} // namespace cs_harness
+
+int main() { return cs_harness::run(); }
+`;
+  const program = `${head}#line ${head.split("\n").length + 1} "main.cpp"${tail}`;
+  return [
+    { name: "main.cpp", content: program },
+    { name: INPUTS_FILE, content: inputLines(inputs) },
+  ];
+}
@@ -0,0 +1,329 @@
+// app/lib/harness/go.js
+import { typeName } from "@/app/lib/valueTypes";
+import { INPUTS_FILE, argumentLabel, arityError, inputLines, operationArgumentLabel } from "./inputs";
+
+const PACKAGE_CLAUSE = /^\s*package\s+\w+\s*;?\s*$/m;
+const IMPORT_DECL = /^import\s*(?:\([^)]*\)|[^\n]*)/gm;
+
+/**
+ * Go source can't be concatenated: one package clause, imports before any declaration.
+ * Returns the user's import declarations and the rest of their code with those lines
+ * blanked out, so line numbers stay put.
+ */
+function splitGoSource(userCode) {
+  const imports = [];
+  const body = userCode
+    .replace(PACKAGE_CLAUSE, (clause) => clause.replace(/[^\n]/g, ""))
+    .replace(IMPORT_DECL, (decl) => {
+      imports.push(decl);
+      return decl.replace(/[^\n]/g, "");
+    });
+  return { imports: imports.join("\n"), body };
+}
+
+// A design question's runner: New<Class>(...) from operation 0, then a switch that sends each
+// later operation to its method, decoding the arguments; results are collected in order.
+function goDesign(design) {
+  const { className, constructorParams } = design;
+  const decode = (method, params, pad) =>
+    params.map(
+      (p, k) => `var __a${k} ${typeName(p.type, "go")}
+${pad}if err := __json.Unmarshal(__a[${k}], &__a${k}); err != nil {
+${pad}	return nil, ${JSON.stringify(operationArgumentLabel(method, p) + ": ")} + err.Error()
+${pad}}`
+    );
+  const list = (params) => params.map((_, k) => `__a${k}`).join(", ");
+  const cases = design.methods.map((m) => {
+    const call = `__obj.${m.name}(${list(m.params)})`;
+    const body = [
+      ...decode(m.name, m.params, "\t\t\t"),
+      m.returnType ? `__out = append(__out, ${call})` : `${call}\n\t\t\t__out = append(__out, nil)`,
+    ];
+    return `case ${JSON.stringify(m.name)}:
+			${body.join("\n\t\t\t")}`;
+  });
+  return `
+func __sequence(__ops []string, __args [][]__json.RawMessage) ([]interface{}, string) {
+	__a := __args[0]
+	_ = __a
+	${decode(className, constructorParams, "\t").join("\n\t")}
+	__obj := New${className}(${list(constructorParams)})
+	__out := []interface{}{nil}
+	for __k := 1; __k < len(__ops); __k++ {
+		__a = __args[__k]
+		switch __ops[__k] {
+		${cases.join("\n\t\t")}
+		default:
+			return nil, ${JSON.stringify(`${className} has no method `)} + __ops[__k]
+		}
+	}
+	return __out, ""
+}
+`;
+}
+
+/**
+ * Go (1.16-compatible: no generics), one process for every case. Inputs are read from
+ * inputs.txt and decoded straight into the declared parameter types (with `spread`, one
+ * argument per item of the input array).
+ * fmt.Print* output during a case goes to that case's `logs` (os.Stdout/os.Stderr point at a
+ * temp file meanwhile). solve() runs in a goroutine so a panic is recovered per case; a goroutine
+ * can't be stopped, so a timeout reports the case with `fatal: true` and ends the process.
+ * Go has no per-call peak, so `memoryKb` is what the first call allocated in total.
+ * Harness imports are aliased (`__json`, ...) so they never clash with the user's.
+ * With `design` each case calls __sequence (see goDesign) instead of solve(); the class is
+ * built by the user's New<Class>(...) function.
+ */
+export function goHarness(
+  userCode,
+  inputs,
+  { functionName = "solve", params, spread, design, timeoutMs, marker, maxLogChars, repeat, trackMemory }
+) {
+  // design cases are decoded into operation names and raw argument lists; __sequence does the rest
+  const designDecode = `var __in []__json.RawMessage
+		var __ops []string
+		var __args [][]__json.RawMessage
+		if __json.Unmarshal([]byte(raw), &__in) != nil || len(__in) != 2 || __json.Unmarshal(__in[0], &__ops) != nil || __json.Unmarshal(__in[1], &__args) != nil {
+			return __outcome{err: "Input must be [operations, arguments]."}
+		}`;
+  const source = spread ? (k) => `__in[${k}]` : () => "[]byte(raw)";
+  const arityCheck = spread
+    ? `var __in []__json.RawMessage
+		if err := __json.Unmarshal([]byte(raw), &__in); err != nil || len(__in) != ${params.length} {
+			return __outcome{err: ${JSON.stringify(arityError(params))}}
+		}
+		`
+    : "";
+  const decode = design
+    ? designDecode
+    : params
+        .map(
+          (p, k) => `var __arg${k} ${typeName(p.type, "go")}
+		if err := __json.Unmarshal(${source(k)}, &__arg${k}); err != nil {
+			return __outcome{err: ${JSON.stringify(argumentLabel(p, spread) + ": ")} + err.Error()}
+		}`
+        )
+        .join("\n\t\t");
+  const call = design
+    ? `result, failure := __sequence(__ops, __args)
+		if failure != "" {
+			return __outcome{err: failure}
+		}`
+    : `result := ${functionName}(${params.map((_, k) => `__arg${k}`).join(", ")})`;
+  const { imports, body } = splitGoSource(userCode);
+  const head = `package main
+
+${imports}
+
+import (
+	__json "encoding/json"
+	__fmt "fmt"
+	__ioutil "io/ioutil"
+	__math "math"
+	__os "os"
+	__reflect "reflect"
+	__runtime "runtime"
+	__debug "runtime/debug"
+	__sort "sort"
+	__strings "strings"
+	__time "time"
+)
+//line solution.go:1
+${body}
+`;
+  const tail = `${design ? goDesign(design) : ""}
+const __MARK = ${JSON.stringify(marker)}
+const __TIMEOUT_MS = ${Math.max(1, Math.floor(Number(timeoutMs)))}
+const __MAX_LOG_CHARS = ${Number(maxLogChars)}
+const __REPEAT = ${Math.max(1, Math.floor(Number(repeat) || 1))}
+const __TRACK_MEMORY = ${trackMemory ? "true" : "false"}
+
+// JSON the way the other harnesses print it: nil slices/maps as [] / {}, sorted map keys.
+func __encode(v __reflect.Value, b *__strings.Builder) {
+	switch v.Kind() {
+	case __reflect.Invalid:
+		b.WriteString("null")
+	case __reflect.Ptr, __reflect.Interface:
+		if v.IsNil() {
+			b.WriteString("null")
+		} else {
+			__encode(v.Elem(), b)
+		}
+	case __reflect.Bool:
+		if v.Bool() {
+			b.WriteString("true")
+		} else {
+			b.WriteString("false")
+		}
+	case __reflect.Int, __reflect.Int8, __reflect.Int16, __reflect.Int32, __reflect.Int64:
+		b.WriteString(__fmt.Sprint(v.Int()))
+	case __reflect.Uint, __reflect.Uint8, __reflect.Uint16, __reflect.Uint32, __reflect.Uint64, __reflect.Uintptr:
+		b.WriteString(__fmt.Sprint(v.Uint()))
+	case __reflect.Float32, __reflect.Float64:
+		f := v.Float()
+		if __math.IsNaN(f) || __math.IsInf(f, 0) {
+			b.WriteString("null")
+		} else {
+			raw, _ := __json.Marshal(f)
+			b.Write(raw)
+		}
+	case __reflect.String:
+		raw, _ := __json.Marshal(v.String())
+		b.Write(raw)
+	case __reflect.Slice, __reflect.Array:
+		b.WriteString("[")
+		for k := 0; k < v.Len(); k++ {
+			if k > 0 {
+				b.WriteString(",")
+			}
+			__encode(v.Index(k), b)
+		}
+		b.WriteString("]")
+	case __reflect.Map:
+		keys := v.MapKeys()
+		names := make([]string, len(keys))
+		for k, key := range keys {
+			names[k] = __fmt.Sprint(key.Interface())
+		}
+		order := make([]int, len(keys))
+		for k := range order {
+			order[k] = k
+		}
+		__sort.Slice(order, func(a, c int) bool { return names[order[a]] < names[order[c]] })
+		b.WriteString("{")
+		for n, k := range order {
+			if n > 0 {
+				b.WriteString(",")
+			}
+			raw, _ := __json.Marshal(names[k])
+			b.Write(raw)
+			b.WriteString(":")
+			__encode(v.MapIndex(keys[k]), b)
+		}
+		b.WriteString("}")
+	default:
+		raw, err := __json.Marshal(v.Interface())
+		if err != nil {
+			raw, _ = __json.Marshal(__fmt.Sprint(v.Interface()))
+		}
+		b.Write(raw)
+	}
+}
+
+func __toJSON(v interface{}) string {
+	var b __strings.Builder
+	__encode(__reflect.ValueOf(v), &b)
+	return b.String()
+}
+
+type __outcome struct {
+	result   interface{}
+	ms       float64
+	memoryKb float64
+	err      string
+}
+
+func __call(raw string) (o __outcome) {
+	defer func() {
+		if p := recover(); p != nil {
+			o = __outcome{err: __fmt.Sprintf("panic: %v\\n\\n%s", p, __debug.Stack())}
+		}
+	}()
+	for rep := 0; rep < __REPEAT; rep++ {
+		${arityCheck}${decode}
+		var before __runtime.MemStats
+		if __TRACK_MEMORY && rep == 0 {
+			__runtime.ReadMemStats(&before)
+		}
+		started := __time.Now()
+		${call}
+		ms := float64(__time.Since(started).Nanoseconds()) / 1e6
+		if rep == 0 {
+			o.result = result
+			o.ms = ms
+			if __TRACK_MEMORY {
+				var after __runtime.MemStats
+				__runtime.ReadMemStats(&after)
+				o.memoryKb = float64(after.TotalAlloc-before.TotalAlloc) / 1024
+			}
+		} else if ms < o.ms {
+			o.ms = ms
+		}
+	}
+	return o
+}
+
+func main() {
+	out := __os.Stdout
+	errOut := __os.Stderr
+	data, _ := __ioutil.ReadFile(${JSON.stringify(INPUTS_FILE)})
+	cases := __strings.Split(__strings.TrimRight(string(data), "\\n"), "\\n")
+	if len(data) == 0 {
+		cases = nil
+	}
+
+	report := func(r map[string]interface{}) {
+		line, _ := __json.Marshal(r)
+		__fmt.Fprint(out, "\\n"+__MARK+string(line)+"\\n")
+	}
+
+	for i, raw := range cases {
+		log, logErr := __ioutil.TempFile("", "case")
+		if logErr == nil {
+			__os.Stdout = log
+			__os.Stderr = log
+		}
+		readLogs := func() string {
+			__os.Stdout = out
+			__os.Stderr = errOut
+			if logErr != nil {
+				return ""
+			}
+			log.Close()
+			text, _ := __ioutil.ReadFile(log.Name())
+			__os.Remove(log.Name())
+			if len(text) > __MAX_LOG_CHARS {
+				return string(text[:__MAX_LOG_CHARS]) + "\\n...[logs truncated]"
+			}
+			return string(text)
+		}
+
+		done := make(chan __outcome, 1)
+		go func() { done <- __call(raw) }()
+
+		select {
+		case o := <-done:
+			r := map[string]interface{}{"i": i, "logs": readLogs()}
+			if o.err != "" {
+				r["ok"] = false
+				r["error"] = o.err
+			} else {
+				r["ok"] = true
+				if s, isString := o.result.(string); isString {
+					r["output"] = s
+				} else {
+					r["output"] = __toJSON(o.result)
+				}
+				r["json"] = __toJSON(o.result)
+				r["ms"] = o.ms
+				if __TRACK_MEMORY {
+					r["memoryKb"] = o.memoryKb
+				}
+			}
+			report(r)
+		case <-__time.After(__TIMEOUT_MS * __time.Millisecond):
+			report(map[string]interface{}{
+				"i": i, "ok": false, "timedOut": true, "fatal": true, "logs": readLogs(),
+				"error": __fmt.Sprintf("Timed out after %dms.", __TIMEOUT_MS), "ms": __TIMEOUT_MS,
+			})
+			__os.Exit(0)
+		}
+	}
+}
+`;
+  const program = `${head}//line main.go:${head.split("\n").length + 1}${tail}`;
+  return [
+    { name: "main.go", content: program },
+    { name: INPUTS_FILE, content: inputLines(inputs) },
+  ];
+}
@@ -0,0 +1,127 @@
+// app/lib/harness/index.js
+import { randomBytes } from "node:crypto";
+import { parseSignature, resolveSignature } from "@/app/lib/signature";
+import { jsHarness, tsHarness } from "./javascript";
+import { pyHarness } from "./python";
+import { javaHarness } from "./java";
+import { cppHarness } from "./cpp";
+import { goHarness } from "./go";
+import { rustHarness } from "./rust";
+
+export const CASE_TIMEOUT_MS = 2_000;
+export const MAX_LOG_CHARS = 4_000;
+
+/**
+ * Per-run marker that prefixes each case result line on stdout,
+ * so user prints can't be mistaken for (or forge) a result.
+ */
+export function createMarker() {
+  return `__CS_RESULT_${randomBytes(8).toString("hex")}__`;
+}
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+const STATIC_HARNESSES = {
+  java: javaHarness,
+  "c++": cppHarness,
+  go: goHarness,
+  rust: rustHarness,
+};
+
+/**
+ * One program per language that runs every case input in a single process
+ * and reports `{ i, ok, output?, json?, error?, timedOut?, memoryExceeded?, logs, ms, memoryKb? }` per case.
+ * `output` is the printed form, `json` the return value serialized with its type,
+ * `logs` whatever the case printed (console.log / print), kept apart from the result.
+ * `ms` times the solve() call alone; with `repeat` > 1 it is the fastest of that many calls.
+ * `timeoutMs` and `memoryLimitMb` (0 = no cap) apply to each case separately.
+ * Returns the files to execute, entry point first; JS/TS keep the user's code in its own module.
+ * `signature` is the question's resolved signature (see resolveSignature): with `spread` each
+ * input is a JSON array and the function gets its items as separate arguments. Java, C++, Go
+ * and Rust (runtime names as in mapLanguage) also need every parameter's type to convert them.
+ * `design` (resolved, see resolveDesign) runs a class question instead: each input is
+ * [operations, arguments], already checked against the design, and the result is the array
+ * of every operation's return value.
+ * `virtualClock` (JavaScript and TypeScript only) runs each case on a fake clock, with
+ * `advanceMs` holding each input's clock cap (see the JS harness).
+ */
+export function buildHarness(language, userCode, inputs, opts) {
+  const o = {
+    functionName: "solve",
+    timeoutMs: CASE_TIMEOUT_MS,
+    maxLogChars: MAX_LOG_CHARS,
+    repeat: 1,
+    trackMemory: true,
+    memoryLimitMb: 0,
+    ...opts,
+  };
+  if (o.virtualClock && language !== "javascript" && language !== "typescript") {
+    throw new Error("Only the JavaScript and TypeScript runners have a virtual clock.");
+  }
+  if (o.design) return buildDesignHarness(language, userCode, inputs, o);
+  const signature = o.signature || resolveSignature({ functionName: o.functionName });
+  // a signature names its own function; the name is spliced into generated code
+  o.functionName = IDENTIFIER.test(signature.name) ? signature.name : "solve";
+  if (STATIC_HARNESSES[language]) {
+    const typed = parseSignature(signature);
+    if (!typed) throw new Error(`A ${language} run needs the question's parameter and return types.`);
+    return STATIC_HARNESSES[language](userCode, inputs, { ...o, params: typed.params, spread: typed.spread });
+  }
+  o.params = signature.params;
+  o.spread = signature.spread;
+  if (language === "typescript") return tsHarness(userCode, inputs, o);
+  if (language === "python") return pyHarness(userCode, inputs, o);
+  return jsHarness(userCode, inputs, o);
+}
+
+// JS and Python build the sequence runner around the class and call it like a two-argument function
+const DESIGN_PARAMS = [{ name: "operations" }, { name: "arguments" }];
+
+function buildDesignHarness(language, userCode, inputs, o) {
+  if (!IDENTIFIER.test(o.design.className)) throw new Error("The design's class name is not an identifier.");
+  const opts = { ...o, functionName: o.design.className };
+  if (STATIC_HARNESSES[language]) return STATIC_HARNESSES[language](userCode, inputs, opts);
+  Object.assign(opts, { params: DESIGN_PARAMS, spread: true });
+  if (language === "typescript") return tsHarness(userCode, inputs, opts);
+  if (language === "python") return pyHarness(userCode, inputs, opts);
+  return jsHarness(userCode, inputs, opts);
+}
+
+/**
+ * Incremental parser for harness stdout: feed chunks with push(), get each case
+ * result via onCase as soon as its line is complete. end() flushes and returns
+ * everything that was not a result line.
+ */
+export function createHarnessParser(marker, onCase = () => {}) {
+  const other = [];
+  let pending = "";
+
+  function handleLine(line) {
+    const at = line.indexOf(marker);
+    if (at === -1) {
+      other.push(line);
+      return;
+    }
+    if (at > 0) other.push(line.slice(0, at));
+    try {
+      const r = JSON.parse(line.slice(at + marker.length));
+      if (Number.isInteger(r?.i)) onCase(r);
+    } catch {
+      // truncated line (output cap) — the case is reported as missing
+    }
+  }
+
+  return {
+    push(chunk) {
+      pending += chunk;
+      const lines = pending.split("\n");
+      pending = lines.pop();
+      for (const line of lines) handleLine(line);
+    },
+    end() {
+      if (pending) handleLine(pending);
+      pending = "";
+      return { other: other.join("\n").trim() };
+    },
+  };
+}
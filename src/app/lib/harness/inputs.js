@@ -0,0 +1,40 @@
+// app/lib/harness/inputs.js
+import { formatType } from "@/app/lib/valueTypes";
+
+/**
+ * The compiled-language harnesses read their case inputs from this file, one JSON value
+ * per line, instead of embedding them in the source (keeps large benchmark inputs out of
+ * the compiler and clear of string-literal limits).
+ */
+export const INPUTS_FILE = "inputs.txt";
+
+// Line breaks in JSON can only be whitespace between tokens (strings escape them), so
+// replacing them with spaces keeps every input on one line without reformatting numbers.
+export function inputLines(inputs) {
+  return inputs.map((s) => String(s).replace(/[\r\n]+/g, " ")).join("\n") + "\n";
+}
+
+/**
+ * Error for a case input that isn't a JSON array with one value per parameter (signature questions).
+ */
+export function arityError(params) {
+  const names = params.map((p) => p.name).join(", ");
+  return `Input must be a JSON array of ${params.length} argument${params.length === 1 ? "" : "s"}: [${names}].`;
+}
+
+/**
+ * What a failed conversion of one argument is reported as, before the converter's reason.
+ * Single-input questions keep "Input does not match int[]".
+ */
+export function argumentLabel(param, spread) {
+  return spread
+    ? `Argument ${param.name} does not match ${formatType(param.type)}`
+    : `Input does not match ${formatType(param.type)}`;
+}
+
+/**
+ * The same for an argument of a design question's constructor or method ("put", "LRUCache").
+ */
+export function operationArgumentLabel(method, param) {
+  return `${method}() argument ${param.name} does not match ${formatType(param.type)}`;
+}
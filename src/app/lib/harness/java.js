@@ -0,0 +1,540 @@
+// app/lib/harness/java.js
+import { formatType, typeName } from "@/app/lib/valueTypes";
+import { INPUTS_FILE, argumentLabel, arityError, inputLines, operationArgumentLabel } from "./inputs";
+
+const JAVA_PACKAGE = /^[ \t]*package\s+[\w.]+\s*;/m;
+const JAVA_IMPORT = /^[ \t]*import\s+(?:static\s+)?[\w.]+(?:\s*\.\s*\*)?\s*;/gm;
+
+/**
+ * The harness has to be the file's first class (Piston runs a single source file, which starts
+ * its first class), and imports have to come before it. So the user's package/import lines are
+ * blanked and re-emitted ahead of the harness, all on the user's first line: every other line
+ * keeps its number. `public` is dropped from Solution (or the design's class) so the file can
+ * be Main.java.
+ */
+function splitJavaSource(userCode, className) {
+  const imports = [];
+  const body = userCode
+    .replace(JAVA_PACKAGE, "")
+    .replace(JAVA_IMPORT, (decl) => {
+      imports.push(decl.trim());
+      return "";
+    })
+    .replace(new RegExp(`\\bpublic\\s+((?:final\\s+)?class\\s+${className}\\b)`), "$1");
+  return { imports: imports.join(" "), body };
+}
+
+const DESIGN_SHAPE_ERROR = "Input must be [operations, arguments].";
+
+// qualified: the user's code may not import java.util
+function javaType(type) {
+  return typeName(type, "java").replace(/\bMap</g, "java.util.Map<");
+}
+
+// A design question's runner: constructs the class from operation 0, then a switch sends each
+// later operation to its method, converting the arguments; results are collected in order.
+function javaDesign(design) {
+  const { className, constructorParams } = design;
+  const args = (method, params) =>
+    params
+      .map(
+        (p, k) =>
+          `(${javaType(p.type)}) arg(a.get(${k}), ${JSON.stringify(formatType(p.type))}, ${JSON.stringify(operationArgumentLabel(method, p))})`
+      )
+      .join(", ");
+  const cases = design.methods.map((m) => {
+    const call = `obj.${m.name}(${args(m.name, m.params)})`;
+    const body = m.returnType ? [`results.add(${call});`] : [`${call};`, "results.add(null);"];
+    return `case ${JSON.stringify(m.name)}:
+                    ${body.join("\n                    ")}
+                    break;`;
+  });
+  return `
+    static java.util.List<?> operation(java.util.List<?> calls, int k) {
+        Object a = calls.get(k);
+        if (!(a instanceof java.util.List)) throw new Mismatch(${JSON.stringify(DESIGN_SHAPE_ERROR)});
+        return (java.util.List<?>) a;
+    }
+
+    @SuppressWarnings("unchecked")
+    static java.util.List<Object> sequence(Object parsed) {
+        java.util.List<?> input = parsed instanceof java.util.List ? (java.util.List<?>) parsed : null;
+        if (input == null || input.size() != 2 || !(input.get(0) instanceof java.util.List) || !(input.get(1) instanceof java.util.List)) {
+            throw new Mismatch(${JSON.stringify(DESIGN_SHAPE_ERROR)});
+        }
+        java.util.List<?> ops = (java.util.List<?>) input.get(0);
+        java.util.List<?> calls = (java.util.List<?>) input.get(1);
+        if (ops.size() != calls.size()) throw new Mismatch(${JSON.stringify(DESIGN_SHAPE_ERROR)});
+        java.util.List<?> a = operation(calls, 0);
+        ${className} obj = new ${className}(${args(className, constructorParams)});
+        java.util.List<Object> results = new java.util.ArrayList<>();
+        results.add(null);
+        for (int k = 1; k < ops.size(); k++) {
+            a = operation(calls, k);
+            String op = String.valueOf(ops.get(k));
+            switch (op) {
+                ${cases.join("\n                ")}
+                default:
+                    throw new Mismatch(${JSON.stringify(`${className} has no method `)} + op);
+            }
+        }
+        return results;
+    }
+`;
+}
+
+/**
+ * Java (15-compatible), one process for every case. Inputs are read from inputs.txt, parsed
+ * and converted to the declared parameter types (with `spread`, one argument per item of the
+ * input array), then passed to `new Solution().solve(...)`.
+ * System.out/System.err during a case go to that case's `logs`. Each case runs on its own thread
+ * (with a deep stack); exceptions are reported per case, OutOfMemoryError (the JVM's -Xmx) as
+ * `memoryExceeded`. A thread can't be stopped, so a timeout reports the case with `fatal: true`
+ * and halts the JVM. `memoryKb` is what the first call allocated in total (HotSpot's per-thread count).
+ * With `design` each case runs `sequence` (see javaDesign) instead, on the user's class.
+ */
+export function javaHarness(
+  userCode,
+  inputs,
+  { functionName = "solve", params, spread, design, timeoutMs, marker, maxLogChars, repeat, trackMemory, memoryLimitMb }
+) {
+  const { imports, body } = splitJavaSource(userCode, design ? design.className : "Solution");
+  // with a design the input is only parsed here; sequence() converts each operation's arguments
+  const items = design
+    ? ""
+    : spread
+    ? `if (!(parsed instanceof java.util.List) || ((java.util.List<?>) parsed).size() != ${params.length}) {
+                    throw new Mismatch(${JSON.stringify(arityError(params))});
+                }
+                java.util.List<?> items = (java.util.List<?>) parsed;`
+    : "java.util.List<?> items = java.util.Collections.singletonList(parsed);";
+  const convert = design
+    ? ""
+    : params
+        .map(
+          (p, k) =>
+            `args[${k}] = arg(items.get(${k}), ${JSON.stringify(formatType(p.type))}, ${JSON.stringify(argumentLabel(p, spread))});`
+        )
+        .join("\n                ");
+  // a mismatch inside the sequence is only found while it runs
+  const invoke = design
+    ? `Object result;
+            try {
+                result = sequence(parsed);
+            } catch (Mismatch e) {
+                o.mismatch = e.getMessage();
+                return;
+            }`
+    : `Object result = new Solution().${functionName}(${params.map((p, k) => `(${javaType(p.type)}) args[${k}]`).join(", ")});`;
+  const limitMb = Math.max(0, Math.floor(Number(memoryLimitMb) || 0));
+  const harness = String.raw`
+class Main {
+    static final String MARK = ${JSON.stringify(marker)};
+    static final long TIMEOUT_MS = ${Math.max(1, Math.floor(Number(timeoutMs)))}L;
+    static final int MAX_LOG_CHARS = ${Number(maxLogChars)};
+    static final int REPEAT = ${Math.max(1, Math.floor(Number(repeat) || 1))};
+    static final boolean TRACK_MEMORY = ${trackMemory ? "true" : "false"};
+    static final long MEMORY_LIMIT_MB = ${limitMb}L;
+
+    static final class Mismatch extends RuntimeException {
+        Mismatch(String message) {
+            super(message);
+        }
+    }
+
+    static final class Parser {
+        final String s;
+        int p;
+
+        Parser(String s) {
+            this.s = s;
+        }
+
+        void ws() {
+            while (p < s.length() && Character.isWhitespace(s.charAt(p))) p++;
+        }
+
+        boolean at(char c) {
+            ws();
+            return p < s.length() && s.charAt(p) == c;
+        }
+
+        void expect(char c) {
+            if (!at(c)) throw new Mismatch("invalid JSON input");
+            p++;
+        }
+
+        Object parse() {
+            Object v = value();
+            ws();
+            if (p != s.length()) throw new Mismatch("invalid JSON input");
+            return v;
+        }
+
+        Object value() {
+            ws();
+            if (p >= s.length()) throw new Mismatch("invalid JSON input");
+            char c = s.charAt(p);
+            if (c == '{') {
+                p++;
+                java.util.Map<String, Object> m = new java.util.LinkedHashMap<>();
+                if (at('}')) {
+                    p++;
+                    return m;
+                }
+                while (true) {
+                    if (!at('"')) throw new Mismatch("invalid JSON input");
+                    String key = string();
+                    expect(':');
+                    m.put(key, value());
+                    if (!at(',')) break;
+                    p++;
+                }
+                expect('}');
+                return m;
+            }
+            if (c == '[') {
+                p++;
+                java.util.List<Object> a = new java.util.ArrayList<>();
+                if (at(']')) {
+                    p++;
+                    return a;
+                }
+                while (true) {
+                    a.add(value());
+                    if (!at(',')) break;
+                    p++;
+                }
+                expect(']');
+                return a;
+            }
+            if (c == '"') return string();
+            if (s.startsWith("true", p)) {
+                p += 4;
+                return Boolean.TRUE;
+            }
+            if (s.startsWith("false", p)) {
+                p += 5;
+                return Boolean.FALSE;
+            }
+            if (s.startsWith("null", p)) {
+                p += 4;
+                return null;
+            }
+            int start = p;
+            while (p < s.length() && "+-0123456789.eE".indexOf(s.charAt(p)) >= 0) p++;
+            String num = s.substring(start, p);
+            try {
+                if (num.matches("-?\\d+")) {
+                    try {
+                        return Long.parseLong(num);
+                    } catch (NumberFormatException tooBig) {
+                        return Double.parseDouble(num);
+                    }
+                }
+                return Double.parseDouble(num);
+            } catch (NumberFormatException e) {
+                throw new Mismatch("invalid JSON input");
+            }
+        }
+
+        String string() {
+            p++;
+            StringBuilder b = new StringBuilder();
+            while (true) {
+                if (p >= s.length()) throw new Mismatch("unterminated string");
+                char c = s.charAt(p++);
+                if (c == '"') return b.toString();
+                if (c != '\\') {
+                    b.append(c);
+                    continue;
+                }
+                if (p >= s.length()) throw new Mismatch("unterminated string");
+                char e = s.charAt(p++);
+                switch (e) {
+                    case 'n': b.append('\n'); break;
+                    case 't': b.append('\t'); break;
+                    case 'r': b.append('\r'); break;
+                    case 'b': b.append('\b'); break;
+                    case 'f': b.append('\f'); break;
+                    case 'u':
+                        if (p + 4 > s.length()) throw new Mismatch("invalid JSON input");
+                        try {
+                            b.append((char) Integer.parseInt(s.substring(p, p + 4), 16));
+                        } catch (NumberFormatException bad) {
+                            throw new Mismatch("invalid JSON input");
+                        }
+                        p += 4;
+                        break;
+                    default: b.append(e);
+                }
+            }
+        }
+    }
+
+    static String kind(Object v) {
+        if (v == null) return "null";
+        if (v instanceof Boolean) return "bool";
+        if (v instanceof Number) return "number";
+        if (v instanceof String) return "string";
+        if (v instanceof java.util.List) return "array";
+        return "object";
+    }
+
+    static Class<?> component(String type) {
+        if (type.endsWith("[]")) return java.lang.reflect.Array.newInstance(component(type.substring(0, type.length() - 2)), 0).getClass();
+        if (type.startsWith("map<")) return java.util.Map.class;
+        switch (type) {
+            case "int": return long.class;
+            case "float": return double.class;
+            case "bool": return boolean.class;
+            default: return String.class;
+        }
+    }
+
+    static Object convert(Object v, String type) {
+        if (type.endsWith("[]")) {
+            if (!(v instanceof java.util.List)) throw new Mismatch("expected an array, got " + kind(v));
+            java.util.List<?> items = (java.util.List<?>) v;
+            String of = type.substring(0, type.length() - 2);
+            Object out = java.lang.reflect.Array.newInstance(component(of), items.size());
+            for (int k = 0; k < items.size(); k++) java.lang.reflect.Array.set(out, k, convert(items.get(k), of));
+            return out;
+        }
+        if (type.startsWith("map<string,")) {
+            if (!(v instanceof java.util.Map)) throw new Mismatch("expected an object, got " + kind(v));
+            String of = type.substring("map<string,".length(), type.length() - 1);
+            java.util.Map<String, Object> out = new java.util.HashMap<>();
+            for (java.util.Map.Entry<?, ?> e : ((java.util.Map<?, ?>) v).entrySet()) out.put((String) e.getKey(), convert(e.getValue(), of));
+            return out;
+        }
+        switch (type) {
+            case "int":
+                if (v instanceof Long) return v;
+                throw new Mismatch("expected an int, got " + (v instanceof Number ? v : kind(v)));
+            case "float":
+                if (v instanceof Number) return ((Number) v).doubleValue();
+                throw new Mismatch("expected a float, got " + kind(v));
+            case "bool":
+                if (v instanceof Boolean) return v;
+                throw new Mismatch("expected a bool, got " + kind(v));
+            default:
+                if (v instanceof String) return v;
+                throw new Mismatch("expected a string, got " + kind(v));
+        }
+    }
+
+    static void quote(String s, StringBuilder b) {
+        b.append('"');
+        for (int k = 0; k < s.length(); k++) {
+            char c = s.charAt(k);
+            if (c == '"' || c == '\\') b.append('\\').append(c);
+            else if (c == '\n') b.append("\\n");
+            else if (c == '\r') b.append("\\r");
+            else if (c == '\t') b.append("\\t");
+            else if (c < 0x20) b.append(String.format("\\u%04x", (int) c));
+            else b.append(c);
+        }
+        b.append('"');
+    }
+
+    static void write(Object v, StringBuilder b) {
+        if (v == null) {
+            b.append("null");
+        } else if (v instanceof String || v instanceof Character) {
+            quote(v.toString(), b);
+        } else if (v instanceof Boolean) {
+            b.append(v);
+        } else if (v instanceof Double || v instanceof Float) {
+            double d = ((Number) v).doubleValue();
+            if (Double.isNaN(d) || Double.isInfinite(d)) b.append("null");
+            else if (d == Math.rint(d) && Math.abs(d) < 1e15) b.append((long) d);
+            else b.append(d);
+        } else if (v instanceof Number) {
+            b.append(v);
+        } else if (v.getClass().isArray()) {
+            b.append('[');
+            for (int k = 0; k < java.lang.reflect.Array.getLength(v); k++) {
+                if (k > 0) b.append(',');
+                write(java.lang.reflect.Array.get(v, k), b);
+            }
+            b.append(']');
+        } else if (v instanceof Iterable) {
+            b.append('[');
+            boolean first = true;
+            for (Object item : (Iterable<?>) v) {
+                if (!first) b.append(',');
+                first = false;
+                write(item, b);
+            }
+            b.append(']');
+        } else if (v instanceof java.util.Map) {
+            java.util.TreeMap<String, Object> sorted = new java.util.TreeMap<>();
+            for (java.util.Map.Entry<?, ?> e : ((java.util.Map<?, ?>) v).entrySet()) sorted.put(String.valueOf(e.getKey()), e.getValue());
+            b.append('{');
+            boolean first = true;
+            for (java.util.Map.Entry<String, Object> e : sorted.entrySet()) {
+                if (!first) b.append(',');
+                first = false;
+                quote(e.getKey(), b);
+                b.append(':');
+                write(e.getValue(), b);
+            }
+            b.append('}');
+        } else if (v instanceof java.util.Optional) {
+            write(((java.util.Optional<?>) v).orElse(null), b);
+        } else {
+            quote(v.toString(), b);
+        }
+    }
+
+    static String json(Object v) {
+        StringBuilder b = new StringBuilder();
+        write(v, b);
+        return b.toString();
+    }
+
+    static long allocated() {
+        try {
+            java.lang.management.ThreadMXBean threads = java.lang.management.ManagementFactory.getThreadMXBean();
+            if (threads instanceof com.sun.management.ThreadMXBean) {
+                return ((com.sun.management.ThreadMXBean) threads).getThreadAllocatedBytes(Thread.currentThread().getId());
+            }
+        } catch (Throwable unavailable) {
+        }
+        return -1;
+    }
+
+    static String describe(Throwable e) {
+        StringBuilder b = new StringBuilder(e.toString());
+        int shown = 0;
+        for (StackTraceElement frame : e.getStackTrace()) {
+            if (frame.getClassName().equals("Main")) break;
+            if (shown++ == 8) {
+                b.append("\n\t...");
+                break;
+            }
+            b.append("\n\tat ").append(frame);
+        }
+        return b.toString();
+    }
+
+    static final class Outcome {
+        boolean done;
+        Object result;
+        double ms;
+        double memoryKb = -1;
+        String mismatch;
+        Throwable error;
+    }
+
+    static Object arg(Object v, String type, String label) {
+        try {
+            return convert(v, type);
+        } catch (Mismatch e) {
+            throw new Mismatch(label + ": " + e.getMessage());
+        }
+    }
+
+${design ? javaDesign(design) : ""}
+    @SuppressWarnings("unchecked")
+    static void call(String raw, Outcome o) throws Throwable {
+        for (int rep = 0; rep < REPEAT; rep++) {
+            Object[] args = new Object[${design ? 0 : params.length}];
+            Object parsed;
+            try {
+                parsed = new Parser(raw).parse();
+                ${items}
+                ${convert}
+            } catch (Mismatch e) {
+                o.mismatch = e.getMessage();
+                return;
+            }
+            long before = TRACK_MEMORY && rep == 0 ? allocated() : -1;
+            long started = System.nanoTime();
+            ${invoke}
+            double ms = (System.nanoTime() - started) / 1e6;
+            if (rep == 0) {
+                o.result = result;
+                o.ms = ms;
+                long after = before >= 0 ? allocated() : -1;
+                if (after >= 0) o.memoryKb = (after - before) / 1024.0;
+            } else {
+                o.ms = Math.min(o.ms, ms);
+            }
+        }
+        o.done = true;
+    }
+
+    public static void main(String[] args) throws Exception {
+        java.io.PrintStream stdout = System.out;
+        java.io.PrintStream stderr = System.err;
+        java.io.PrintStream out = new java.io.PrintStream(new java.io.FileOutputStream(java.io.FileDescriptor.out), true, "UTF-8");
+        java.util.List<String> cases = java.nio.file.Files.readAllLines(java.nio.file.Paths.get(${JSON.stringify(INPUTS_FILE)}), java.nio.charset.StandardCharsets.UTF_8);
+        allocated();
+
+        for (int i = 0; i < cases.size(); i++) {
+            String raw = cases.get(i);
+            java.io.ByteArrayOutputStream buffer = new java.io.ByteArrayOutputStream();
+            java.io.PrintStream log = new java.io.PrintStream(buffer, true, "UTF-8");
+            System.setOut(log);
+            System.setErr(log);
+
+            Outcome o = new Outcome();
+            Thread worker = new Thread(null, () -> {
+                try {
+                    call(raw, o);
+                } catch (Throwable e) {
+                    o.error = e;
+                }
+            }, "solve", 1L << 28);
+            worker.setDaemon(true);
+            worker.start();
+            worker.join(TIMEOUT_MS);
+
+            log.flush();
+            System.setOut(stdout);
+            System.setErr(stderr);
+            String logs = buffer.toString("UTF-8");
+            if (logs.length() > MAX_LOG_CHARS) logs = logs.substring(0, MAX_LOG_CHARS) + "\n...[logs truncated]";
+
+            StringBuilder line = new StringBuilder("\n").append(MARK).append("{\"i\":").append(i).append(",\"logs\":");
+            quote(logs, line);
+            if (worker.isAlive()) {
+                line.append(",\"ok\":false,\"timedOut\":true,\"fatal\":true,\"ms\":").append(TIMEOUT_MS);
+                line.append(",\"error\":\"Timed out after ").append(TIMEOUT_MS).append("ms.\"}\n");
+                out.print(line);
+                out.flush();
+                Runtime.getRuntime().halt(0);
+            }
+            if (o.error instanceof OutOfMemoryError) {
+                line.append(",\"ok\":false,\"memoryExceeded\":true,\"error\":");
+                quote(MEMORY_LIMIT_MB > 0 ? "Ran out of memory (limit " + MEMORY_LIMIT_MB + " MB)." : "Ran out of memory.", line);
+            } else if (o.error != null) {
+                line.append(",\"ok\":false,\"error\":");
+                quote(describe(o.error), line);
+            } else if (o.mismatch != null) {
+                line.append(",\"ok\":false,\"error\":");
+                quote(o.mismatch, line);
+            } else {
+                line.append(",\"ok\":true,\"output\":");
+                quote(o.result instanceof String ? (String) o.result : json(o.result), line);
+                line.append(",\"json\":");
+                quote(json(o.result), line);
+                line.append(",\"ms\":").append(o.ms);
+                if (TRACK_MEMORY && o.memoryKb >= 0) line.append(",\"memoryKb\":").append(o.memoryKb);
+            }
+            line.append("}\n");
+            out.print(line);
+            out.flush();
+        }
+    }
+}
+`;
+  // collapsed onto one line (the harness has no line comments), see splitJavaSource
+  const program = `${imports} ${harness.replace(/\s*\n\s*/g, " ").trim()} ${body}`;
+  return [
+    { name: "Main.java", content: program },
+    { name: INPUTS_FILE, content: inputLines(inputs) },
+  ];
+}
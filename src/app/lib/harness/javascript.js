@@ -0,0 +1,432 @@
+// app/lib/harness/javascript.js
+import { arityError } from "./inputs";
+
+// Reserved export the runner appends to the user's module (see solutionModule).
+const LOCALS_EXPORT = "__cs_locals";
+
+/**
+ * The user's code, unchanged, as its own module. Top-level declarations that weren't
+ * exported (`function solve`, `const solve = ...`, `class Solution`) are invisible to an
+ * importer, so one reserved export is appended that carries them; `typeof` keeps names
+ * the code never declared from throwing, and @ts-ignore keeps tsc from flagging them.
+ */
+function solutionModule(userCode, functionName) {
+  const names = [...new Set([functionName, "Solution"])];
+  const entries = names
+    .map((n) => `  // @ts-ignore\n  ${n}: typeof ${n} === "undefined" ? undefined : ${n},`)
+    .join("\n");
+  return `${userCode}
+
+// ---- added by the runner: top-level declarations, exported or not ----
+export const ${LOCALS_EXPORT} = {
+${entries}
+};
+`;
+}
+
+// How the runner reaches Node and the solution module: a real ES module for JS, and for
+// TS the CommonJS that tsc emits, with Node globals behind eval("require") so the TS
+// build doesn't need @types/node. `export {}` keeps main.ts a module, so its names can't
+// collide with the user's.
+const ESM_PRELUDE = `
+import * as __wt from "node:worker_threads";
+import { format as __fmt } from "node:util";
+import { getHeapStatistics as __heapStats } from "node:v8";
+const __file = new URL(import.meta.url);
+const __proc = process;
+const __loadSolution = () => import("./solution.mjs");
+`.trim();
+
+const CJS_PRELUDE = `
+export {};
+const __wt = eval("require")("worker_threads");
+const __fmt = eval("require")("util").format;
+const __heapStats = eval("require")("v8").getHeapStatistics;
+const __file = eval("__filename");
+const __proc = eval("process");
+const __loadSolution = async () => eval("require")("./solution");
+`.trim();
+
+/**
+ * Shared runner entry for JS/TS. It imports nothing from the user up front: the same file is
+ * both the controller (main thread) and the per-case worker, and each worker loads the
+ * solution module fresh, so a throw, hang or crash in one case only loses that case and
+ * module state never leaks between cases.
+ * solve is looked up as: named export, non-exported top-level declaration, default export
+ * (function, object or class), then any class with a solve() method. A module that fails to
+ * parse reports `compileError`, one without solve reports `missingExport`.
+ * console.* in a worker is forwarded to the controller line by line, so a case that
+ * times out still reports what it logged.
+ * `ms` covers only the solve() call (best of `repeat` calls, input re-parsed for each);
+ * `memoryKb` is the V8 heap growth across the first call, an approximation of its peak.
+ * `memoryLimitMb` caps each worker's heap; running out reports `memoryExceeded`.
+ * With `spread` each input is an array of the `params`' arguments, passed to solve separately.
+ * With `design` the name is a class (looked up the same way, minus the method fallbacks), and
+ * solve is a runner that constructs it and applies the case's operations; `ms` then covers
+ * the whole sequence.
+ * With `virtualClock` the worker replaces setTimeout/setInterval/setImmediate, Date and
+ * performance.now with a fake clock starting at 0 before loading the solution. solve's return
+ * value (or each item of a returned array) is tracked as a promise, and timers fire in time
+ * order, without real waiting, until all of them settled, no timer is left, or the clock
+ * reaches the case's `advanceMs` (one per input, null = no cap). The result is the list of
+ * settlements in the order they happened: { at, index?, value } or { at, index?, error }.
+ */
+function runnerBody({
+  prelude,
+  inputs,
+  functionName,
+  params,
+  spread,
+  design,
+  timeoutMs,
+  marker,
+  maxLogChars,
+  repeat,
+  trackMemory,
+  memoryLimitMb,
+  virtualClock,
+  advanceMs,
+}) {
+  return `
+${prelude}
+const __NAME = ${JSON.stringify(functionName)};
+const __LOCALS = ${JSON.stringify(LOCALS_EXPORT)};
+const __CASES = ${JSON.stringify(inputs)};
+const __TIMEOUT_MS = ${Number(timeoutMs)};
+const __MARK = ${JSON.stringify(marker)};
+const __MAX_LOG_CHARS = ${Number(maxLogChars)};
+const __REPEAT = ${Math.max(1, Math.floor(Number(repeat) || 1))};
+const __TRACK_MEMORY = ${Boolean(trackMemory)};
+const __MEMORY_LIMIT_MB = ${Number(memoryLimitMb) || 0};
+const __SPREAD = ${Boolean(spread)};
+const __ARITY = ${params.length};
+const __PARAMS = ${JSON.stringify(params.map((p) => p.name).join(", "))};
+const __ARITY_ERROR = ${JSON.stringify(arityError(params))};
+const __DESIGN = ${Boolean(design)};
+const __CLOCK = ${Boolean(virtualClock)};
+const __ADVANCE_MS = ${JSON.stringify(virtualClock ? inputs.map((_, i) => advanceMs?.[i] ?? null) : [])};
+// timer callbacks one case may fire before it counts as runaway (an interval nobody clears)
+const __MAX_TIMER_FIRES = 100000;
+
+function __format(v) {
+  if (typeof v === "string") return v;
+  if (typeof v === "number" || typeof v === "boolean") return String(v);
+  try {
+    const s = JSON.stringify(v);
+    return s === undefined ? String(v) : s;
+  } catch {
+    return String(v);
+  }
+}
+
+// typed copy of the return value for comparison; null when it isn't JSON-serializable
+function __json(v) {
+  try {
+    const s = JSON.stringify(v);
+    return s === undefined ? null : s;
+  } catch {
+    return null;
+  }
+}
+
+function __errText(e) {
+  return String(e && e.stack ? e.stack : e);
+}
+
+function __report(r) {
+  __proc.stdout.write("\\n" + __MARK + JSON.stringify(r) + "\\n");
+}
+
+function __isClass(v) {
+  return typeof v === "function" && /^class[\\s{]/.test(Function.prototype.toString.call(v));
+}
+
+// has a solve() method on its instances (also matches classes compiled down to functions)
+function __hasMethod(v) {
+  return typeof v === "function" && !!v.prototype && typeof v.prototype[__NAME] === "function";
+}
+
+function __callable(v) {
+  if (__hasMethod(v)) return (...args) => new v()[__NAME](...args);
+  if (typeof v === "function" && !__isClass(v)) return v;
+  if (v && typeof v === "object" && typeof v[__NAME] === "function") return v[__NAME].bind(v);
+  return null;
+}
+
+function __resolveSolve(mod) {
+  const locals = mod[__LOCALS] || {};
+  const candidates = [
+    mod[__NAME],
+    locals[__NAME],
+    mod.default,
+    ...Object.values(mod).filter(__hasMethod),
+    locals.Solution,
+  ];
+  for (const c of candidates) {
+    const fn = __callable(c);
+    if (fn) return fn;
+  }
+  return null;
+}
+
+function __resolveClass(mod) {
+  const locals = mod[__LOCALS] || {};
+  for (const c of [mod[__NAME], locals[__NAME], mod.default]) {
+    if (typeof c === "function" && c.prototype) return c;
+  }
+  return null;
+}
+
+class __MissingMethod extends Error {}
+
+// design questions: construct the class, then call each operation's method on the instance
+function __sequence(Cls) {
+  return async (names, args) => {
+    const obj = new Cls(...args[0]);
+    const out = [null];
+    for (let k = 1; k < names.length; k++) {
+      if (typeof obj[names[k]] !== "function") {
+        throw new __MissingMethod("Missing method: " + __NAME + " has no " + names[k] + "() method.");
+      }
+      const r = await obj[names[k]](...args[k]);
+      out.push(r === undefined ? null : r);
+    }
+    return out;
+  };
+}
+
+// The virtual clock: timers wait in a list and only fire when run() moves time forward.
+function __installClock() {
+  // untyped, so the TS build accepts the replacements
+  const g = eval("globalThis");
+  const RealDate = Date;
+  const realImmediate = g.setImmediate;
+  // Date.now() at virtual time 0
+  const EPOCH = RealDate.UTC(2024, 0, 1);
+  const timers = new Map();
+  let now = 0;
+  let lastId = 0;
+
+  const schedule = (fn, ms, args, repeat) => {
+    const id = ++lastId;
+    const delay = Math.max(0, Number(ms) || 0);
+    if (typeof fn === "function") timers.set(id, { id, at: now + delay, fn, args, every: repeat ? Math.max(1, delay) : 0 });
+    return id;
+  };
+  const clear = (id) => {
+    timers.delete(typeof id === "object" && id !== null ? Number(id) : id);
+  };
+  g.setTimeout = (fn, ms, ...args) => schedule(fn, ms, args, false);
+  g.setInterval = (fn, ms, ...args) => schedule(fn, ms, args, true);
+  g.setImmediate = (fn, ...args) => schedule(fn, 0, args, false);
+  g.clearTimeout = clear;
+  g.clearInterval = clear;
+  g.clearImmediate = clear;
+
+  function FakeDate(...args) {
+    if (!new.target) return new RealDate(EPOCH + now).toString();
+    return args.length === 0 ? new RealDate(EPOCH + now) : Reflect.construct(RealDate, args);
+  }
+  FakeDate.prototype = RealDate.prototype;
+  FakeDate.now = () => EPOCH + now;
+  FakeDate.parse = RealDate.parse;
+  FakeDate.UTC = RealDate.UTC;
+  g.Date = FakeDate;
+  Object.defineProperty(performance, "now", { value: () => now, configurable: true });
+
+  // lets every pending promise callback run (a real macrotask turn)
+  const flush = () => new Promise((resolve) => realImmediate(resolve));
+
+  return {
+    now: () => now,
+    // fires due timers in order (ties by creation) until done() or the clock would pass until
+    async run(until, done) {
+      let fires = 0;
+      for (;;) {
+        await flush();
+        if (done()) return;
+        let next = null;
+        for (const t of timers.values()) if (!next || t.at < next.at) next = t;
+        if (!next || next.at > until) break;
+        if (++fires > __MAX_TIMER_FIRES) {
+          throw new Error("Virtual clock: more than " + __MAX_TIMER_FIRES + " timer callbacks fired (an interval that is never cleared?).");
+        }
+        now = next.at;
+        if (next.every) next.at += next.every;
+        else timers.delete(next.id);
+        next.fn(...next.args);
+      }
+      if (until !== Infinity) now = Math.max(now, until);
+    },
+  };
+}
+
+// Runs one case on the virtual clock: tracks what solve returned and records each settlement.
+async function __runOnClock(clock, returned, until) {
+  const many = Array.isArray(returned);
+  const items = many ? returned : [returned];
+  const events = [];
+  let pending = items.length;
+  items.forEach((item, index) => {
+    const at = many ? { index } : {};
+    Promise.resolve(item).then(
+      (value) => {
+        events.push({ at: clock.now(), ...at, value: value === undefined ? null : value });
+        pending -= 1;
+      },
+      (e) => {
+        events.push({ at: clock.now(), ...at, error: String(e && e.message !== undefined ? e.message : e) });
+        pending -= 1;
+      }
+    );
+  });
+  await clock.run(until === null ? Infinity : until, () => pending === 0);
+  return events;
+}
+
+function __missingExport(mod) {
+  const names = Object.keys(mod).filter((k) => k !== __LOCALS && k !== "__esModule");
+  if (__DESIGN) {
+    return (
+      "Missing export: no class " + __NAME + " found in your code.\\n" +
+      "Define it as: export class " + __NAME + " { constructor(...) { ... } ... }\\n" +
+      "Your module exports: " + (names.length ? names.join(", ") : "nothing") + "."
+    );
+  }
+  return (
+    "Missing export: no " + __NAME + "() found in your code.\\n" +
+    "Define it as: export function " + __NAME + "(" + __PARAMS + ") { ... }\\n" +
+    "(export default, const " + __NAME + " = (" + __PARAMS + ") => ..., or a class with a " + __NAME + "() method also work.)\\n" +
+    "Your module exports: " + (names.length ? names.join(", ") : "nothing") + "."
+  );
+}
+
+function __runCase(i) {
+  return new Promise((resolve) => {
+    const w = new __wt.Worker(__file, {
+      workerData: { index: i },
+      ...(__MEMORY_LIMIT_MB ? { resourceLimits: { maxOldGenerationSizeMb: __MEMORY_LIMIT_MB } } : {}),
+    });
+    let done = false;
+    let logs = "";
+    const finish = (r) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      w.terminate();
+      resolve({ i, ms: 0, ...r, logs });
+    };
+    const timer = setTimeout(
+      () => finish({ ok: false, timedOut: true, error: "Timed out after " + __TIMEOUT_MS + "ms.", ms: __TIMEOUT_MS }),
+      __TIMEOUT_MS
+    );
+    w.on("message", (m) => {
+      if (m && m.log === undefined) return finish(m);
+      if (logs.length < __MAX_LOG_CHARS) {
+        logs += m.log + "\\n";
+        if (logs.length >= __MAX_LOG_CHARS) logs = logs.slice(0, __MAX_LOG_CHARS) + "\\n...[logs truncated]";
+      }
+    });
+    w.once("error", (e) =>
+      finish(
+        e && e.code === "ERR_WORKER_OUT_OF_MEMORY"
+          ? { ok: false, memoryExceeded: true, error: "Ran out of memory (limit " + __MEMORY_LIMIT_MB + " MB)." }
+          : { ok: false, error: __errText(e) }
+      )
+    );
+    w.once("exit", (code) => finish({ ok: false, error: "Case exited with code " + code + " before returning." }));
+  });
+}
+
+if (__wt.isMainThread) {
+  (async () => {
+    for (let i = 0; i < __CASES.length; i++) __report(await __runCase(i));
+  })();
+} else {
+  const __con = eval("console");
+  for (const level of ["log", "info", "warn", "error", "debug", "trace"]) {
+    __con[level] = (...args) => __wt.parentPort.postMessage({ log: __fmt(...args) });
+  }
+
+  const __heapUsed = () => __heapStats().used_heap_size;
+  // real time for ms, whatever the clock says
+  const __realNow = performance.now.bind(performance);
+  const __clock = __CLOCK ? __installClock() : null;
+
+  (async () => {
+    let mod;
+    try {
+      mod = await __loadSolution();
+    } catch (e) {
+      const parse = e && e.name === "SyntaxError";
+      __wt.parentPort.postMessage({
+        ok: false,
+        compileError: parse,
+        error: (parse ? "Your code does not parse:\\n" : "Your code threw while loading:\\n") + __errText(e),
+      });
+      return;
+    }
+    const __class = __DESIGN ? __resolveClass(mod) : null;
+    const __solve = __DESIGN ? __class && __sequence(__class) : __resolveSolve(mod);
+    if (!__solve) {
+      __wt.parentPort.postMessage({ ok: false, missingExport: true, error: __missingExport(mod) });
+      return;
+    }
+
+    const __args = () => {
+      const input = JSON.parse(__CASES[__wt.workerData.index]);
+      return __SPREAD ? input : [input];
+    };
+    const __first = __args();
+    if (__SPREAD && !(Array.isArray(__first) && __first.length === __ARITY)) {
+      __wt.parentPort.postMessage({ ok: false, error: __ARITY_ERROR });
+      return;
+    }
+
+    let started = 0;
+    try {
+      let __result;
+      let ms = Infinity;
+      let memoryKb = null;
+      for (let rep = 0; rep < __REPEAT; rep++) {
+        const args = rep === 0 ? __first : __args();
+        const heapBefore = __TRACK_MEMORY && rep === 0 ? __heapUsed() : 0;
+        started = __realNow();
+        __result = __clock
+          ? await __runOnClock(__clock, __solve(...args), __ADVANCE_MS[__wt.workerData.index])
+          : await __solve(...args);
+        ms = Math.min(ms, __realNow() - started);
+        if (__TRACK_MEMORY && rep === 0) memoryKb = Math.max(0, __heapUsed() - heapBefore) / 1024;
+      }
+      __wt.parentPort.postMessage({
+        ok: true,
+        output: __format(__result),
+        json: __json(__result),
+        ms,
+        memoryKb,
+      });
+    } catch (e) {
+      if (e instanceof __MissingMethod) {
+        __wt.parentPort.postMessage({ ok: false, missingExport: true, error: e.message });
+        return;
+      }
+      __wt.parentPort.postMessage({ ok: false, error: __errText(e), ms: started ? __realNow() - started : 0 });
+    }
+  })();
+}
+`.trim();
+}
+
+export function jsHarness(userCode, inputs, opts) {
+  return [
+    { name: "main.mjs", content: runnerBody({ prelude: ESM_PRELUDE, inputs, ...opts }).trim() },
+    { name: "solution.mjs", content: solutionModule(userCode, opts.functionName) },
+  ];
+}
+
+export function tsHarness(userCode, inputs, opts) {
+  return [
+    { name: "main.ts", content: runnerBody({ prelude: CJS_PRELUDE, inputs, ...opts }).trim() },
+    { name: "solution.ts", content: solutionModule(userCode, opts.functionName) },
+  ];
+}
@@ -0,0 +1,177 @@
+// app/lib/harness/python.js
+import { arityError } from "./inputs";
+
+/**
+ * Runs every case in one interpreter. Each case gets its own SIGALRM timer and
+ * try/except, so a slow or crashing case still lets the rest report.
+ * print()/stderr output during a case is captured into that case's `logs`;
+ * results always go to the real stdout.
+ * `ms` covers only the solve() call (best of `repeat`). `memoryKb` is tracemalloc's peak
+ * for the first call; tracing slows Python down, so performance runs turn it off.
+ * `memoryLimitMb` caps the address space each case may add (RLIMIT_AS); a MemoryError or a
+ * traced peak over the limit reports `memoryExceeded`.
+ * With `spread` each input is a list of the `params`' arguments, passed to solve as *args.
+ * With `design` the name is a class: each case constructs it and applies the operations,
+ * and the result is the list of every call's return value.
+ */
+export function pyHarness(
+  userCode,
+  inputs,
+  { functionName = "solve", params, spread, design, timeoutMs, marker, maxLogChars, repeat, trackMemory, memoryLimitMb }
+) {
+  const paramList = params.map((p) => p.name).join(", ");
+  const program = `
+import contextlib, io, json, resource, signal, sys, time, traceback, tracemalloc
+
+${userCode}
+
+__CASES = json.loads(${JSON.stringify(JSON.stringify(inputs))})
+__TIMEOUT_S = ${Number(timeoutMs) / 1000}
+__MARK = ${JSON.stringify(marker)}
+__MAX_LOG_CHARS = ${Number(maxLogChars)}
+__REPEAT = ${Math.max(1, Math.floor(Number(repeat) || 1))}
+__TRACK_MEMORY = ${trackMemory ? "True" : "False"}
+__MEMORY_LIMIT_MB = ${Number(memoryLimitMb) || 0}
+__SPREAD = ${spread ? "True" : "False"}
+__ARITY = ${params.length}
+__ARITY_ERROR = ${JSON.stringify(arityError(params))}
+__DESIGN = ${design ? "True" : "False"}
+
+class __CaseTimeout(BaseException):
+    pass
+
+class __MissingSolve(Exception):
+    pass
+
+class __BadInput(Exception):
+    pass
+
+def __sequence(cls):
+    # design questions: construct the class, then call each operation's method on the instance
+    def run(names, args):
+        obj = cls(*args[0])
+        out = [None]
+        for name, call_args in zip(names[1:], args[1:]):
+            method = getattr(obj, name, None)
+            if not callable(method):
+                raise __MissingSolve("Missing method: %s has no %s() method." % (cls.__name__, name))
+            out.append(method(*call_args))
+        return out
+    return run
+
+def __on_alarm(signum, frame):
+    raise __CaseTimeout()
+
+def __format(v):
+    if isinstance(v, str):
+        return v
+    try:
+        return json.dumps(v)
+    except Exception:
+        return str(v)
+
+def __json(v):
+    try:
+        return json.dumps(v, allow_nan=False)
+    except Exception:
+        return None
+
+def __logs(buf):
+    text = buf.getvalue()
+    if len(text) > __MAX_LOG_CHARS:
+        text = text[:__MAX_LOG_CHARS] + "\\n...[logs truncated]"
+    return text
+
+def __timed_call(fn, args, track_memory):
+    if track_memory:
+        tracemalloc.start()
+    try:
+        started = time.perf_counter()
+        result = fn(*args)
+        ms = (time.perf_counter() - started) * 1000
+        memory_kb = tracemalloc.get_traced_memory()[1] / 1024 if track_memory else None
+        return result, ms, memory_kb
+    finally:
+        if track_memory:
+            tracemalloc.stop()
+
+def __limit_memory():
+    # address space now + the case's allowance; returns the limits to restore afterwards
+    if not __MEMORY_LIMIT_MB:
+        return None
+    try:
+        soft, hard = resource.getrlimit(resource.RLIMIT_AS)
+        with open("/proc/self/statm") as f:
+            current = int(f.read().split()[0]) * resource.getpagesize()
+        cap = current + __MEMORY_LIMIT_MB * 1024 * 1024
+        if hard != resource.RLIM_INFINITY:
+            cap = min(cap, hard)
+        resource.setrlimit(resource.RLIMIT_AS, (cap, hard))
+        return (soft, hard)
+    except Exception:
+        return None
+
+def __restore_memory(previous):
+    if previous:
+        try:
+            resource.setrlimit(resource.RLIMIT_AS, previous)
+        except Exception:
+            pass
+
+def __report(r):
+    sys.__stdout__.write("\\n" + __MARK + json.dumps(r) + "\\n")
+    sys.__stdout__.flush()
+
+signal.signal(signal.SIGALRM, __on_alarm)
+
+for __i, __raw in enumerate(__CASES):
+    __started = time.perf_counter()
+    __buf = io.StringIO()
+    __previous_limit = __limit_memory()
+    try:
+        signal.setitimer(signal.ITIMER_REAL, __TIMEOUT_S)
+        __fn = globals().get("${functionName}")
+        if __DESIGN:
+            if not isinstance(__fn, type):
+                raise __MissingSolve("Missing class: define class ${functionName} at the top level of your code.")
+            __fn = __sequence(__fn)
+        elif not callable(__fn):
+            raise __MissingSolve("Missing function: define ${functionName}(${paramList}) at the top level of your code.")
+        __ms = None
+        __memory_kb = None
+        for __rep in range(__REPEAT):
+            __input = json.loads(__raw)
+            if __SPREAD and not (isinstance(__input, list) and len(__input) == __ARITY):
+                raise __BadInput(__ARITY_ERROR)
+            with contextlib.redirect_stdout(__buf), contextlib.redirect_stderr(__buf):
+                __result, __rep_ms, __rep_kb = __timed_call(__fn, __input if __SPREAD else [__input], __TRACK_MEMORY and __rep == 0)
+            __ms = __rep_ms if __ms is None else min(__ms, __rep_ms)
+            if __rep == 0:
+                __memory_kb = __rep_kb
+        signal.setitimer(signal.ITIMER_REAL, 0)
+        if __MEMORY_LIMIT_MB and __memory_kb is not None and __memory_kb > __MEMORY_LIMIT_MB * 1024:
+            __r = {"i": __i, "ok": False, "memoryExceeded": True, "error": "Peak memory %.1f MB is over the %d MB limit." % (__memory_kb / 1024, __MEMORY_LIMIT_MB), "ms": __ms, "memoryKb": __memory_kb}
+        else:
+            __r = {"i": __i, "ok": True, "output": __format(__result), "json": __json(__result), "ms": __ms, "memoryKb": __memory_kb}
+    except __CaseTimeout:
+        __r = {"i": __i, "ok": False, "timedOut": True, "error": "Timed out after %dms." % (__TIMEOUT_S * 1000), "ms": __TIMEOUT_S * 1000}
+    except __MissingSolve as e:
+        signal.setitimer(signal.ITIMER_REAL, 0)
+        __r = {"i": __i, "ok": False, "missingExport": True, "error": str(e), "ms": 0}
+    except __BadInput as e:
+        signal.setitimer(signal.ITIMER_REAL, 0)
+        __r = {"i": __i, "ok": False, "error": str(e), "ms": 0}
+    except MemoryError:
+        signal.setitimer(signal.ITIMER_REAL, 0)
+        __r = {"i": __i, "ok": False, "memoryExceeded": True, "error": "Ran out of memory (limit %d MB)." % __MEMORY_LIMIT_MB, "ms": (time.perf_counter() - __started) * 1000}
+    except BaseException:
+        signal.setitimer(signal.ITIMER_REAL, 0)
+        __r = {"i": __i, "ok": False, "error": traceback.format_exc(), "ms": (time.perf_counter() - __started) * 1000}
+    finally:
+        __result = __input = None
+        __restore_memory(__previous_limit)
+    __r["logs"] = __logs(__buf)
+    __report(__r)
+`.trim();
+  return [{ name: "main.py", content: program }];
+}
@@ -0,0 +1,726 @@
+// app/lib/harness/rust.js
+import { typeName } from "@/app/lib/valueTypes";
+import { INPUTS_FILE, argumentLabel, arityError, inputLines, operationArgumentLabel } from "./inputs";
+
+// No crates on the runners, so the harness carries its own JSON reader/writer.
+const RUST_JSON = String.raw`
+    pub enum Json {
+        Null,
+        Bool(bool),
+        Num(String),
+        Str(String),
+        Arr(Vec<Json>),
+        Obj(Vec<(String, Json)>),
+    }
+
+    struct Parser<'a> {
+        s: &'a [u8],
+        p: usize,
+    }
+
+    impl<'a> Parser<'a> {
+        fn ws(&mut self) {
+            while self.p < self.s.len() && (self.s[self.p] as char).is_ascii_whitespace() {
+                self.p += 1;
+            }
+        }
+        fn peek(&self) -> Option<u8> {
+            self.s.get(self.p).copied()
+        }
+        fn word(&mut self, w: &str, v: Json) -> Result<Json, String> {
+            if self.s[self.p..].starts_with(w.as_bytes()) {
+                self.p += w.len();
+                Ok(v)
+            } else {
+                Err("invalid JSON input".to_string())
+            }
+        }
+        fn hex4(&mut self) -> Result<u32, String> {
+            let digits = self.s.get(self.p..self.p + 4).ok_or("invalid JSON input")?;
+            self.p += 4;
+            u32::from_str_radix(std::str::from_utf8(digits).map_err(|e| e.to_string())?, 16).map_err(|e| e.to_string())
+        }
+        fn string(&mut self) -> Result<String, String> {
+            self.p += 1;
+            let mut out: Vec<u8> = Vec::new();
+            loop {
+                let c = self.peek().ok_or("unterminated string")?;
+                self.p += 1;
+                match c {
+                    b'"' => break,
+                    b'\\' => {
+                        let e = self.peek().ok_or("unterminated string")?;
+                        self.p += 1;
+                        let ch = match e {
+                            b'n' => '\n',
+                            b't' => '\t',
+                            b'r' => '\r',
+                            b'b' => '\u{8}',
+                            b'f' => '\u{c}',
+                            b'u' => {
+                                let mut cp = self.hex4()?;
+                                if (0xD800..0xDC00).contains(&cp) && self.s[self.p..].starts_with(b"\\u") {
+                                    self.p += 2;
+                                    let lo = self.hex4()?;
+                                    cp = 0x10000 + ((cp - 0xD800) << 10) + (lo.wrapping_sub(0xDC00) & 0x3FF);
+                                }
+                                char::from_u32(cp).unwrap_or('\u{FFFD}')
+                            }
+                            other => other as char,
+                        };
+                        let mut buf = [0u8; 4];
+                        out.extend_from_slice(ch.encode_utf8(&mut buf).as_bytes());
+                    }
+                    _ => out.push(c),
+                }
+            }
+            String::from_utf8(out).map_err(|e| e.to_string())
+        }
+        fn value(&mut self) -> Result<Json, String> {
+            self.ws();
+            match self.peek().ok_or("unexpected end of JSON input")? {
+                b'{' => {
+                    self.p += 1;
+                    let mut fields = Vec::new();
+                    self.ws();
+                    if self.peek() == Some(b'}') {
+                        self.p += 1;
+                        return Ok(Json::Obj(fields));
+                    }
+                    loop {
+                        self.ws();
+                        if self.peek() != Some(b'"') {
+                            return Err("invalid JSON input".to_string());
+                        }
+                        let key = self.string()?;
+                        self.ws();
+                        if self.peek() != Some(b':') {
+                            return Err("invalid JSON input".to_string());
+                        }
+                        self.p += 1;
+                        fields.push((key, self.value()?));
+                        self.ws();
+                        match self.peek() {
+                            Some(b',') => self.p += 1,
+                            Some(b'}') => {
+                                self.p += 1;
+                                return Ok(Json::Obj(fields));
+                            }
+                            _ => return Err("invalid JSON input".to_string()),
+                        }
+                    }
+                }
+                b'[' => {
+                    self.p += 1;
+                    let mut items = Vec::new();
+                    self.ws();
+                    if self.peek() == Some(b']') {
+                        self.p += 1;
+                        return Ok(Json::Arr(items));
+                    }
+                    loop {
+                        items.push(self.value()?);
+                        self.ws();
+                        match self.peek() {
+                            Some(b',') => self.p += 1,
+                            Some(b']') => {
+                                self.p += 1;
+                                return Ok(Json::Arr(items));
+                            }
+                            _ => return Err("invalid JSON input".to_string()),
+                        }
+                    }
+                }
+                b'"' => Ok(Json::Str(self.string()?)),
+                b't' => self.word("true", Json::Bool(true)),
+                b'f' => self.word("false", Json::Bool(false)),
+                b'n' => self.word("null", Json::Null),
+                _ => {
+                    let start = self.p;
+                    while self.p < self.s.len() && b"+-0123456789.eE".contains(&self.s[self.p]) {
+                        self.p += 1;
+                    }
+                    if self.p == start {
+                        return Err("invalid JSON input".to_string());
+                    }
+                    Ok(Json::Num(String::from_utf8_lossy(&self.s[start..self.p]).into_owned()))
+                }
+            }
+        }
+    }
+
+    pub fn parse(text: &str) -> Result<Json, String> {
+        let mut parser = Parser { s: text.as_bytes(), p: 0 };
+        let v = parser.value()?;
+        parser.ws();
+        if parser.p != parser.s.len() {
+            return Err("invalid JSON input".to_string());
+        }
+        Ok(v)
+    }
+
+    fn kind(v: &Json) -> &'static str {
+        match v {
+            Json::Null => "null",
+            Json::Bool(_) => "bool",
+            Json::Num(_) => "number",
+            Json::Str(_) => "string",
+            Json::Arr(_) => "array",
+            Json::Obj(_) => "object",
+        }
+    }
+
+    pub trait FromJson: Sized {
+        fn from_json(v: &Json) -> Result<Self, String>;
+    }
+
+    impl FromJson for i64 {
+        fn from_json(v: &Json) -> Result<Self, String> {
+            match v {
+                Json::Num(text) => text.parse::<i64>().or_else(|_| {
+                    let f: f64 = text.parse().map_err(|_| format!("expected an int, got {}", text))?;
+                    if f.fract() == 0.0 && f.abs() < 9.2e18 {
+                        Ok(f as i64)
+                    } else {
+                        Err(format!("expected an int, got {}", text))
+                    }
+                }),
+                other => Err(format!("expected an int, got {}", kind(other))),
+            }
+        }
+    }
+    impl FromJson for f64 {
+        fn from_json(v: &Json) -> Result<Self, String> {
+            match v {
+                Json::Num(text) => text.parse().map_err(|_| format!("expected a float, got {}", text)),
+                other => Err(format!("expected a float, got {}", kind(other))),
+            }
+        }
+    }
+    impl FromJson for bool {
+        fn from_json(v: &Json) -> Result<Self, String> {
+            match v {
+                Json::Bool(b) => Ok(*b),
+                other => Err(format!("expected a bool, got {}", kind(other))),
+            }
+        }
+    }
+    impl FromJson for String {
+        fn from_json(v: &Json) -> Result<Self, String> {
+            match v {
+                Json::Str(s) => Ok(s.clone()),
+                other => Err(format!("expected a string, got {}", kind(other))),
+            }
+        }
+    }
+    impl<T: FromJson> FromJson for Vec<T> {
+        fn from_json(v: &Json) -> Result<Self, String> {
+            match v {
+                Json::Arr(items) => items.iter().map(T::from_json).collect(),
+                other => Err(format!("expected an array, got {}", kind(other))),
+            }
+        }
+    }
+    impl<T: FromJson> FromJson for HashMap<String, T> {
+        fn from_json(v: &Json) -> Result<Self, String> {
+            match v {
+                Json::Obj(fields) => fields.iter().map(|(k, x)| Ok((k.clone(), T::from_json(x)?))).collect(),
+                other => Err(format!("expected an object, got {}", kind(other))),
+            }
+        }
+    }
+
+    pub trait ToJson {
+        fn write_json(&self, o: &mut String);
+        // the printed form: strings as-is, everything else as JSON
+        fn printed(&self) -> String {
+            let mut o = String::new();
+            self.write_json(&mut o);
+            o
+        }
+    }
+
+    fn write_str(s: &str, o: &mut String) {
+        o.push('"');
+        for c in s.chars() {
+            match c {
+                '"' => o.push_str("\\\""),
+                '\\' => o.push_str("\\\\"),
+                '\n' => o.push_str("\\n"),
+                '\r' => o.push_str("\\r"),
+                '\t' => o.push_str("\\t"),
+                c if (c as u32) < 0x20 => o.push_str(&format!("\\u{:04x}", c as u32)),
+                c => o.push(c),
+            }
+        }
+        o.push('"');
+    }
+
+    macro_rules! int_to_json {
+        ($($t:ty),*) => {$(
+            impl ToJson for $t {
+                fn write_json(&self, o: &mut String) {
+                    o.push_str(&self.to_string());
+                }
+            }
+        )*};
+    }
+    int_to_json!(i8, i16, i32, i64, i128, isize, u8, u16, u32, u64, u128, usize);
+
+    impl ToJson for f64 {
+        fn write_json(&self, o: &mut String) {
+            if self.is_finite() {
+                o.push_str(&self.to_string());
+            } else {
+                o.push_str("null");
+            }
+        }
+    }
+    impl ToJson for f32 {
+        fn write_json(&self, o: &mut String) {
+            (*self as f64).write_json(o);
+        }
+    }
+    impl ToJson for bool {
+        fn write_json(&self, o: &mut String) {
+            o.push_str(if *self { "true" } else { "false" });
+        }
+    }
+    impl ToJson for char {
+        fn write_json(&self, o: &mut String) {
+            write_str(&self.to_string(), o);
+        }
+    }
+    impl ToJson for String {
+        fn write_json(&self, o: &mut String) {
+            write_str(self, o);
+        }
+        fn printed(&self) -> String {
+            self.clone()
+        }
+    }
+    impl ToJson for &str {
+        fn write_json(&self, o: &mut String) {
+            write_str(self, o);
+        }
+        fn printed(&self) -> String {
+            self.to_string()
+        }
+    }
+    impl ToJson for () {
+        fn write_json(&self, o: &mut String) {
+            o.push_str("null");
+        }
+    }
+    impl<T: ToJson> ToJson for Option<T> {
+        fn write_json(&self, o: &mut String) {
+            match self {
+                Some(v) => v.write_json(o),
+                None => o.push_str("null"),
+            }
+        }
+    }
+    impl<T: ToJson> ToJson for Box<T> {
+        fn write_json(&self, o: &mut String) {
+            (**self).write_json(o);
+        }
+    }
+    fn write_items<'a, T: ToJson + 'a>(items: impl Iterator<Item = &'a T>, o: &mut String) {
+        o.push('[');
+        for (k, v) in items.enumerate() {
+            if k > 0 {
+                o.push(',');
+            }
+            v.write_json(o);
+        }
+        o.push(']');
+    }
+    impl<T: ToJson> ToJson for Vec<T> {
+        fn write_json(&self, o: &mut String) {
+            write_items(self.iter(), o);
+        }
+    }
+    impl<T: ToJson> ToJson for VecDeque<T> {
+        fn write_json(&self, o: &mut String) {
+            write_items(self.iter(), o);
+        }
+    }
+    impl<T: ToJson> ToJson for BTreeSet<T> {
+        fn write_json(&self, o: &mut String) {
+            write_items(self.iter(), o);
+        }
+    }
+    impl<T: ToJson, const N: usize> ToJson for [T; N] {
+        fn write_json(&self, o: &mut String) {
+            write_items(self.iter(), o);
+        }
+    }
+    impl<A: ToJson, B: ToJson> ToJson for (A, B) {
+        fn write_json(&self, o: &mut String) {
+            o.push('[');
+            self.0.write_json(o);
+            o.push(',');
+            self.1.write_json(o);
+            o.push(']');
+        }
+    }
+    fn write_fields<'a, K: AsRef<str> + 'a, T: ToJson + 'a>(fields: impl Iterator<Item = (&'a K, &'a T)>, o: &mut String) {
+        let mut sorted: Vec<(&K, &T)> = fields.collect();
+        sorted.sort_by(|a, b| a.0.as_ref().cmp(b.0.as_ref()));
+        o.push('{');
+        for (k, (key, v)) in sorted.into_iter().enumerate() {
+            if k > 0 {
+                o.push(',');
+            }
+            write_str(key.as_ref(), o);
+            o.push(':');
+            v.write_json(o);
+        }
+        o.push('}');
+    }
+    impl<K: AsRef<str>, T: ToJson> ToJson for HashMap<K, T> {
+        fn write_json(&self, o: &mut String) {
+            write_fields(self.iter(), o);
+        }
+    }
+    impl<K: AsRef<str>, T: ToJson> ToJson for BTreeMap<K, T> {
+        fn write_json(&self, o: &mut String) {
+            write_fields(self.iter(), o);
+        }
+    }
+`;
+
+const DESIGN_SHAPE_ERROR = "Input must be [operations, arguments].";
+
+// A design question's runner: <Class>::new(...) from operation 0, then a match that sends each
+// later operation to its method, converting the arguments; results are collected as JSON text.
+function rustDesign(design) {
+  const { className, constructorParams } = design;
+  const convert = (method, params) =>
+    params.map(
+      (p, k) =>
+        `let a${k}: ${typeName(p.type, "rust")} = argument(a, ${k}, ${JSON.stringify(operationArgumentLabel(method, p))})?;`
+    );
+  const list = (params) => params.map((_, k) => `a${k}`).join(", ");
+  const arms = design.methods.map((m) => {
+    const call = `obj.${m.name}(${list(m.params)})`;
+    const body = [
+      ...convert(m.name, m.params),
+      ...(m.returnType ? [`${call}.write_json(&mut out);`] : [`${call};`, `out.push_str("null");`]),
+    ];
+    return `${JSON.stringify(m.name)} => {
+                    ${body.join("\n                    ")}
+                }`;
+  });
+  return `
+    // already-serialized JSON (the results array)
+    struct Raw(String);
+    impl ToJson for Raw {
+        fn write_json(&self, o: &mut String) {
+            o.push_str(&self.0);
+        }
+    }
+
+    fn operation_args(args: &[Json], k: usize) -> Result<&[Json], String> {
+        match args.get(k) {
+            Some(Json::Arr(a)) => Ok(a),
+            _ => Err(${JSON.stringify(DESIGN_SHAPE_ERROR)}.to_string()),
+        }
+    }
+
+    fn argument<T: FromJson>(a: &[Json], k: usize, label: &str) -> Result<T, String> {
+        let v = a.get(k).ok_or_else(|| format!("{}: missing", label))?;
+        T::from_json(v).map_err(|e| format!("{}: {}", label, e))
+    }
+
+    fn sequence(value: &Json) -> Result<Raw, String> {
+        let (ops, args) = match value {
+            Json::Arr(v) if v.len() == 2 => match (&v[0], &v[1]) {
+                (Json::Arr(ops), Json::Arr(args)) => (ops, args),
+                _ => return Err(${JSON.stringify(DESIGN_SHAPE_ERROR)}.to_string()),
+            },
+            _ => return Err(${JSON.stringify(DESIGN_SHAPE_ERROR)}.to_string()),
+        };
+        let a = operation_args(args, 0)?;
+        ${convert(className, constructorParams).join("\n        ")}
+        let mut obj = super::${className}::new(${list(constructorParams)});
+        let mut out = String::from("[null");
+        for k in 1..ops.len() {
+            let a = operation_args(args, k)?;
+            out.push(',');
+            let op = match &ops[k] {
+                Json::Str(op) => op.as_str(),
+                _ => return Err(${JSON.stringify(DESIGN_SHAPE_ERROR)}.to_string()),
+            };
+            match op {
+                ${arms.join("\n                ")}
+                other => return Err(format!(${JSON.stringify(`${className} has no method {}`)}, other)),
+            }
+        }
+        out.push(']');
+        Ok(Raw(out))
+    }
+`;
+}
+
+/**
+ * Rust (2021 edition), one process for every case. The user's code comes first so compiler
+ * errors keep its line numbers; the harness lives in `mod __cs` and calls `super::solve`.
+ * Inputs are read from inputs.txt and converted to the declared parameter types (with
+ * `spread`, one argument per item of the input array).
+ * println! output during a case goes to that case's `logs` (fd 1 points at a temp file);
+ * stderr is left alone so crash messages still reach the runner. A counting global allocator
+ * gives `memoryKb` and enforces `memoryLimitMb`; going over it, or the timeout (a watchdog
+ * thread), reports the case with `fatal: true` and ends the process. Panics are caught per case.
+ * With `design` each case runs `sequence` (see rustDesign) instead of solve(); the class is
+ * built by the user's `<Class>::new(...)`.
+ */
+export function rustHarness(
+  userCode,
+  inputs,
+  { functionName = "solve", params, spread, design, timeoutMs, marker, maxLogChars, repeat, trackMemory, memoryLimitMb }
+) {
+  // a design case is only parsed here; sequence() converts each operation's arguments
+  const items = design
+    ? ""
+    : spread
+    ? `let items: Vec<&Json> = match &value {
+                Json::Arr(items) if items.len() == ${params.length} => items.iter().collect(),
+                _ => return Err(${JSON.stringify(arityError(params))}.to_string()),
+            };`
+    : "let items: Vec<&Json> = vec![&value];";
+  const convert = design
+    ? ""
+    : params
+        .map(
+          (p, k) => `let arg${k}: ${typeName(p.type, "rust")} =
+                FromJson::from_json(items[${k}]).map_err(|e| format!("{}: {}", ${JSON.stringify(argumentLabel(p, spread))}, e))?;`
+        )
+        .join("\n            ");
+  const call = design ? "sequence(&value)?" : `super::${functionName}(${params.map((_, k) => `arg${k}`).join(", ")})`;
+  const limitMb = Math.max(0, Math.floor(Number(memoryLimitMb) || 0));
+  const program = String.raw`${userCode}
+
+#[allow(dead_code, unused_imports, unused_mut, unused_variables)]
+mod __cs {
+    use std::alloc::{GlobalAlloc, Layout, System};
+    use std::collections::{BTreeMap, BTreeSet, HashMap, VecDeque};
+    use std::fs::File;
+    use std::io::{Read, Write};
+    use std::os::unix::io::AsRawFd;
+    use std::sync::atomic::{AtomicIsize, AtomicUsize, Ordering::SeqCst};
+    use std::sync::{mpsc, Mutex};
+    use std::time::{Duration, Instant};
+
+    extern "C" {
+        fn dup(fd: i32) -> i32;
+        fn dup2(from: i32, to: i32) -> i32;
+        fn write(fd: i32, buf: *const u8, n: usize) -> isize;
+        fn _exit(code: i32) -> !;
+    }
+
+    const MARK: &str = ${JSON.stringify(marker)};
+    const TIMEOUT_MS: u64 = ${Math.max(1, Math.floor(Number(timeoutMs)))};
+    const MAX_LOG_CHARS: usize = ${Number(maxLogChars)};
+    const REPEAT: usize = ${Math.max(1, Math.floor(Number(repeat) || 1))};
+    const TRACK_MEMORY: bool = ${trackMemory ? "true" : "false"};
+    const MEMORY_LIMIT_MB: isize = ${limitMb};
+
+    static OUT_FD: AtomicIsize = AtomicIsize::new(1);
+    static ALLOCATED: AtomicIsize = AtomicIsize::new(0);
+    static PEAK: AtomicIsize = AtomicIsize::new(0);
+    static BASE: AtomicIsize = AtomicIsize::new(0);
+    static LIMIT: AtomicIsize = AtomicIsize::new(0);
+    // the memory-exceeded result line for the current case, prepared before it runs
+    static OVER_LIMIT_PTR: AtomicUsize = AtomicUsize::new(0);
+    static OVER_LIMIT_LEN: AtomicUsize = AtomicUsize::new(0);
+    static PANIC: Mutex<Option<String>> = Mutex::new(None);
+
+    fn raw_write(bytes: &[u8]) {
+        let fd = OUT_FD.load(SeqCst) as i32;
+        let mut off = 0;
+        while off < bytes.len() {
+            let n = unsafe { write(fd, bytes[off..].as_ptr(), bytes.len() - off) };
+            if n <= 0 {
+                break;
+            }
+            off += n as usize;
+        }
+    }
+
+    fn charge(n: isize) {
+        let now = ALLOCATED.fetch_add(n, SeqCst) + n;
+        PEAK.fetch_max(now, SeqCst);
+        let limit = LIMIT.load(SeqCst);
+        if limit > 0 && now - BASE.load(SeqCst) > limit {
+            // can't unwind out of the allocator: report from here and stop
+            let (ptr, len) = (OVER_LIMIT_PTR.load(SeqCst), OVER_LIMIT_LEN.load(SeqCst));
+            unsafe {
+                write(OUT_FD.load(SeqCst) as i32, ptr as *const u8, len);
+                _exit(0);
+            }
+        }
+    }
+
+    struct Counting;
+
+    unsafe impl GlobalAlloc for Counting {
+        unsafe fn alloc(&self, layout: Layout) -> *mut u8 {
+            charge(layout.size() as isize);
+            System.alloc(layout)
+        }
+        unsafe fn alloc_zeroed(&self, layout: Layout) -> *mut u8 {
+            charge(layout.size() as isize);
+            System.alloc_zeroed(layout)
+        }
+        unsafe fn dealloc(&self, ptr: *mut u8, layout: Layout) {
+            ALLOCATED.fetch_sub(layout.size() as isize, SeqCst);
+            System.dealloc(ptr, layout)
+        }
+        unsafe fn realloc(&self, ptr: *mut u8, layout: Layout, new_size: usize) -> *mut u8 {
+            charge(new_size as isize - layout.size() as isize);
+            System.realloc(ptr, layout, new_size)
+        }
+    }
+
+    #[global_allocator]
+    static ALLOCATOR: Counting = Counting;
+${RUST_JSON}${design ? rustDesign(design) : ""}
+    struct Done {
+        output: String,
+        json: String,
+        ms: f64,
+        memory_kb: f64,
+    }
+
+    fn call(raw: &str) -> Result<Done, String> {
+        let mut done: Option<Done> = None;
+        for _ in 0..REPEAT {
+            let value = parse(raw).map_err(|e| format!("Input is not valid JSON: {}", e))?;
+            ${items}
+            ${convert}
+            let now = ALLOCATED.load(SeqCst);
+            BASE.store(now, SeqCst);
+            PEAK.store(now, SeqCst);
+            LIMIT.store(MEMORY_LIMIT_MB * 1024 * 1024, SeqCst);
+            let started = Instant::now();
+            let result = ${call};
+            let ms = started.elapsed().as_secs_f64() * 1000.0;
+            LIMIT.store(0, SeqCst);
+            match done.as_mut() {
+                Some(d) => d.ms = d.ms.min(ms),
+                None => {
+                    let mut json = String::new();
+                    result.write_json(&mut json);
+                    done = Some(Done {
+                        output: result.printed(),
+                        json,
+                        ms,
+                        memory_kb: (PEAK.load(SeqCst) - BASE.load(SeqCst)) as f64 / 1024.0,
+                    });
+                }
+            }
+        }
+        done.ok_or_else(|| "No result.".to_string())
+    }
+
+    fn read_logs(path: &std::path::Path, real_stdout: i32) -> String {
+        let _ = std::io::stdout().flush();
+        unsafe {
+            dup2(real_stdout, 1);
+        }
+        let mut text = String::new();
+        if let Ok(mut f) = File::open(path) {
+            let _ = f.read_to_string(&mut text);
+        }
+        let _ = std::fs::remove_file(path);
+        if text.len() > MAX_LOG_CHARS {
+            let mut cut = MAX_LOG_CHARS;
+            while !text.is_char_boundary(cut) {
+                cut -= 1;
+            }
+            text.truncate(cut);
+            text.push_str("\n...[logs truncated]");
+        }
+        text
+    }
+
+    pub fn run() {
+        let real_stdout = unsafe { dup(1) };
+        OUT_FD.store(real_stdout as isize, SeqCst);
+        std::panic::set_hook(Box::new(|info| {
+            *PANIC.lock().unwrap() = Some(info.to_string());
+        }));
+
+        let text = std::fs::read_to_string(${JSON.stringify(INPUTS_FILE)}).unwrap_or_default();
+        for (i, raw) in text.lines().enumerate() {
+            let head = format!("\n{}{{\"i\":{},\"ok\":false,\"fatal\":true,\"logs\":\"\",", MARK, i);
+            let over = format!("{}\"memoryExceeded\":true,\"error\":\"Ran out of memory (limit {} MB).\"}}\n", head, MEMORY_LIMIT_MB);
+            let over: &'static [u8] = over.into_bytes().leak();
+            OVER_LIMIT_PTR.store(over.as_ptr() as usize, SeqCst);
+            OVER_LIMIT_LEN.store(over.len(), SeqCst);
+            let timeout_line = format!("{}\"timedOut\":true,\"ms\":{},\"error\":\"Timed out after {}ms.\"}}\n", head, TIMEOUT_MS, TIMEOUT_MS);
+
+            let _ = std::io::stdout().flush();
+            let log_path = std::env::temp_dir().join(format!("cs-case-{}-{}.log", std::process::id(), i));
+            if let Ok(f) = File::create(&log_path) {
+                unsafe {
+                    dup2(f.as_raw_fd(), 1);
+                }
+            }
+
+            let (tx, rx) = mpsc::channel::<()>();
+            let watchdog = std::thread::spawn(move || {
+                if let Err(mpsc::RecvTimeoutError::Timeout) = rx.recv_timeout(Duration::from_millis(TIMEOUT_MS)) {
+                    raw_write(timeout_line.as_bytes());
+                    unsafe { _exit(0) }
+                }
+            });
+            *PANIC.lock().unwrap() = None;
+            let outcome = std::panic::catch_unwind(|| call(raw));
+            LIMIT.store(0, SeqCst);
+            drop(tx);
+            let _ = watchdog.join();
+
+            let logs = read_logs(&log_path, real_stdout);
+            let mut line = format!("\n{}{{\"i\":{},", MARK, i);
+            match outcome {
+                Ok(Ok(done)) => {
+                    line.push_str("\"ok\":true,\"output\":");
+                    done.output.write_json(&mut line);
+                    line.push_str(",\"json\":");
+                    done.json.write_json(&mut line);
+                    line.push_str(",\"ms\":");
+                    done.ms.write_json(&mut line);
+                    if TRACK_MEMORY {
+                        line.push_str(",\"memoryKb\":");
+                        done.memory_kb.write_json(&mut line);
+                    }
+                }
+                Ok(Err(error)) => {
+                    line.push_str("\"ok\":false,\"error\":");
+                    error.write_json(&mut line);
+                }
+                Err(_) => {
+                    let message = PANIC.lock().unwrap().take().unwrap_or_else(|| "panicked".to_string());
+                    line.push_str("\"ok\":false,\"error\":");
+                    message.write_json(&mut line);
+                }
+            }
+            line.push_str(",\"logs\":");
+            logs.write_json(&mut line);
+            line.push_str("}\n");
+            raw_write(line.as_bytes());
+        }
+    }
+}
+
+fn main() {
+    __cs::run();
+}
+`;
+  return [
+    { name: "main.rs", content: program },
+    { name: INPUTS_FILE, content: inputLines(inputs) },
+  ];
+}
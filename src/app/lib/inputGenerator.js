@@ -0,0 +1,231 @@
+// app/lib/inputGenerator.js
+
+/**
+ * Declarative input generators for performance mode. A question's `performance` spec is
+ *   { sizes: [1000, 4000, 16000, 64000], input: <generator> }
+ * and the runner builds one input per size n from the generator:
+ *   { type: "int", min, max }                          integer in [min, max]
+ *   { type: "float", min, max }
+ *   { type: "bool" }
+ *   { type: "const", value }
+ *   { type: "choice", values: [...] }
+ *   { type: "string", length, alphabet? }               alphabet defaults to a-z
+ *   { type: "array", length, items, sorted?, unique? }
+ *   { type: "object", fields: { key: <generator> } }
+ *   { type: "tuple", items: [<generator>, ...] }        fixed-length array, e.g. a signature's arguments
+ * Any length/min/max may be a number or a size expression: "n", "n*2", "n/4", "n+1", "n-1", "sqrt(n)".
+ * Generation is seeded, so the same spec always yields the same inputs.
+ */
+export const GENERATOR_TYPES = ["int", "float", "bool", "const", "choice", "string", "array", "object", "tuple"];
+
+export const MIN_PERF_SIZES = 3;
+export const MAX_PERF_SIZES = 6;
+export const MAX_PERF_N = 100_000;
+
+const MAX_SPEC_DEPTH = 5;
+const MAX_GENERATED_VALUES = 1_000_000; // per input, across all nesting levels
+const DEFAULT_ALPHABET = "abcdefghijklmnopqrstuvwxyz";
+
+const SIZE_EXPR = /^(?:n|sqrt\(n\)|n\s*([*/+-])\s*(\d+(?:\.\d+)?)|(\d+(?:\.\d+)?)\s*\*\s*n)$/;
+
+function isObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function isSizeValue(v) {
+  return (typeof v === "number" && Number.isFinite(v)) || (typeof v === "string" && SIZE_EXPR.test(v.trim()));
+}
+
+/**
+ * Evaluates a number or size expression for the current n.
+ */
+function sizeValue(v, n) {
+  if (typeof v === "number") return v;
+  const s = v.trim();
+  if (s === "n") return n;
+  if (s === "sqrt(n)") return Math.sqrt(n);
+  const [, op, arg, factor] = s.match(SIZE_EXPR);
+  if (factor !== undefined) return Number(factor) * n;
+  const k = Number(arg);
+  if (op === "*") return n * k;
+  if (op === "/") return n / k;
+  if (op === "+") return n + k;
+  return n - k;
+}
+
+function checkSpec(spec, path, depth, errors) {
+  if (!isObject(spec)) {
+    errors.push({ path, message: "must be a generator object" });
+    return;
+  }
+  if (!GENERATOR_TYPES.includes(spec.type)) {
+    errors.push({ path: `${path}.type`, message: `must be one of: ${GENERATOR_TYPES.join(", ")}` });
+    return;
+  }
+  if (depth > MAX_SPEC_DEPTH) {
+    errors.push({ path, message: `nests deeper than ${MAX_SPEC_DEPTH} levels` });
+    return;
+  }
+
+  const needSize = (key) => {
+    if (!isSizeValue(spec[key])) {
+      errors.push({ path: `${path}.${key}`, message: 'must be a number or a size expression like "n" or "n/2"' });
+    }
+  };
+
+  switch (spec.type) {
+    case "int":
+    case "float":
+      needSize("min");
+      needSize("max");
+      break;
+    case "choice":
+      if (!Array.isArray(spec.values) || spec.values.length === 0) {
+        errors.push({ path: `${path}.values`, message: "must be a non-empty array" });
+      }
+      break;
+    case "string":
+      needSize("length");
+      if (spec.alphabet !== undefined && (typeof spec.alphabet !== "string" || !spec.alphabet)) {
+        errors.push({ path: `${path}.alphabet`, message: "must be a non-empty string" });
+      }
+      break;
+    case "array":
+      needSize("length");
+      checkSpec(spec.items, `${path}.items`, depth + 1, errors);
+      break;
+    case "object":
+      if (!isObject(spec.fields) || Object.keys(spec.fields).length === 0) {
+        errors.push({ path: `${path}.fields`, message: "must be an object of generators" });
+        break;
+      }
+      for (const [key, field] of Object.entries(spec.fields)) {
+        checkSpec(field, `${path}.fields.${key}`, depth + 1, errors);
+      }
+      break;
+    case "tuple":
+      if (!Array.isArray(spec.items) || spec.items.length === 0) {
+        errors.push({ path: `${path}.items`, message: "must be a non-empty array of generators" });
+        break;
+      }
+      spec.items.forEach((item, i) => checkSpec(item, `${path}.items[${i}]`, depth + 1, errors));
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Field-level errors ({ path, message }) for a question's `performance` spec; empty means valid.
+ */
+export function validatePerformanceSpec(perf, path = "performance") {
+  const errors = [];
+  if (!isObject(perf)) return [{ path, message: "must be an object { sizes, input }" }];
+
+  const { sizes } = perf;
+  if (
+    !Array.isArray(sizes) ||
+    sizes.length < MIN_PERF_SIZES ||
+    sizes.length > MAX_PERF_SIZES ||
+    !sizes.every((n) => Number.isInteger(n) && n >= 1 && n <= MAX_PERF_N)
+  ) {
+    errors.push({
+      path: `${path}.sizes`,
+      message: `must be ${MIN_PERF_SIZES}–${MAX_PERF_SIZES} integers between 1 and ${MAX_PERF_N}`,
+    });
+  } else if (!sizes.every((n, i) => i === 0 || n > sizes[i - 1])) {
+    errors.push({ path: `${path}.sizes`, message: "must be strictly increasing" });
+  }
+
+  checkSpec(perf.input, `${path}.input`, 1, errors);
+  return errors;
+}
+
+// mulberry32: small, fast, good enough for test data
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function compareValues(a, b) {
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function generate(spec, n, ctx) {
+  if (++ctx.count > MAX_GENERATED_VALUES) {
+    throw new Error(`Generated input for n=${n} has more than ${MAX_GENERATED_VALUES} values`);
+  }
+  const { random } = ctx;
+
+  switch (spec.type) {
+    case "int": {
+      const min = Math.ceil(sizeValue(spec.min, n));
+      const max = Math.floor(sizeValue(spec.max, n));
+      if (max < min) throw new Error(`int range is empty for n=${n}`);
+      return min + Math.floor(random() * (max - min + 1));
+    }
+    case "float": {
+      const min = sizeValue(spec.min, n);
+      const max = sizeValue(spec.max, n);
+      return min + random() * (max - min);
+    }
+    case "bool":
+      return random() < 0.5;
+    case "const":
+      return spec.value ?? null;
+    case "choice":
+      return spec.values[Math.floor(random() * spec.values.length)];
+    case "string": {
+      const alphabet = spec.alphabet || DEFAULT_ALPHABET;
+      const length = Math.max(0, Math.floor(sizeValue(spec.length, n)));
+      ctx.count += length;
+      let s = "";
+      for (let i = 0; i < length; i++) s += alphabet[Math.floor(random() * alphabet.length)];
+      return s;
+    }
+    case "array": {
+      const length = Math.max(0, Math.floor(sizeValue(spec.length, n)));
+      const out = [];
+      if (spec.unique) {
+        const seen = new Set();
+        // bounded retries so a too-narrow item range fails instead of spinning
+        for (let attempts = 0; out.length < length; attempts++) {
+          if (attempts > length * 20 + 100) throw new Error(`Could not generate ${length} unique items for n=${n}`);
+          const v = generate(spec.items, n, ctx);
+          const key = JSON.stringify(v);
+          if (seen.has(key)) continue;
+          seen.add(key);
+          out.push(v);
+        }
+      } else {
+        for (let i = 0; i < length; i++) out.push(generate(spec.items, n, ctx));
+      }
+      if (spec.sorted) out.sort(compareValues);
+      return out;
+    }
+    case "object": {
+      const out = {};
+      for (const [key, field] of Object.entries(spec.fields)) out[key] = generate(field, n, ctx);
+      return out;
+    }
+    case "tuple":
+      return spec.items.map((item) => generate(item, n, ctx));
+    default:
+      throw new Error(`Unknown generator type "${spec.type}"`);
+  }
+}
+
+/**
+ * Builds the input value for size n. Throws when the spec can't produce it
+ * (empty range, impossible uniqueness, too many values).
+ */
+export function generateInput(spec, n, seed = 1) {
+  return generate(spec, n, { random: createRandom(seed), count: 0 });
+}
@@ -0,0 +1,199 @@
+// app/lib/ip.js
+
+/**
+ * Parses an IPv4/IPv6 address into bytes. Accepts the forms seen in proxy headers:
+ * "[::1]:443", "1.2.3.4:5678", zone ids ("fe80::1%eth0"). Returns null when invalid.
+ * IPv4-mapped IPv6 ("::ffff:1.2.3.4") is returned as plain IPv4.
+ */
+export function parseIp(input) {
+  if (typeof input !== "string") return null;
+  let s = input.trim();
+  if (!s || s.length > 100) return null;
+
+  const bracketed = s.match(/^\[([^\]]+)\](?::\d+)?$/);
+  if (bracketed) s = bracketed[1];
+  else if (/^\d+\.\d+\.\d+\.\d+:\d+$/.test(s)) s = s.slice(0, s.lastIndexOf(":"));
+  s = s.replace(/%[\w.-]+$/, "");
+
+  const v4 = parseIPv4(s);
+  if (v4) return { version: 4, bytes: v4 };
+
+  const v6 = parseIPv6(s);
+  if (!v6) return null;
+  const mapped = v6.slice(0, 10).every((b) => b === 0) && v6[10] === 0xff && v6[11] === 0xff;
+  return mapped ? { version: 4, bytes: v6.slice(12) } : { version: 6, bytes: v6 };
+}
+
+function parseIPv4(s) {
+  const parts = s.split(".");
+  if (parts.length !== 4) return null;
+  const bytes = new Uint8Array(4);
+  for (let i = 0; i < 4; i++) {
+    if (!/^\d{1,3}$/.test(parts[i]) || (parts[i].length > 1 && parts[i][0] === "0")) return null;
+    const n = Number(parts[i]);
+    if (n > 255) return null;
+    bytes[i] = n;
+  }
+  return bytes;
+}
+
+function parseIPv6(s) {
+  if (!/^[0-9a-f:.]+$/i.test(s)) return null;
+  const halves = s.split("::");
+  if (halves.length > 2) return null;
+
+  const toGroups = (part) => (part === "" ? [] : part.split(":"));
+  const head = toGroups(halves[0]);
+  const tail = halves.length === 2 ? toGroups(halves[1]) : [];
+
+  // trailing dotted quad ("::ffff:1.2.3.4") counts as two groups
+  const last = halves.length === 2 ? tail : head;
+  if (last.length > 0 && last[last.length - 1].includes(".")) {
+    const v4 = parseIPv4(last.pop());
+    if (!v4) return null;
+    last.push(((v4[0] << 8) | v4[1]).toString(16), ((v4[2] << 8) | v4[3]).toString(16));
+  }
+
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+  const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill("0"), ...tail];
+
+  const bytes = new Uint8Array(16);
+  for (let i = 0; i < 8; i++) {
+    if (!/^[0-9a-f]{1,4}$/i.test(groups[i])) return null;
+    const n = parseInt(groups[i], 16);
+    bytes[i * 2] = n >> 8;
+    bytes[i * 2 + 1] = n & 0xff;
+  }
+  return bytes;
+}
+
+function formatIp({ version, bytes }) {
+  if (version === 4) return Array.from(bytes).join(".");
+
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) groups.push((bytes[i] << 8) | bytes[i + 1]);
+
+  // RFC 5952: compress the longest run (>= 2) of zero groups
+  let best = { start: -1, len: 0 };
+  for (let i = 0; i < 8; ) {
+    if (groups[i] !== 0) {
+      i++;
+      continue;
+    }
+    let j = i;
+    while (j < 8 && groups[j] === 0) j++;
+    if (j - i > best.len) best = { start: i, len: j - i };
+    i = j;
+  }
+
+  const hex = groups.map((g) => g.toString(16));
+  if (best.len < 2) return hex.join(":");
+  const left = hex.slice(0, best.start).join(":");
+  const right = hex.slice(best.start + best.len).join(":");
+  return `${left}::${right}`;
+}
+
+/**
+ * Canonical text form ("::ffff:10.0.0.1" -> "10.0.0.1", "2001:DB8:0:0::1" -> "2001:db8::1"), or null.
+ */
+export function normalizeIp(input) {
+  const ip = parseIp(input);
+  return ip ? formatIp(ip) : null;
+}
+
+/**
+ * "10.0.0.0/8", "fd00::/8" or a bare address (= single host). Returns null when invalid.
+ */
+export function parseCidr(input) {
+  if (typeof input !== "string") return null;
+  const [addr, bits, extra] = input.trim().split("/");
+  if (extra !== undefined) return null;
+  const ip = parseIp(addr);
+  if (!ip) return null;
+
+  const max = ip.version === 4 ? 32 : 128;
+  if (bits === undefined) return { ...ip, prefix: max };
+  // IPv4-mapped ranges ("::ffff:10.0.0.0/104") are written in IPv6 bits but stored as IPv4
+  const mapped = ip.version === 4 && addr.includes(":");
+  if (!/^\d{1,3}$/.test(bits) || Number(bits) > (mapped ? 128 : max)) return null;
+
+  const prefix = mapped ? Number(bits) - 96 : Number(bits);
+  if (prefix < 0) return null;
+  return { ...ip, prefix };
+}
+
+function prefixMatches(a, b, prefix) {
+  const full = Math.floor(prefix / 8);
+  for (let i = 0; i < full; i++) if (a[i] !== b[i]) return false;
+  const rest = prefix % 8;
+  if (rest === 0) return true;
+  const mask = (0xff << (8 - rest)) & 0xff;
+  return (a[full] & mask) === (b[full] & mask);
+}
+
+/**
+ * True when `ip` (string or parsed) falls inside any of the parsed CIDRs.
+ */
+export function ipInRanges(ip, ranges) {
+  const parsed = typeof ip === "string" ? parseIp(ip) : ip;
+  if (!parsed) return false;
+  return ranges.some((r) => r.version === parsed.version && prefixMatches(parsed.bytes, r.bytes, r.prefix));
+}
+
+/**
+ * Rate-limit subject for an address: IPv4 as-is, IPv6 grouped by its /64 (or `v6Prefix`),
+ * since one client usually controls a whole IPv6 subnet.
+ */
+export function subnetKey(input, v6Prefix = 64) {
+  const ip = parseIp(input);
+  if (!ip) return null;
+  if (ip.version === 4) return formatIp(ip);
+
+  const bytes = new Uint8Array(16);
+  const full = Math.floor(v6Prefix / 8);
+  bytes.set(ip.bytes.slice(0, full));
+  if (v6Prefix % 8) bytes[full] = ip.bytes[full] & ((0xff << (8 - (v6Prefix % 8))) & 0xff);
+  return `${formatIp({ version: 6, bytes })}/${v6Prefix}`;
+}
+
+/**
+ * Picks the client address out of a proxy chain.
+ *
+ * The chain is the x-forwarded-for entries followed by the socket address (`peer`) when the
+ * runtime exposes it. It is walked from the right: the last `hops` entries were added by
+ * proxies we run, and any further entry inside a `trusted` range is skipped too.
+ * The first address left is the client; everything to its left is client-controlled
+ * and ignored. Returns a normalized address or null.
+ */
+export function resolveClientIp({ forwardedFor = "", realIp = "", peer = "", hops = 1, trusted = [] } = {}) {
+  const chain = String(forwardedFor || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  if (chain.length === 0 && realIp && hops > 0) chain.push(realIp);
+  if (peer) chain.push(peer);
+  // no proxy and no socket address: every header value is client-controlled
+  if (chain.length === 0 || (!peer && hops < 1)) return null;
+
+  // Without a socket address, the rightmost header entry is already what the nearest proxy saw.
+  let skip = peer ? hops : hops - 1;
+  let i = chain.length - 1;
+  while (i > 0) {
+    const ip = parseIp(chain[i]);
+    // a garbage entry means the chain can't be trusted beyond this point
+    if (!ip) break;
+    if (skip > 0) skip -= 1;
+    else if (!ipInRanges(ip, trusted)) break;
+    i -= 1;
+  }
+
+  const client = normalizeIp(chain[i]);
+  if (client) return client;
+  // fall back to the nearest valid address on the trusted side
+  for (let j = i + 1; j < chain.length; j++) {
+    const ip = normalizeIp(chain[j]);
+    if (ip) return ip;
+  }
+  return null;
+}
@@ -0,0 +1,313 @@
+// app/lib/languages.js
+import { parseSignature, resolveSignature } from "@/app/lib/signature";
+import { typeName, usesMap } from "@/app/lib/valueTypes";
+import { resolveDesign } from "@/app/lib/design";
+
+/**
+ * Languages the simulator supports. `typed` languages need the question's parameter and
+ * return types to build the starter and convert test inputs; `monaco` is the editor's language id.
+ * `clock` languages can run virtual-clock questions (see the JS harness).
+ */
+export const LANGUAGES = [
+  { id: "javascript", label: "JavaScript", monaco: "javascript", file: "main.js", typed: false, clock: true },
+  { id: "typescript", label: "TypeScript", monaco: "typescript", file: "main.ts", typed: false, clock: true },
+  { id: "python", label: "Python", monaco: "python", file: "main.py", typed: false, clock: false },
+  { id: "java", label: "Java", monaco: "java", file: "Solution.java", typed: true, clock: false },
+  { id: "cpp", label: "C++", monaco: "cpp", file: "solution.cpp", typed: true, clock: false },
+  { id: "go", label: "Go", monaco: "go", file: "solution.go", typed: true, clock: false },
+  { id: "rust", label: "Rust", monaco: "rust", file: "solution.rs", typed: true, clock: false },
+];
+
+const ALIASES = { js: "javascript", ts: "typescript", py: "python", "c++": "cpp", golang: "go", rs: "rust" };
+
+function languageInfo(lang) {
+  return LANGUAGES.find((l) => l.id === lang) || LANGUAGES[0];
+}
+
+export function normalizeLanguage(lang) {
+  const l = String(lang || "").toLowerCase();
+  const id = ALIASES[l] || l;
+  return LANGUAGES.some((x) => x.id === id) ? id : "javascript";
+}
+
+export function isTypedLanguage(lang) {
+  return languageInfo(lang).typed;
+}
+
+export function hasVirtualClock(lang) {
+  return languageInfo(lang).clock;
+}
+
+export function monacoLanguage(lang) {
+  return languageInfo(lang).monaco;
+}
+
+export function languageFileName(lang) {
+  return languageInfo(lang).file;
+}
+
+export function languageLabel(lang) {
+  return languageInfo(lang).label;
+}
+
+// placeholder return value per language for a starter
+function zeroValue(t, lang) {
+  if (lang === "cpp") return "{}";
+  if (lang === "rust") return "Default::default()";
+  if (lang === "go") {
+    if (t.kind === "array" || t.kind === "map") return "nil";
+    return { int: "0", float: "0", bool: "false", string: '""' }[t.kind];
+  }
+  // java
+  if (t.kind === "map") return "new HashMap<>()";
+  if (t.kind === "array") {
+    let inner = t;
+    let dims = "";
+    while (inner.kind === "array") {
+      inner = inner.of;
+      dims += dims ? "[]" : "[0]";
+    }
+    const base = inner.kind === "map" ? "Map" : typeName(inner, "java");
+    return `new ${base}${dims}`;
+  }
+  return { int: "0", float: "0.0", bool: "false", string: '""' }[t.kind];
+}
+
+function typedStarter(lang, { name, params, returnType }) {
+  const o = typeName(returnType, lang);
+  const ret = zeroValue(returnType, lang);
+  const list = (format) => params.map((p) => format(p.name, typeName(p.type, lang))).join(", ");
+  if (lang === "java") {
+    return `import java.util.*;
+
+class Solution {
+    public ${o} ${name}(${list((n, t) => `${t} ${n}`)}) {
+        // TODO: implement
+        return ${ret};
+    }
+}
+`;
+  }
+  if (lang === "cpp") {
+    return `#include <bits/stdc++.h>
+using namespace std;
+
+${o} ${name}(${list((n, t) => `${t} ${n}`)}) {
+    // TODO: implement
+    return ${ret};
+}
+`;
+  }
+  if (lang === "go") {
+    return `package main
+
+func ${name}(${list((n, t) => `${n} ${t}`)}) ${o} {
+	// TODO: implement
+	return ${ret}
+}
+`;
+  }
+  const use = usesMap(returnType) || params.some((p) => usesMap(p.type)) ? "use std::collections::HashMap;\n\n" : "";
+  return `${use}fn ${name}(${list((n, t) => `${n}: ${t}`)}) -> ${o} {
+    // TODO: implement
+    ${ret}
+}
+`;
+}
+
+// A design question's class: the constructor and every method, each with a placeholder body
+// (void methods get none).
+function designStarter(lang, { className, constructorParams, methods }) {
+  const typed = (t) => typeName(t, lang);
+  const list = (params, format) => params.map((p) => format(p.name, p.type)).join(", ");
+  const todo = (indent) => `${indent}// TODO: implement`;
+  const blocks = (render) => methods.map(render).join("\n\n");
+
+  if (lang === "javascript" || lang === "typescript") {
+    const ts = lang === "typescript";
+    const param = (n, t) => (ts ? `${n}: ${typed(t)}` : n);
+    return `export class ${className} {
+  constructor(${list(constructorParams, param)}) {
+    // TODO: set up state
+  }
+
+${blocks((m) => {
+  const o = ts ? `: ${m.returnType ? typed(m.returnType) : "void"}` : "";
+  return `  ${m.name}(${list(m.params, param)})${o} {
+${todo("    ")}${m.returnType ? "\n    return null;" : ""}
+  }`;
+})}
+}
+`;
+  }
+  if (lang === "python") {
+    const param = (n, t) => `, ${n}: ${typeName(t, "python")}`;
+    return `class ${className}:
+    def __init__(self${constructorParams.map((p) => param(p.name, p.type)).join("")}):
+        # TODO: set up state
+        pass
+
+${blocks(
+  (m) => `    def ${m.name}(self${m.params.map((p) => param(p.name, p.type)).join("")}) -> ${m.returnType ? typeName(m.returnType, "python") : "None"}:
+        # TODO: implement
+        ${m.returnType ? "return None" : "pass"}`
+)}
+`;
+  }
+  const ret = (m, indent) => (m.returnType ? `\n${indent}return ${zeroValue(m.returnType, lang)};` : "");
+  if (lang === "java") {
+    return `import java.util.*;
+
+class ${className} {
+    public ${className}(${list(constructorParams, (n, t) => `${typed(t)} ${n}`)}) {
+        // TODO: set up state
+    }
+
+${blocks(
+  (m) => `    public ${m.returnType ? typed(m.returnType) : "void"} ${m.name}(${list(m.params, (n, t) => `${typed(t)} ${n}`)}) {
+${todo("        ")}${ret(m, "        ")}
+    }`
+)}
+}
+`;
+  }
+  if (lang === "cpp") {
+    return `#include <bits/stdc++.h>
+using namespace std;
+
+class ${className} {
+public:
+    ${className}(${list(constructorParams, (n, t) => `${typed(t)} ${n}`)}) {
+        // TODO: set up state
+    }
+
+${blocks(
+  (m) => `    ${m.returnType ? typed(m.returnType) : "void"} ${m.name}(${list(m.params, (n, t) => `${typed(t)} ${n}`)}) {
+${todo("        ")}${ret(m, "        ")}
+    }`
+)}
+};
+`;
+  }
+  if (lang === "go") {
+    return `package main
+
+type ${className} struct {
+	// TODO: fields
+}
+
+func New${className}(${list(constructorParams, (n, t) => `${n} ${typed(t)}`)}) *${className} {
+	return &${className}{}
+}
+
+${blocks(
+  (m) => `func (this *${className}) ${m.name}(${list(m.params, (n, t) => `${n} ${typed(t)}`)})${m.returnType ? ` ${typed(m.returnType)}` : ""} {
+	// TODO: implement${m.returnType ? `\n\treturn ${zeroValue(m.returnType, lang)}` : ""}
+}`
+)}
+`;
+  }
+  const types = [...constructorParams, ...methods.flatMap((m) => m.params)].map((p) => p.type);
+  const use = methods.some((m) => m.returnType && usesMap(m.returnType)) || types.some(usesMap) ? "use std::collections::HashMap;\n\n" : "";
+  return `${use}struct ${className} {
+    // TODO: fields
+}
+
+impl ${className} {
+    fn new(${list(constructorParams, (n, t) => `${n}: ${typed(t)}`)}) -> Self {
+        ${className} {}
+    }
+
+${blocks(
+  (m) => `    fn ${m.name}(&mut self${m.params.map((p) => `, ${p.name}: ${typed(p.type)}`).join("")})${m.returnType ? ` -> ${typed(m.returnType)}` : ""} {
+${todo("        ")}${m.returnType ? `\n        ${zeroValue(m.returnType, lang)}` : ""}
+    }`
+)}
+}
+`;
+}
+
+/**
+ * Starter code for `lang` from the question's signature (see resolveSignature; questions
+ * without one get solve(input)). Typed languages need every type declared; without them
+ * they get a note instead. Design questions get their class (see design.js).
+ */
+export function starterTemplate(lang, question = {}) {
+  const design = resolveDesign(question);
+  if (design) return designStarter(lang, design);
+  const sig = resolveSignature(question);
+  const typed = parseSignature(sig);
+  const { name } = sig;
+
+  if (isTypedLanguage(lang)) {
+    if (typed) return typedStarter(lang, typed);
+    return `// This question doesn't declare its parameter and return types,\n// so it can't be solved in ${languageLabel(lang)}. Pick JavaScript, TypeScript or Python.\n`;
+  }
+
+  const names = sig.params.map((p) => p.name).join(", ");
+  const about = sig.spread ? `${names}: the case's arguments, parsed from JSON` : "input: parsed JSON value";
+
+  if (lang === "python") {
+    const signature = typed
+      ? `def ${name}(${typed.params.map((p) => `${p.name}: ${typeName(p.type, "python")}`).join(", ")}) -> ${typeName(typed.returnType, "python")}:`
+      : `def ${name}(${names}):`;
+    const aboutPy = sig.spread ? about : "input: parsed JSON value (number/string/list/dict/etc)";
+    return `${signature}
+    """
+    ${aboutPy}
+    return: value that matches expectedOutput
+    """
+    # TODO: implement
+    return None
+`;
+  }
+  if (lang === "typescript") {
+    const params = typed
+      ? typed.params.map((p) => `${p.name}: ${typeName(p.type, "typescript")}`).join(", ")
+      : sig.params.map((p) => `${p.name}: unknown`).join(", ");
+    const o = typed ? typeName(typed.returnType, "typescript") : "unknown";
+    return `export function ${name}(${params}): ${o} {
+  // ${about}
+  // return: value that matches expectedOutput
+  return null;
+}
+`;
+  }
+  return `export function ${name}(${names}) {
+  // ${about}
+  // return: value that matches expectedOutput
+  return null;
+}
+`;
+}
+
+/**
+ * Rough check that `starterCode` is written in `lang` and defines the question's function
+ * (or its design's class), so a question generated in one language doesn't hand its starter
+ * to another.
+ */
+export function starterMatchesLanguage(starterCode, lang, question = {}) {
+  const sc = String(starterCode || "");
+  const design = resolveDesign(question);
+  if (design) {
+    const cls = design.className;
+    if (lang === "go") return new RegExp(`\\bfunc\\s+New${cls}\\s*\\(`).test(sc);
+    if (lang === "rust") return new RegExp(`\\bimpl\\s+${cls}\\b`).test(sc);
+    if (lang === "cpp") return new RegExp(`\\b(class|struct)\\s+${cls}\\b`).test(sc) && /#include|\bstd::|using namespace/.test(sc);
+    if (lang === "python") return new RegExp(`^class\\s+${cls}\\b`, "m").test(sc);
+    const declared = new RegExp(`\\bclass\\s+${cls}\\b`).test(sc);
+    if (lang === "java") return declared && !/\bexport\s+class\b/.test(sc);
+    return declared && /\bexport\s+class\b/.test(sc);
+  }
+  const name = resolveSignature(question).name;
+  const call = `\\b${name}\\s*\\(`;
+  const has = (pattern) => new RegExp(pattern).test(sc);
+  if (lang === "python") return has(`\\bdef ${call}`);
+  if (lang === "java") return /\bclass\s+Solution\b/.test(sc) && has(call);
+  if (lang === "go") return has(`\\bfunc\\s+${call}`);
+  if (lang === "rust") return has(`\\bfn\\s+${call}`);
+  if (lang === "cpp") {
+    return has(call) && /#include|\bstd::|using namespace/.test(sc) && !has(`\\b(function|func|fn|def)\\s+${name}\\b`);
+  }
+  return has(`\\bfunction ${name}\\b`) && !/#include|\bclass\s+Solution\b/.test(sc);
+}
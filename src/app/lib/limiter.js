@@ -1,58 +1,238 @@
 // app/lib/limiter.js
-const buckets = new Map();
+import { readFile, writeFile, rename, mkdir } from "node:fs/promises";
+import path from "node:path";
+import { parseCidr, resolveClientIp, subnetKey } from "@/app/lib/ip";
+
+const MEMORY_MAX_KEYS = 10_000;
+const FILE_FLUSH_MS = 1_000;
+
+/**
+ * In-memory store with TTL + a key cap (oldest entries go first).
+ * Stores are async so a shared backend (Redis, SQL) can implement the same interface:
+ *   get(key) -> state | null,  set(key, state, ttlMs)
+ */
+export function createMemoryStore({ maxKeys = MEMORY_MAX_KEYS } = {}) {
+  const entries = new Map();
+
+  function sweep(now) {
+    for (const [key, e] of entries) {
+      if (e.expiresAt <= now) entries.delete(key);
+    }
+    while (entries.size > maxKeys) entries.delete(entries.keys().next().value);
+  }
+
+  return {
+    entries,
+    async get(key) {
+      const e = entries.get(key);
+      if (!e) return null;
+      if (e.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return e.state;
+    },
+    async set(key, state, ttlMs) {
+      const now = Date.now();
+      entries.delete(key); // re-insert so Map order tracks recency
+      entries.set(key, { state, expiresAt: now + ttlMs });
+      if (entries.size > maxKeys) sweep(now);
+    },
+  };
+}
+
+/**
+ * Memory store that is loaded from / flushed to a JSON file, so limits survive restarts.
+ * NOTE: one writer per file; multiple instances need a shared store instead.
+ */
+export function createFileStore({ filePath, maxKeys = MEMORY_MAX_KEYS } = {}) {
+  const memory = createMemoryStore({ maxKeys });
+  let loaded = null;
+  let flushTimer = null;
+
+  function load() {
+    if (!loaded) {
+      loaded = readFile(filePath, "utf8")
+        .then((text) => {
+          const now = Date.now();
+          for (const [key, e] of Object.entries(JSON.parse(text))) {
+            if (e?.expiresAt > now) memory.entries.set(key, e);
+          }
+        })
+        .catch(() => {}); // missing or corrupt file: start empty
+    }
+    return loaded;
+  }
+
+  function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(async () => {
+      flushTimer = null;
+      try {
+        await mkdir(path.dirname(filePath), { recursive: true });
+        const tmp = `${filePath}.tmp`;
+        await writeFile(tmp, JSON.stringify(Object.fromEntries(memory.entries)), "utf8");
+        await rename(tmp, filePath);
+      } catch (e) {
+        console.error("Rate limit store flush failed:", e);
+      }
+    }, FILE_FLUSH_MS);
+    flushTimer.unref?.();
+  }
+
+  return {
+    async get(key) {
+      await load();
+      return memory.get(key);
+    },
+    async set(key, state, ttlMs) {
+      await load();
+      await memory.set(key, state, ttlMs);
+      scheduleFlush();
+    },
+  };
+}
+
+let store = null;
+
+/**
+ * Store picked by RATE_LIMIT_STORE ("memory" | "file"); the file lives at RATE_LIMIT_FILE.
+ */
+function getStore() {
+  if (!store) {
+    store =
+      (process.env.RATE_LIMIT_STORE || "memory").toLowerCase() === "file"
+        ? createFileStore({ filePath: process.env.RATE_LIMIT_FILE || path.join(process.cwd(), ".data", "ratelimit.json") })
+        : createMemoryStore();
+  }
+  return store;
+}
 
 /**
- * Very simple in-memory rate limiter.
- * NOTE: In serverless / multi-instance, this won't be globally consistent.
- * It's still great for dev + basic protection.
+ * Sliding-window counter: the previous window's count is weighted by how much of it
+ * still overlaps the sliding window, so there is no burst at window boundaries.
+ * Only allowed requests are counted.
  */
-export function rateLimit({ key, limit, windowMs }) {
+export async function rateLimit({ key, limit, windowMs, store: s = getStore() }) {
   const now = Date.now();
-  const bucket = buckets.get(key) || { count: 0, resetAt: now + windowMs };
+  const windowStart = now - (now % windowMs);
+  let state = (await s.get(key)) || { windowStart, prev: 0, curr: 0 };
 
-  if (now > bucket.resetAt) {
-    bucket.count = 0;
-    bucket.resetAt = now + windowMs;
+  if (state.windowStart !== windowStart) {
+    // roll forward: last window becomes "prev"; anything older no longer overlaps
+    const prev = state.windowStart === windowStart - windowMs ? state.curr : 0;
+    state = { windowStart, prev, curr: 0 };
   }
 
-  bucket.count += 1;
-  buckets.set(key, bucket);
+  const elapsed = now - windowStart;
+  const weight = 1 - elapsed / windowMs;
+  const estimated = state.prev * weight + state.curr;
+  const allowed = estimated + 1 <= limit;
+
+  if (allowed) {
+    state = { ...state, curr: state.curr + 1 };
+    await s.set(key, state, windowMs * 2);
+  }
 
-  const remaining = Math.max(0, limit - bucket.count);
-  const allowed = bucket.count <= limit;
+  let resetAt;
+  if (allowed) {
+    resetAt = windowStart + windowMs;
+  } else if (state.prev > 0 && limit - 1 - state.curr >= 0) {
+    // frees up inside this window as the previous window's weight decays
+    resetAt = windowStart + windowMs * (1 - (limit - 1 - state.curr) / state.prev);
+  } else {
+    // wait for this window to become "prev" and decay enough
+    const x = state.curr > 0 ? Math.max(0, windowMs * (1 - (limit - 1) / state.curr)) : 0;
+    resetAt = windowStart + windowMs + x;
+  }
 
+  const used = state.prev * weight + state.curr;
   return {
     allowed,
-    remaining,
-    resetAt: bucket.resetAt,
+    limit,
+    remaining: Math.max(0, Math.floor(limit - used)),
+    resetAt: Math.max(now, Math.ceil(resetAt)),
   };
 }
 
-export function getClientIp(req) {
-  // Best-effort: works in many setups; behind proxies may vary.
-  const xf = req.headers.get("x-forwarded-for");
-  if (xf) return xf.split(",")[0].trim();
-  const xr = req.headers.get("x-real-ip");
-  if (xr) return xr.trim();
-  return "unknown";
+/**
+ * Standard rate limit headers (+ Retry-After when the request was rejected).
+ */
+export function rateLimitHeaders(rl) {
+  const headers = {
+    "X-RateLimit-Limit": String(rl.limit),
+    "X-RateLimit-Remaining": String(rl.remaining),
+    "X-RateLimit-Reset": String(Math.ceil(rl.resetAt / 1000)),
+  };
+  if (!rl.allowed) headers["Retry-After"] = String(Math.max(1, Math.ceil((rl.resetAt - Date.now()) / 1000)));
+  return headers;
 }
 
-export function validateDocsUrl(docsUrl) {
-  if (typeof docsUrl !== "string") return { ok: false, error: "docsUrl must be a string" };
-  const trimmed = docsUrl.trim();
-  if (!trimmed) return { ok: false, error: "docsUrl is required" };
-  if (trimmed.length > 600) return { ok: false, error: "docsUrl is too long" };
+/**
+ * Rate limit identity: the authenticated user when an upstream auth layer sets
+ * RATE_LIMIT_USER_HEADER (only trust that header if the proxy strips it from clients),
+ * otherwise the client IP.
+ */
+export function getRateLimitKey(req) {
+  const header = process.env.RATE_LIMIT_USER_HEADER;
+  const user = header ? req.headers.get(header)?.trim() : "";
+  if (user) return `user:${user.slice(0, 200)}`;
+  const ip = getClientIp(req);
+  return `ip:${ip === "unknown" ? ip : subnetKey(ip)}`;
+}
 
-  let u;
-  try {
-    u = new URL(trimmed);
-  } catch {
-    return { ok: false, error: "docsUrl must be a valid URL" };
-  }
+let proxyConfig = null;
 
-  if (!["http:", "https:"].includes(u.protocol)) {
-    return { ok: false, error: "docsUrl must start with http:// or https://" };
+/**
+ * TRUSTED_PROXY_HOPS: how many proxies we run in front of the app that append to
+ * x-forwarded-for (e.g. 1 behind Vercel or nginx). Default 0: with no proxy in front, every
+ * entry of that header comes from the client, so none of it is believed. TRUSTED_PROXIES:
+ * extra CIDRs to skip, e.g. an internal load balancer pool ("10.0.0.0/8,fd00::/8").
+ */
+function getProxyConfig() {
+  const env = `${process.env.TRUSTED_PROXY_HOPS ?? ""}|${process.env.TRUSTED_PROXIES ?? ""}`;
+  if (proxyConfig?.env !== env) {
+    const hops = Number(process.env.TRUSTED_PROXY_HOPS || 0);
+    const trusted = (process.env.TRUSTED_PROXIES || "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean)
+      .map((s) => {
+        const range = parseCidr(s);
+        if (!range) console.warn(`Ignoring invalid TRUSTED_PROXIES entry: ${s}`);
+        return range;
+      })
+      .filter(Boolean);
+    const valid = Number.isInteger(hops) && hops >= 0;
+    if (!valid) console.warn(`Ignoring invalid TRUSTED_PROXY_HOPS: ${process.env.TRUSTED_PROXY_HOPS}`);
+    proxyConfig = { env, hops: valid ? hops : 0, trusted };
   }
+  return proxyConfig;
+}
 
-  return { ok: true, value: trimmed };
+let warnedUnknown = false;
+
+/**
+ * Client address, normalized. Only the part of x-forwarded-for written by trusted proxies
+ * is believed, so a client can't pick its own rate-limit bucket by sending the header.
+ * Route handlers never see the socket address, so the proxy headers are the only source:
+ * without TRUSTED_PROXY_HOPS (or a proxy that sets the headers) every client lands in one
+ * shared "unknown" bucket. Limit by RATE_LIMIT_USER_HEADER where that's too coarse.
+ */
+export function getClientIp(req) {
+  const { hops, trusted } = getProxyConfig();
+  const ip = resolveClientIp({
+    forwardedFor: req.headers.get("x-forwarded-for"),
+    realIp: req.headers.get("x-real-ip"),
+    hops,
+    trusted,
+  });
+  if (!ip && !warnedUnknown) {
+    warnedUnknown = true;
+    console.warn(
+      "Rate limiting: no trusted client address (set TRUSTED_PROXY_HOPS behind a proxy); " +
+        "such requests share one bucket."
+    );
+  }
+  return ip || "unknown";
 }
@@ -0,0 +1,51 @@
+// app/lib/limits.js
+
+/**
+ * Per-case resource limits. Questions may set timeLimitMs / memoryLimitMb;
+ * anything missing falls back to the defaults for the question's difficulty.
+ */
+export const DEFAULT_LIMITS = {
+  beginner: { timeLimitMs: 1_000, memoryLimitMb: 64 },
+  intermediate: { timeLimitMs: 2_000, memoryLimitMb: 128 },
+  advanced: { timeLimitMs: 3_000, memoryLimitMb: 256 },
+};
+
+export const TIME_LIMIT_RANGE = { min: 100, max: 5_000 };
+export const MEMORY_LIMIT_RANGE = { min: 16, max: 512 };
+
+function inRange(v, { min, max }) {
+  return Number.isInteger(v) && v >= min && v <= max;
+}
+
+/**
+ * Field-level errors ({ path, message }) for a question's optional limits.
+ */
+export function validateLimits(q) {
+  const errors = [];
+  if (q.timeLimitMs !== undefined && q.timeLimitMs !== null && !inRange(q.timeLimitMs, TIME_LIMIT_RANGE)) {
+    errors.push({
+      path: "timeLimitMs",
+      message: `must be an integer between ${TIME_LIMIT_RANGE.min} and ${TIME_LIMIT_RANGE.max}`,
+    });
+  }
+  if (q.memoryLimitMb !== undefined && q.memoryLimitMb !== null && !inRange(q.memoryLimitMb, MEMORY_LIMIT_RANGE)) {
+    errors.push({
+      path: "memoryLimitMb",
+      message: `must be an integer between ${MEMORY_LIMIT_RANGE.min} and ${MEMORY_LIMIT_RANGE.max}`,
+    });
+  }
+  return errors;
+}
+
+/**
+ * { timeLimitMs, memoryLimitMb } for a question (or null: intermediate defaults).
+ * Out-of-range values are ignored rather than trusted.
+ */
+export function resolveLimits(question) {
+  const q = question || {};
+  const defaults = DEFAULT_LIMITS[q.difficulty] || DEFAULT_LIMITS.intermediate;
+  return {
+    timeLimitMs: inRange(q.timeLimitMs, TIME_LIMIT_RANGE) ? q.timeLimitMs : defaults.timeLimitMs,
+    memoryLimitMb: inRange(q.memoryLimitMb, MEMORY_LIMIT_RANGE) ? q.memoryLimitMb : defaults.memoryLimitMb,
+  };
+}
@@ -0,0 +1,30 @@
+// app/lib/llm/index.js
+import { createMockProvider } from "./mock";
+import { createOpenAIProvider } from "./openai";
+
+/**
+ * Generation providers all expose:
+ *   name, model
+ *   complete({ system, prompt, maxTokens }) -> Promise<string | null>  (raw JSON text)
+ * Transport/API failures throw.
+ */
+const factories = {
+  openai: createOpenAIProvider,
+  mock: createMockProvider,
+};
+
+let cached = null;
+
+/**
+ * Provider picked by GENERATION_PROVIDER ("openai" | "mock"), defaulting to openai.
+ */
+export function getGenerationProvider() {
+  const name = (process.env.GENERATION_PROVIDER || "openai").toLowerCase();
+  if (cached?.name === name) return cached;
+
+  const factory = factories[name];
+  if (!factory) throw new Error(`Unknown GENERATION_PROVIDER "${name}"`);
+
+  cached = factory();
+  return cached;
+}
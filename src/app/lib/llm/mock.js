@@ -0,0 +1,38 @@
+// app/lib/llm/mock.js
+import defaultFixtures from "./fixtures/questions.json";
+
+function pickLanguage(value, lang) {
+  return value && typeof value === "object" ? value[lang] ?? value.javascript : value;
+}
+
+/**
+ * Deterministic offline provider: answers generation prompts from fixtures
+ * (same output for the same prompt), and repair prompts by echoing the questions back.
+ * Fixture questions may hold per-language starterCode/referenceSolution objects.
+ */
+export function createMockProvider({ fixtures = defaultFixtures } = {}) {
+  async function complete({ prompt }) {
+    const repair = prompt.match(/Questions to repair:\n(\{[\s\S]*\})\n/);
+    if (repair) return repair[1];
+
+    const lang = prompt.match(/Selected language \(MUST follow\): (\w+)/)?.[1] || "javascript";
+    const count = Number(prompt.match(/EXACTLY (\d+)/)?.[1]) || 5;
+    const pool = fixtures.questions;
+
+    const questions = Array.from({ length: count }, (_, i) => {
+      const q = pool[i % pool.length];
+      const round = Math.floor(i / pool.length);
+      return {
+        ...q,
+        title: round > 0 ? `${q.title} (${round + 1})` : q.title,
+        starterCode: pickLanguage(q.starterCode, lang),
+        referenceSolution: pickLanguage(q.referenceSolution, lang),
+        sourceSection: null,
+      };
+    });
+
+    return JSON.stringify({ questions });
+  }
+
+  return { name: "mock", model: "fixtures", complete };
+}
@@ -0,0 +1,33 @@
+// app/lib/llm/openai.js
+import OpenAI from "openai";
+
+/**
+ * OpenAI (or any OpenAI-compatible server via baseURL, e.g. vLLM / Ollama / LM Studio).
+ */
+export function createOpenAIProvider({
+  apiKey = process.env.GENERATION_API_KEY || process.env.OPENAI_API_KEY,
+  baseURL = process.env.GENERATION_BASE_URL || undefined,
+  model = process.env.GENERATION_MODEL || "gpt-4.1-mini",
+  jsonMode = process.env.GENERATION_JSON_MODE !== "0",
+} = {}) {
+  let client = null;
+
+  async function complete({ system, prompt, maxTokens }) {
+    // Created lazily so importing the route never requires a key (mock provider, builds).
+    if (!client) client = new OpenAI({ apiKey, baseURL });
+
+    const completion = await client.chat.completions.create({
+      model,
+      ...(jsonMode ? { response_format: { type: "json_object" } } : {}),
+      messages: [
+        { role: "system", content: system },
+        { role: "user", content: prompt },
+      ],
+      max_completion_tokens: maxTokens,
+    });
+
+    return completion.choices[0]?.message?.content ?? null;
+  }
+
+  return { name: "openai", model, complete };
+}
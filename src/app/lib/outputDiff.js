@@ -0,0 +1,168 @@
+// app/lib/outputDiff.js
+import { canonical, childPath, kindOf, parseComparator, parseLoose } from "@/app/lib/compare";
+
+const MAX_ENTRIES = 50;
+const MAX_CHAR_DIFF_CELLS = 400_000; // n*m budget for the LCS table
+
+/**
+ * Character diff as segments [{ op: "equal" | "delete" | "insert", text }]
+ * ("delete" = only in expected, "insert" = only in actual). Common prefix/suffix are
+ * trimmed first; an LCS table is used for the middle when it is small enough,
+ * otherwise the middle is shown as one replacement.
+ */
+export function diffChars(expected, actual) {
+  let start = 0;
+  while (start < expected.length && start < actual.length && expected[start] === actual[start]) start++;
+  let endE = expected.length;
+  let endA = actual.length;
+  while (endE > start && endA > start && expected[endE - 1] === actual[endA - 1]) {
+    endE--;
+    endA--;
+  }
+
+  const a = expected.slice(start, endE);
+  const b = actual.slice(start, endA);
+  const middle = [];
+
+  if (a.length * b.length <= MAX_CHAR_DIFF_CELLS && a.length > 0 && b.length > 0) {
+    // lcs[i][j] = LCS length of a[i:], b[j:]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        middle.push({ op: "equal", text: a[i] });
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        middle.push({ op: "delete", text: a[i++] });
+      } else {
+        middle.push({ op: "insert", text: b[j++] });
+      }
+    }
+    if (i < a.length) middle.push({ op: "delete", text: a.slice(i) });
+    if (j < b.length) middle.push({ op: "insert", text: b.slice(j) });
+  } else {
+    if (a) middle.push({ op: "delete", text: a });
+    if (b) middle.push({ op: "insert", text: b });
+  }
+
+  // merge neighbours with the same op
+  const segments = [];
+  for (const seg of [
+    { op: "equal", text: expected.slice(0, start) },
+    ...middle,
+    { op: "equal", text: expected.slice(endE) },
+  ]) {
+    if (!seg.text) continue;
+    const last = segments[segments.length - 1];
+    if (last && last.op === seg.op) last.text += seg.text;
+    else segments.push({ ...seg });
+  }
+  return segments;
+}
+
+/**
+ * Every difference between two JSON values (up to MAX_ENTRIES):
+ *   { path, kind: "changed" | "type" | "missing" | "added", expected?, actual?, chars? }
+ * "missing" = only in expected, "added" = only in actual; string changes carry a char diff.
+ */
+function walk(expected, actual, numbersEqual, path, out) {
+  if (out.length >= MAX_ENTRIES) return;
+  const ek = kindOf(expected);
+  const ak = kindOf(actual);
+
+  if (ek !== ak) {
+    out.push({ path, kind: "type", expected, actual });
+    return;
+  }
+
+  if (ek === "array") {
+    const n = Math.max(expected.length, actual.length);
+    for (let i = 0; i < n; i++) {
+      if (i >= actual.length) out.push({ path: childPath(path, i), kind: "missing", expected: expected[i] });
+      else if (i >= expected.length) out.push({ path: childPath(path, i), kind: "added", actual: actual[i] });
+      else walk(expected[i], actual[i], numbersEqual, childPath(path, i), out);
+      if (out.length >= MAX_ENTRIES) return;
+    }
+    return;
+  }
+
+  if (ek === "object") {
+    for (const key of Object.keys(expected)) {
+      if (!Object.prototype.hasOwnProperty.call(actual, key)) {
+        out.push({ path: childPath(path, key), kind: "missing", expected: expected[key] });
+      } else {
+        walk(expected[key], actual[key], numbersEqual, childPath(path, key), out);
+      }
+      if (out.length >= MAX_ENTRIES) return;
+    }
+    for (const key of Object.keys(actual)) {
+      if (!Object.prototype.hasOwnProperty.call(expected, key)) {
+        out.push({ path: childPath(path, key), kind: "added", actual: actual[key] });
+        if (out.length >= MAX_ENTRIES) return;
+      }
+    }
+    return;
+  }
+
+  if (ek === "number" ? numbersEqual(expected, actual) : expected === actual) return;
+  out.push({
+    path,
+    kind: "changed",
+    expected,
+    actual,
+    ...(ek === "string" ? { chars: diffChars(expected, actual) } : {}),
+  });
+}
+
+function unorderedEntries(expected, actual) {
+  const counts = new Map();
+  for (const v of expected) counts.set(canonical(v), (counts.get(canonical(v)) || 0) + 1);
+  const out = [];
+  actual.forEach((v, i) => {
+    const key = canonical(v);
+    if (counts.get(key)) counts.set(key, counts.get(key) - 1);
+    else out.push({ path: `$[${i}]`, kind: "added", actual: v });
+  });
+  for (const [key, n] of counts) {
+    for (let k = 0; k < n; k++) out.push({ path: "$[*]", kind: "missing", expected: JSON.parse(key) });
+  }
+  return out.slice(0, MAX_ENTRIES);
+}
+
+/**
+ * Structured diff for a failing case, following the case's comparator.
+ * Returns { mode: "json", entries, truncated } or { mode: "text", chars } (exact/text comparators).
+ */
+export function diffOutputs({ expected, actualText, actualJson, comparator: spec }) {
+  const comparator = parseComparator(spec) || { type: "json" };
+  const expectedText = String(expected ?? "").trim();
+  const text = String(actualText ?? "").trim();
+
+  if (comparator.type === "exact" || comparator.type === "text") {
+    return { mode: "text", chars: diffChars(expectedText, text) };
+  }
+
+  const e = parseLoose(expectedText);
+  const a = actualJson !== undefined && actualJson !== null ? parseLoose(actualJson) : parseLoose(text);
+
+  let entries;
+  if (comparator.type === "unordered" && Array.isArray(e) && Array.isArray(a)) {
+    entries = unorderedEntries(e, a);
+  } else {
+    const numbersEqual =
+      comparator.type === "float"
+        ? (x, y) => Math.abs(x - y) <= Math.max(comparator.abs, comparator.rel * Math.max(Math.abs(x), Math.abs(y)))
+        : (x, y) => x === y;
+    entries = [];
+    walk(e, a, numbersEqual, "$", entries);
+  }
+
+  return { mode: "json", entries, truncated: entries.length >= MAX_ENTRIES };
+}
@@ -0,0 +1,133 @@
+// app/lib/performance.js
+import { generateInput } from "@/app/lib/inputGenerator";
+import { roundMs, runHarness } from "@/app/lib/runCases";
+
+// The whole benchmark is one backend execution, so it has to fit the runner's wall-clock limit.
+const PERF_CASE_TIMEOUT_MS = 1_000;
+const PERF_REPEAT = 3;
+const PERF_SEED = 1;
+const MAX_PERF_INPUT_CHARS = 1_500_000;
+const MIN_FIT_POINTS = 3;
+const MIN_MEASURABLE_MS = 0.05; // below this, timer noise dominates
+const CURVE_SAMPLES = 24;
+
+const MODELS = [
+  { label: "O(1)", f: () => 1 },
+  { label: "O(log n)", f: (n) => Math.max(1, Math.log2(n)) },
+  { label: "O(n)", f: (n) => n },
+  { label: "O(n log n)", f: (n) => n * Math.max(1, Math.log2(n)) },
+  { label: "O(n²)", f: (n) => n * n },
+  { label: "O(n³)", f: (n) => n * n * n },
+];
+
+function mean(xs) {
+  return xs.reduce((a, b) => a + b, 0) / xs.length;
+}
+
+/**
+ * Estimates empirical complexity from { n, ms } points. For each model g, time ≈ c·g(n)
+ * holds when ms/g(n) is constant, so the model with the smallest variance of log(ms/g(n))
+ * wins. Also reports the log-log slope (ms ∝ n^slope) and the fitted curve for charting.
+ * Returns { label, slope, scores, curve } or { label: null, note } when it can't tell.
+ */
+export function fitComplexity(points) {
+  const usable = points.filter((p) => p.n > 0 && Number.isFinite(p.ms));
+  if (usable.length < MIN_FIT_POINTS) {
+    return { label: null, note: `Need at least ${MIN_FIT_POINTS} completed sizes to estimate complexity.` };
+  }
+  if (Math.max(...usable.map((p) => p.ms)) < MIN_MEASURABLE_MS) {
+    return { label: null, note: "Too fast to measure at these sizes." };
+  }
+
+  const logN = usable.map((p) => Math.log(p.n));
+  const logT = usable.map((p) => Math.log(Math.max(p.ms, MIN_MEASURABLE_MS / 10)));
+
+  const scores = MODELS.map((m) => {
+    const ratios = usable.map((p, i) => logT[i] - Math.log(m.f(p.n)));
+    const avg = mean(ratios);
+    return { label: m.label, score: mean(ratios.map((r) => (r - avg) ** 2)), logC: avg, f: m.f };
+  });
+  const best = scores.reduce((a, b) => (b.score < a.score ? b : a));
+
+  const mx = mean(logN);
+  const my = mean(logT);
+  const sxx = logN.reduce((acc, x) => acc + (x - mx) ** 2, 0);
+  const slope = sxx > 0 ? logN.reduce((acc, x, i) => acc + (x - mx) * (logT[i] - my), 0) / sxx : 0;
+
+  const lo = usable[0].n;
+  const hi = usable[usable.length - 1].n;
+  const curve = Array.from({ length: CURVE_SAMPLES }, (_, k) => {
+    const n = lo + ((hi - lo) * k) / (CURVE_SAMPLES - 1);
+    return { n, ms: roundMs(Math.exp(best.logC) * best.f(n)) };
+  });
+
+  return {
+    label: best.label,
+    slope: Math.round(slope * 100) / 100,
+    scores: scores.map(({ label, score }) => ({ label, score: Math.round(score * 1e4) / 1e4 })),
+    curve,
+  };
+}
+
+/**
+ * Times `code` on inputs generated from a question's `performance` spec at growing sizes
+ * (one backend execution, fastest of PERF_REPEAT calls per size) and fits the timings.
+ * Outputs are not judged here. Returns
+ *   { ok: true, points, repeat, skippedSizes, fit, totalRuntimeMs, runnerError? }
+ * or { ok: false, error } when the inputs can't be generated.
+ */
+export async function runPerformance({ language, code, functionName = "solve", signature = null, performance }) {
+  const started = Date.now();
+
+  const sizes = [];
+  const inputs = [];
+  let chars = 0;
+  for (const n of performance.sizes) {
+    let text;
+    try {
+      text = JSON.stringify(generateInput(performance.input, n, PERF_SEED));
+    } catch (e) {
+      return { ok: false, error: `Could not generate the n=${n} input: ${e.message}` };
+    }
+    // larger sizes are dropped rather than sending the runner a huge program
+    if (chars + text.length > MAX_PERF_INPUT_CHARS) break;
+    chars += text.length;
+    sizes.push(n);
+    inputs.push(text);
+  }
+  if (inputs.length === 0) return { ok: false, error: "The smallest benchmark input is too large to run." };
+
+  const raw = new Array(inputs.length);
+  const { exec, execError } = await runHarness({
+    language,
+    code,
+    functionName,
+    signature,
+    inputs,
+    options: { timeoutMs: PERF_CASE_TIMEOUT_MS, repeat: PERF_REPEAT, trackMemory: false },
+    onCase: (r) => {
+      if (r.i >= 0 && r.i < raw.length) raw[r.i] = r;
+    },
+  });
+
+  const points = sizes.map((n, i) => {
+    const r = raw[i];
+    if (!r) {
+      return { n, ok: false, ms: null, error: (execError || exec?.stderr || "No result reported for this size.").trim() };
+    }
+    if (!r.ok) {
+      return { n, ok: false, ms: null, timedOut: Boolean(r.timedOut), error: String(r.error ?? "").trim() };
+    }
+    return { n, ok: true, ms: roundMs(r.ms) };
+  });
+
+  return {
+    ok: true,
+    points,
+    repeat: PERF_REPEAT,
+    skippedSizes: performance.sizes.slice(sizes.length),
+    fit: fitComplexity(points.filter((p) => p.ok)),
+    totalRuntimeMs: Date.now() - started,
+    ...(execError ? { runnerError: execError } : {}),
+  };
+}
@@ -0,0 +1,78 @@
+// app/lib/problemStore.js
+import { randomUUID } from "node:crypto";
+
+const SET_TTL_MS = 6 * 60 * 60 * 1000;
+const MAX_SETS = 500;
+
+/**
+ * Generated question sets, keyed by set id.
+ * Kept on globalThis so every route handler (and dev hot reloads) share one Map.
+ * NOTE: like the rate limiter, this is per-process. Multi-instance deployments
+ * need a shared store (Redis/DB) behind the same functions.
+ */
+const sets = globalThis.__codingSimProblemSets || new Map();
+globalThis.__codingSimProblemSets = sets;
+
+function evictExpired(now) {
+  for (const [id, set] of sets) {
+    if (set.expiresAt <= now) sets.delete(id);
+  }
+  // Map keeps insertion order, so the first entries are the oldest.
+  while (sets.size >= MAX_SETS) {
+    sets.delete(sets.keys().next().value);
+  }
+}
+
+/**
+ * Stores a generated question set and assigns ids.
+ * Returns the set id and the questions with `id` filled in (full, server-side copies).
+ */
+export function saveQuestionSet({ language, docsUrl, questions }) {
+  const now = Date.now();
+  evictExpired(now);
+
+  const setId = randomUUID();
+  const stored = questions.map((q, i) => ({ ...q, id: `${setId}:${i}` }));
+
+  sets.set(setId, {
+    id: setId,
+    language,
+    docsUrl,
+    questions: stored,
+    createdAt: now,
+    expiresAt: now + SET_TTL_MS,
+  });
+
+  return { setId, questions: stored };
+}
+
+/**
+ * Looks up a single question by its id ("<setId>:<index>").
+ * Returns null when the id is malformed, unknown or expired.
+ */
+export function getQuestion(questionId) {
+  if (typeof questionId !== "string") return null;
+  const sep = questionId.lastIndexOf(":");
+  if (sep <= 0) return null;
+
+  const set = sets.get(questionId.slice(0, sep));
+  if (!set) return null;
+  if (set.expiresAt <= Date.now()) {
+    sets.delete(set.id);
+    return null;
+  }
+
+  return set.questions.find((q) => q.id === questionId) || null;
+}
+
+/**
+ * Client-safe view of a stored question: hidden cases are replaced by a count
+ * and the reference solution is dropped.
+ */
+export function toPublicQuestion(question) {
+  const { hiddenTestCases, referenceSolution, ...rest } = question;
+  return {
+    ...rest,
+    hiddenCount: Array.isArray(hiddenTestCases) ? hiddenTestCases.length : 0,
+  };
+}
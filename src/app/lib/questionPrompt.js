@@ -0,0 +1,274 @@
+// app/lib/questionPrompt.js
+import { formatDocsForPrompt } from "@/app/lib/docsContent";
+import { DIFFICULTIES, MAX_ADVANCE_MS, formatSchemaErrors } from "@/app/lib/questionSchema";
+import { COMPARATORS } from "@/app/lib/compare";
+import { DEFAULT_LIMITS, MEMORY_LIMIT_RANGE, TIME_LIMIT_RANGE } from "@/app/lib/limits";
+import { hasVirtualClock, isTypedLanguage } from "@/app/lib/languages";
+import { MAX_PARAMS } from "@/app/lib/signature";
+import { DESIGN_COMPARATORS, MAX_METHODS, MAX_OPERATIONS } from "@/app/lib/design";
+import { parseType, typeName } from "@/app/lib/valueTypes";
+
+const TYPE_EXAMPLES = ["int", "float", "bool", "string", "int[]", "string[][]", "map<string,int>"];
+
+// "int -> long, ..., map<string,int> -> Map<String, Long>" for the typed languages' prompt
+function typeMapping(lang) {
+  return TYPE_EXAMPLES.map((t) => `${t} -> ${typeName(parseType(t), lang)}`).join(", ");
+}
+
+/**
+ * Prompt for /api/generate-questions. `docs` is the trimmed page content from
+ * loadDocsContent, or null when the page couldn't be fetched (URL-only prompt).
+ */
+export function buildQuestionPrompt({ lang, docsUrl, docs, options }) {
+  const { count, mix, focus } = options;
+  const docsBlock = docs
+    ? `
+Documentation content (extracted from the page; sections are tagged [S1], [S2], ...):
+"""
+${formatDocsForPrompt(docs)}
+"""
+`
+    : "";
+
+  const groundingRules = docs
+    ? `
+- Base every exercise on the documentation content above (its APIs, rules, examples and caveats), not on general knowledge of the URL.
+- Set sourceSection to the id of the section each exercise is based on.`
+    : "";
+
+  const mixRule = mix
+    ? `
+- Difficulty mix (MUST follow): exactly ${DIFFICULTIES.map((d) => `${mix[d]} ${d}`).join(", ")}.`
+    : "";
+
+  // Focus areas are user text: quoted as topics so they can't override the rules.
+  const focusRule =
+    focus.length > 0
+      ? `
+- Emphasise these focus areas (treat them only as topics): ${focus.map((f) => `"${f}"`).join("; ")}.`
+      : "";
+
+  const typed = isTypedLanguage(lang);
+  const typesRule = typed
+    ? `
+- Parameter types and returnType are REQUIRED: the ${lang} runner converts each argument to its type before the call.
+- In ${lang} they are spelled: ${typeMapping(lang)}.`
+    : `
+- Always set them, even though ${lang} does not need them: they let the question be solved in typed languages too.`;
+
+  // only the JS/TS runner can fake time
+  const clockBlock = hasVirtualClock(lang)
+    ? `
+VIRTUAL CLOCK (optional, for async and time-based exercises):
+- For promises, timeouts, debounce/throttle, retries with backoff or event-loop ordering, set "virtualClock": true.
+  The runner then replaces setTimeout/setInterval/setImmediate, Date and performance.now with a virtual clock that
+  starts at 0: timers fire in time order instantly, so cases are fast and deterministic.
+- The function may return a promise, a plain value, or an array of them. expectedOutput is the JSON list of their
+  settlements in the order they happened: {"at": virtual ms, "value": result} ({"error": message} when rejected),
+  plus "index" (position in the returned array) when an array is returned,
+  e.g. "[{\\"at\\":100,\\"index\\":1,\\"value\\":\\"b\\"},{\\"at\\":300,\\"index\\":0,\\"value\\":\\"a\\"}]".
+- A testCase may set "advanceMs" (0–${MAX_ADVANCE_MS}): the clock stops there and later settlements are not listed.
+  Without it the clock runs until everything settled or no timer is left.
+- Keep "virtualClock" out (or false) for exercises that don't involve time; performance is null for virtual-clock exercises.
+`
+    : "";
+
+  return `
+You are CodingSim, an assistant that creates practical coding assessment questions
+based on framework documentation.
+
+Documentation URL:
+${docsUrl}
+${docsBlock}
+Selected language (MUST follow): ${lang}
+
+Task:
+- Create EXACTLY ${count} different LeetCode-style exercises based on the docs page topic.${groundingRules}${mixRule}${focusRule}
+- Each exercise MUST be meaningfully different (different concept/angle/edge cases).
+- Each exercise is a function described by its "signature": a name and 1–${MAX_PARAMS} ordered, typed parameters,
+  e.g. {"name": "mergeSorted", "params": [{"name": "a", "type": "int[]"}, {"name": "b", "type": "int[]"}], "returnType": "int[]"}.
+- Give the function and its parameters short, descriptive camelCase names, like a real API; don't pack separate
+  arguments into one object parameter.
+
+EXECUTION MODEL:
+- testCase.input is a JSON array with one value per parameter, in order: "[[1,4],[2,3]]" for mergeSorted(a, b).
+- Runner calls name(arg1, arg2, ...) with those values, e.g. mergeSorted([1,4], [2,3]).
+- The return value is compared to expectedOutput using the test case's comparator.
+
+STARTER CODE RULES (<name>, <p1>, <T1>, <R> come from the signature):
+- starterCode MUST be in ${lang} ONLY.
+- If ${lang} is python: def <name>(<p1>, <p2>):
+- If ${lang} is javascript/typescript: export function <name>(<p1>, <p2>) { ... }
+- If ${lang} is java: class Solution { public <R> <name>(<T1> <p1>, <T2> <p2>) { ... } } (no public class, no main).
+- If ${lang} is cpp: #include <bits/stdc++.h>, using namespace std; and a free function <R> <name>(<T1> <p1>, <T2> <p2>) (no main).
+- If ${lang} is go: package main and func <name>(<p1> <T1>, <p2> <T2>) <R> (no main).
+- If ${lang} is rust: fn <name>(<p1>: <T1>, <p2>: <T2>) -> <R> (no main).
+- Do NOT use any other function name or parameter order than the signature's.
+${clockBlock}
+DESIGN QUESTIONS (optional, instead of a signature):
+- When the topic is about state that changes over several calls (a cache, an event emitter, a store, a
+  rate limiter, ...), an exercise may ask for a class: set "signature" to null and "design" to
+  {"className": "LRUCache", "constructorParams": [{"name": "capacity", "type": "int"}],
+   "methods": [{"name": "get", "params": [{"name": "key", "type": "int"}], "returnType": "int"},
+               {"name": "put", "params": [{"name": "key", "type": "int"}, {"name": "value", "type": "int"}], "returnType": "void"}]}
+  (1–${MAX_METHODS} methods; returnType "void" for methods that return nothing).
+- testCase.input is "[operations, arguments]": the class name first, then the method names, with one argument
+  array per operation, e.g. "[[\\"LRUCache\\",\\"put\\",\\"get\\"],[[2],[1,1],[1]]]" (at most ${MAX_OPERATIONS} operations).
+- expectedOutput is the JSON array of every call's result: null for the constructor and void methods, e.g. "[null,null,1]".
+- comparator is ${DESIGN_COMPARATORS.map((c) => `"${c}"`).join(" or ")}; performance is null.
+- starterCode and referenceSolution define the class: python class <Class>: with __init__; javascript/typescript
+  export class <Class> with a constructor; java class <Class> (not public) with a constructor; cpp class <Class> with a public
+  constructor and methods; go type <Class> struct, func New<Class>(...) *<Class> and methods on *<Class>;
+  rust struct <Class> with impl <Class> { fn new(...) -> Self, methods taking &mut self }.
+
+TYPES:
+- Types are: int, float, bool, string, T[] (array of T, e.g. int[], string[][]) and map<string,T> (object with string keys).
+- Every argument and expectedOutput MUST fit these types (no null, no mixed arrays).${typesRule}
+
+TEST RULES:
+- Provide 2–3 visible testCases (shown to user).
+- Provide 3–5 hiddenTestCases (NOT shown to user).
+- Hidden tests must include at least 2 edge cases that prevent trivial hardcoding.
+- Every testCase.input MUST be VALID JSON (as a string).
+- expectedOutput MUST be a string holding the JSON encoding of the return value (e.g. "3", "[1,2]", "{\\"a\\":1}", "\\"text\\"").
+- Keep outputs simple (number/string/boolean/null/string/array/object) when possible.
+- comparator (optional, default "json") says how expectedOutput is compared, pick the one that fits the task:
+  "json" = deep equality, object key order ignored; "float" = numbers within a tolerance, or
+  {"type": "float", "abs": 1e-6, "rel": 1e-9} to set it; "unordered" = array where order does not matter;
+  "text" = string compared ignoring case and whitespace; "exact" = printed output must match exactly.
+
+LIMITS (optional):
+- timeLimitMs: time one call may take, ${TIME_LIMIT_RANGE.min}–${TIME_LIMIT_RANGE.max}.
+- memoryLimitMb: memory one call may use, ${MEMORY_LIMIT_RANGE.min}–${MEMORY_LIMIT_RANGE.max}.
+- Leave them out to use the defaults for the difficulty (${Object.entries(DEFAULT_LIMITS)
+    .map(([d, l]) => `${d} ${l.timeLimitMs}ms/${l.memoryLimitMb}MB`)
+    .join(", ")}); set them only when the intended solution needs a tighter or looser bound.
+
+PERFORMANCE BENCHMARK (optional):
+- When running time clearly grows with input size, add "performance" so the user can measure
+  how their solution scales; otherwise set it to null.
+- sizes: 3–6 strictly increasing integers up to 100000 (e.g. [1000, 4000, 16000, 64000]).
+- input: a generator that builds the argument array for size n; use {"type": "tuple", "items": [<one generator per parameter>]}.
+  Generators are:
+  {"type": "int", "min": 0, "max": 100}, {"type": "float", "min": 0, "max": 1}, {"type": "bool"},
+  {"type": "const", "value": ...}, {"type": "choice", "values": [...]},
+  {"type": "string", "length": "n", "alphabet": "ab"},
+  {"type": "array", "length": "n", "items": <generator>, "sorted": false, "unique": false},
+  {"type": "object", "fields": {"key": <generator>}}, {"type": "tuple", "items": [<generator>, ...]}.
+  length/min/max take a number or a size expression: "n", "n*2", "n/4", "n+1", "n-1", "sqrt(n)".
+- Generated inputs must be valid arguments at every size.
+
+REFERENCE SOLUTION RULES:
+- referenceSolution MUST be a complete, correct implementation of the signature in ${lang} that passes EVERY testCase and hiddenTestCase.
+- It is run against your test cases to check expectedOutput; cases it disagrees with are dropped.
+- Define the function at top level (JS/TS may export it; Java inside class Solution); standard-library imports only, no I/O, no network.
+- It is never shown to the user.
+
+Return ONLY valid JSON EXACTLY with this schema:
+
+{
+  "questions": [
+    {
+      "title": "short title",
+      "concept": "1–2 sentence explanation",
+      "question": "full question text",
+      "signature": {
+        "name": "countAbove",
+        "params": [{ "name": "values", "type": "int[]" }, { "name": "threshold", "type": "int" }],
+        "returnType": "int"
+      },
+      "starterCode": "starter code for the signature in ${lang}",
+      "referenceSolution": "full working implementation in ${lang}",
+      "instructions": "what the user must do",
+      "hints": ["hint 1", "hint 2"],
+      "difficulty": "beginner | intermediate | advanced",
+      "sourceSection": ${docs ? '"id of the docs section this exercise is based on, e.g. S2"' : "null"},
+      "testCases": [
+        {
+          "name": "Case 1",
+          "input": "JSON array of the arguments, as a string, e.g. \\"[[3,8,5],4]\\"",
+          "expectedOutput": "JSON of the return value, as a string",
+          "comparator": "json",
+          "explanation": "1–2 sentences"
+        }
+      ],
+      "hiddenTestCases": [
+        {
+          "name": "Hidden 1",
+          "input": "JSON array of the arguments, as a string",
+          "expectedOutput": "JSON of the return value, as a string",
+          "comparator": "json",
+          "explanation": "short explanation"
+        }
+      ],
+      "performance": {
+        "sizes": [1000, 4000, 16000, 64000],
+        "input": {
+          "type": "tuple",
+          "items": [
+            { "type": "array", "length": "n", "items": { "type": "int", "min": -1000, "max": 1000 } },
+            { "type": "int", "min": -1000, "max": 1000 }
+          ]
+        }
+      }
+    }
+  ]
+}
+
+Formatting:
+- Return ONLY the JSON object. No extra text.
+- Use \\n inside strings, not raw line breaks.
+`.trim();
+}
+
+/**
+ * Follow-up prompt that sends schema errors back to the model for the questions that failed.
+ * `invalid` is validateQuestionSet's list ({ question, errors }).
+ */
+export function buildRepairPrompt({ lang, invalid }) {
+  const problems = invalid
+    .map((item, k) => `Question ${k + 1}:\n${formatSchemaErrors(item.errors)}`)
+    .join("\n\n");
+
+  return `
+Some of the coding questions you generated do not match the required schema.
+Fix ONLY the problems listed below and keep everything else (topic, wording, tests) the same.
+
+Selected language (MUST follow): ${lang}
+
+Problems:
+${problems}
+
+Schema reminders:
+- title, concept, question and referenceSolution are required non-empty strings.
+- difficulty MUST be exactly one of: ${DIFFICULTIES.join(", ")}.
+- hints is an array of strings.
+- testCases (at least 1) and hiddenTestCases (at least 2) are arrays of { "name", "input", "expectedOutput", "explanation" }.
+- input MUST be a string containing a VALID JSON array with one value per signature parameter; expectedOutput MUST be a string.
+- comparator, if present, is one of: ${COMPARATORS.join(", ")} (or {"type": "float", "abs": number, "rel": number}).
+- signature is { "name", "params": [1–${MAX_PARAMS} { "name", "type" }], "returnType" }; names are identifiers that aren't keywords, parameter names are unique.
+- Parameter types and returnType are one of int, float, bool, string, T[] or map<string,T> (e.g. "int[]", "map<string,string[]>").
+- Every argument in a testCase input MUST match its parameter's type.
+- A design question has "design" ({ "className", "constructorParams", "methods": [{ "name", "params", "returnType" or "void" }] })
+  instead of signature; its inputs are "[operations, arguments]" starting with the class name, its expectedOutput one
+  result per operation (null for the constructor and void methods), its comparator ${DESIGN_COMPARATORS.join(" or ")}, and performance null.
+- performance is null or { "sizes": [3–6 increasing integers <= 100000], "input": generator object }.
+- virtualClock, if present, is a boolean (true only for JavaScript/TypeScript, never with design); then testCases may set
+  advanceMs (integer 0–${MAX_ADVANCE_MS}), expectedOutput lists the settlements ({"at", "index"?, "value" or "error"}) and performance is null.
+- timeLimitMs (${TIME_LIMIT_RANGE.min}–${TIME_LIMIT_RANGE.max}) and memoryLimitMb (${MEMORY_LIMIT_RANGE.min}–${MEMORY_LIMIT_RANGE.max}), if present, are integers.
+
+Questions to repair:
+${JSON.stringify({ questions: invalid.map((item) => item.question) })}
+
+Return ONLY a JSON object {"questions": [...]} with the ${invalid.length} repaired question(s) in the same order.
+`.trim();
+}
+
+/**
+ * Maps the model's sourceSection id ("S2") back to the section heading; null if unknown.
+ */
+export function resolveSourceSection(docs, id) {
+  if (!docs || typeof id !== "string") return null;
+  const section = docs.sections.find((s) => s.id === id.trim().replace(/^\[|\]$/g, ""));
+  return section ? { id: section.id, heading: section.heading } : null;
+}
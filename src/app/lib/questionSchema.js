@@ -0,0 +1,212 @@
+// app/lib/questionSchema.js
+import { COMPARATORS, parseComparator } from "@/app/lib/compare";
+import { validatePerformanceSpec } from "@/app/lib/inputGenerator";
+import { validateLimits } from "@/app/lib/limits";
+import { validateTypes } from "@/app/lib/valueTypes";
+import { argumentsError, resolveSignature, validateSignature } from "@/app/lib/signature";
+import { DESIGN_COMPARATORS, operationsError, resolveDesign, resultsError, validateDesign } from "@/app/lib/design";
+
+export const DIFFICULTIES = ["beginner", "intermediate", "advanced"];
+
+const MAX_TITLE_CHARS = 120;
+const MAX_HINTS = 6;
+
+// how far a virtual-clock case may run the clock (one hour)
+export const MAX_ADVANCE_MS = 3_600_000;
+
+function isObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function isNonEmptyString(v) {
+  return typeof v === "string" && v.trim().length > 0;
+}
+
+/**
+ * What a case input (and its expectedOutput) must look like beyond valid JSON, from the
+ * question's signature or design; each check returns an error message or null.
+ * `clock` (virtual-clock questions) allows a case's advanceMs.
+ */
+function caseShape({ signature, design, clock = false }) {
+  if (design) {
+    return {
+      input: (input) => operationsError(input, design),
+      output: (expected, input) => resultsError(expected, input, design),
+      comparators: DESIGN_COMPARATORS,
+      clock,
+    };
+  }
+  return { input: (input) => (signature ? argumentsError(input, signature) : null), clock };
+}
+
+function checkCase(tc, path, shape, errors) {
+  if (!isObject(tc)) {
+    errors.push({ path, message: "must be an object" });
+    return;
+  }
+  if (tc.name !== undefined && typeof tc.name !== "string") {
+    errors.push({ path: `${path}.name`, message: "must be a string" });
+  }
+  if (typeof tc.input !== "string") {
+    errors.push({ path: `${path}.input`, message: "must be a string containing JSON" });
+  } else {
+    // also that it holds what the signature or design expects
+    const problem = shape.input(tc.input);
+    try {
+      JSON.parse(tc.input);
+      if (problem) errors.push({ path: `${path}.input`, message: problem });
+    } catch {
+      errors.push({ path: `${path}.input`, message: "is not valid JSON" });
+    }
+  }
+  if (typeof tc.expectedOutput !== "string") {
+    errors.push({ path: `${path}.expectedOutput`, message: "must be a string" });
+  } else if (shape.output && typeof tc.input === "string" && !shape.input(tc.input)) {
+    const problem = shape.output(tc.expectedOutput, tc.input);
+    if (problem) errors.push({ path: `${path}.expectedOutput`, message: problem });
+  }
+  const comparator = tc.comparator === undefined ? null : parseComparator(tc.comparator);
+  if (tc.comparator !== undefined && !comparator) {
+    errors.push({
+      path: `${path}.comparator`,
+      message: `must be one of: ${COMPARATORS.join(", ")} (or { type: "float", abs, rel })`,
+    });
+  } else if (comparator && shape.comparators && !shape.comparators.includes(comparator.type)) {
+    errors.push({ path: `${path}.comparator`, message: `must be one of: ${shape.comparators.join(", ")} for a design question` });
+  }
+  if (tc.explanation !== undefined && typeof tc.explanation !== "string") {
+    errors.push({ path: `${path}.explanation`, message: "must be a string" });
+  }
+  if (tc.advanceMs !== undefined && tc.advanceMs !== null) {
+    if (!shape.clock) {
+      errors.push({ path: `${path}.advanceMs`, message: "is only allowed when virtualClock is true" });
+    } else if (!Number.isInteger(tc.advanceMs) || tc.advanceMs < 0 || tc.advanceMs > MAX_ADVANCE_MS) {
+      errors.push({ path: `${path}.advanceMs`, message: `must be an integer from 0 to ${MAX_ADVANCE_MS}` });
+    }
+  }
+}
+
+function checkCases(list, path, min, shape, errors) {
+  if (!Array.isArray(list)) {
+    errors.push({ path, message: "must be an array" });
+    return;
+  }
+  if (list.length < min) {
+    errors.push({ path, message: `must have at least ${min} case(s)` });
+  }
+  list.forEach((tc, i) => checkCase(tc, `${path}[${i}]`, shape, errors));
+}
+
+/**
+ * Strict check of one generated question. Returns a list of field-level errors
+ * ({ path, message }, path relative to the question); empty means valid.
+ * `signature` ({ name, params: [{ name, type }], returnType }) is optional; without it the
+ * question is solve(input), optionally typed by inputType/returnType. A `design` (see
+ * design.js) makes it a class question instead, whose cases are sequences of method calls.
+ * `virtualClock: true` runs solve() on a fake clock (JS/TS only; cases may set advanceMs).
+ * `requireTypes` (questions for Java, C++, Go or Rust) makes the types mandatory;
+ * `allowVirtualClock: false` (the other languages) rejects virtual-clock questions.
+ */
+export function validateQuestion(q, { requireTypes = false, allowVirtualClock = true } = {}) {
+  const errors = [];
+  if (!isObject(q)) return [{ path: "", message: "question must be an object" }];
+
+  if (!isNonEmptyString(q.title)) errors.push({ path: "title", message: "is required" });
+  else if (q.title.length > MAX_TITLE_CHARS) {
+    errors.push({ path: "title", message: `must be at most ${MAX_TITLE_CHARS} characters` });
+  }
+  if (!isNonEmptyString(q.concept)) errors.push({ path: "concept", message: "is required" });
+  if (!isNonEmptyString(q.question)) errors.push({ path: "question", message: "is required" });
+  if (q.instructions !== undefined && typeof q.instructions !== "string") {
+    errors.push({ path: "instructions", message: "must be a string" });
+  }
+  if (q.starterCode !== undefined && typeof q.starterCode !== "string") {
+    errors.push({ path: "starterCode", message: "must be a string" });
+  }
+  if (!isNonEmptyString(q.referenceSolution)) {
+    errors.push({ path: "referenceSolution", message: "is required" });
+  }
+
+  if (!DIFFICULTIES.includes(q.difficulty)) {
+    errors.push({ path: "difficulty", message: `must be one of: ${DIFFICULTIES.join(", ")}` });
+  }
+
+  if (!Array.isArray(q.hints)) errors.push({ path: "hints", message: "must be an array of strings" });
+  else {
+    if (q.hints.length > MAX_HINTS) errors.push({ path: "hints", message: `must have at most ${MAX_HINTS} items` });
+    q.hints.forEach((h, i) => {
+      if (typeof h !== "string") errors.push({ path: `hints[${i}]`, message: "must be a string" });
+    });
+  }
+
+  if (q.sourceSection !== undefined && q.sourceSection !== null && typeof q.sourceSection !== "string") {
+    errors.push({ path: "sourceSection", message: "must be a section id string or null" });
+  }
+
+  const hasSignature = q.signature !== undefined && q.signature !== null;
+  const hasDesign = q.design !== undefined && q.design !== null;
+  if (hasSignature && hasDesign) errors.push({ path: "design", message: "can't be combined with signature" });
+  const typeErrors = hasDesign ? validateDesign(q.design) : hasSignature ? validateSignature(q.signature) : validateTypes(q);
+  errors.push(...typeErrors);
+  if (requireTypes && !hasSignature && !hasDesign) {
+    for (const key of ["inputType", "returnType"]) {
+      if (q[key] === undefined || q[key] === null) errors.push({ path: key, message: "is required for this language" });
+    }
+  }
+
+  const clock = q.virtualClock === true;
+  if (q.virtualClock !== undefined && q.virtualClock !== null && typeof q.virtualClock !== "boolean") {
+    errors.push({ path: "virtualClock", message: "must be a boolean" });
+  } else if (clock && !allowVirtualClock) {
+    errors.push({ path: "virtualClock", message: "is only supported in JavaScript and TypeScript" });
+  } else if (clock && hasDesign) {
+    errors.push({ path: "virtualClock", message: "can't be combined with design" });
+  }
+
+  const shape =
+    typeErrors.length > 0
+      ? caseShape({ clock })
+      : caseShape(hasDesign ? { design: resolveDesign(q), clock } : { signature: resolveSignature(q), clock });
+  checkCases(q.testCases, "testCases", 1, shape, errors);
+  checkCases(q.hiddenTestCases, "hiddenTestCases", 2, shape, errors);
+
+  errors.push(...validateLimits(q));
+
+  if (q.performance !== undefined && q.performance !== null) {
+    if (hasDesign) errors.push({ path: "performance", message: "must be null for a design question" });
+    else if (clock) errors.push({ path: "performance", message: "must be null for a virtual-clock question" });
+    else errors.push(...validatePerformanceSpec(q.performance));
+  }
+
+  return errors;
+}
+
+/**
+ * Splits a model payload into valid questions and invalid ones with their errors.
+ * `error` is set when the payload itself has no usable questions array.
+ * `options` are passed to validateQuestion.
+ */
+export function validateQuestionSet(payload, maxQuestions, options = {}) {
+  if (!isObject(payload) || !Array.isArray(payload.questions)) {
+    return { error: "Model response missing 'questions' array", valid: [], invalid: [] };
+  }
+
+  const valid = [];
+  const invalid = [];
+  payload.questions.slice(0, maxQuestions).forEach((q, index) => {
+    const errors = validateQuestion(q, options);
+    if (errors.length === 0) valid.push({ index, question: q });
+    else invalid.push({ index, question: q, errors });
+  });
+
+  return { error: null, valid, invalid };
+}
+
+/**
+ * "questions[2].testCases[0].input: is not valid JSON" style lines for prompts and logs.
+ */
+export function formatSchemaErrors(errors, prefix = "") {
+  return errors
+    .map((e) => `${[prefix, e.path].filter(Boolean).join(".")}: ${e.message}`)
+    .join("\n");
+}
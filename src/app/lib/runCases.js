@@ -0,0 +1,345 @@
+// app/lib/runCases.js
+import { getExecutionBackend } from "@/app/lib/execution";
+import { buildHarness, createMarker, createHarnessParser } from "@/app/lib/harness";
+import { compareOutput } from "@/app/lib/compare";
+import { runVerdict } from "@/app/lib/verdicts";
+import { normalizeLanguage } from "@/app/lib/languages";
+import { formatOperation, operationsError, splitOperations } from "@/app/lib/design";
+
+// Safety limits
+const MAX_INPUT_CHARS = 4_000;
+const MAX_STDOUT_CHARS = 8_000;
+// The harness kill timer gets this much on top of the time limit for worker start-up;
+// the limit itself is checked against the solve() time the harness measured.
+const CASE_STARTUP_GRACE_MS = 500;
+
+// A whole-program parse failure surfaces as one of these before any case reports
+// (Java's single-file launcher compiles at run time, so its errors show up here too).
+const SYNTAX_ERROR = /\b(SyntaxError|IndentationError|TabError)\b|error: compilation failed/;
+// Runtimes that die instead of throwing when memory runs out.
+const OUT_OF_MEMORY = /out of memory|memory allocation of \d+ bytes failed|OutOfMemoryError|std::bad_alloc/i;
+
+// Why a case produced no value -> its verdict. "setup" (bad case input) and "runner"
+// (backend unreachable) aren't the solution's fault, so they get no verdict; neither do cases
+// "skipped" because an earlier one ended the process.
+const FAILURE_VERDICTS = {
+  runtime: "runtime_error",
+  time: "time_limit_exceeded",
+  memory: "memory_limit_exceeded",
+  compile: "compile_error",
+};
+
+const FAILURE_REASONS = {
+  runtime: "The solution did not return a value (see error).",
+  time: "The solution ran longer than the time limit.",
+  memory: "The solution used more memory than the limit.",
+  compile: "The code did not compile (see error).",
+  skipped: "The case was not run because an earlier case stopped the program.",
+};
+
+// Piston runtime names and versions (the local backend uses the names only).
+const RUNTIMES = {
+  javascript: { language: "javascript", version: "18.15.0" },
+  typescript: { language: "typescript", version: "5.0.3" },
+  python: { language: "python", version: "3.10.0" },
+  java: { language: "java", version: "15.0.2" },
+  cpp: { language: "c++", version: "10.2.0" },
+  go: { language: "go", version: "1.16.2" },
+  rust: { language: "rust", version: "1.68.2" },
+};
+
+export function mapLanguage(lang) {
+  return RUNTIMES[normalizeLanguage(lang)];
+}
+
+function truncate(s) {
+  return s.length > MAX_STDOUT_CHARS ? s.slice(0, MAX_STDOUT_CHARS) + "\n...[truncated]" : s;
+}
+
+function prepareCase(tc, i, design) {
+  const c = tc || {};
+  const slot = {
+    name: c.name ?? `Case ${i + 1}`,
+    input: String(c.input ?? "null"),
+    // null = nothing to compare against (custom case): run it, show the output, don't judge
+    expectedOutput: c.expectedOutput === null ? null : String(c.expectedOutput ?? ""),
+    comparator: c.comparator,
+    hidden: Boolean(c.hidden),
+    custom: Boolean(c.custom),
+    // virtual-clock questions: how far the clock may run for this case (null = until settled)
+    advanceMs: Number.isInteger(c.advanceMs) && c.advanceMs >= 0 ? c.advanceMs : null,
+    // a design case's calls ("put(1, 1)"), shown step by step next to the results; not for hidden cases
+    operations: null,
+    error: null,
+  };
+
+  if (slot.input.length > MAX_INPUT_CHARS) {
+    slot.error = "Input too large.";
+    return slot;
+  }
+  // Validate JSON input string
+  try {
+    JSON.parse(slot.input);
+  } catch {
+    slot.error = "Testcase input is not valid JSON.";
+    return slot;
+  }
+  // the harnesses trust a design case's operations to match the class
+  const problem = design ? operationsError(slot.input, design) : null;
+  if (problem) slot.error = `Testcase input: ${problem}.`;
+  else if (design && !slot.hidden) slot.operations = splitOperations(slot.input).map(formatOperation);
+  return slot;
+}
+
+function toResult(
+  slot,
+  {
+    actualOutput = "",
+    actualJson = null,
+    logs = "",
+    stderr = "",
+    exitCode = 1,
+    runtimeMs = 0,
+    memoryKb = null,
+    failure = null, // "runtime" | "time" | "memory" | "compile" | "skipped" | "setup" | "runner"
+  }
+) {
+  let passed = null;
+  let reason = null;
+  let verdict = null;
+  if (failure) {
+    verdict = FAILURE_VERDICTS[failure] ?? null;
+    if (slot.expectedOutput !== null) {
+      passed = false;
+      reason = FAILURE_REASONS[failure] ?? "The case could not be run (see error).";
+    }
+  } else if (slot.expectedOutput !== null) {
+    const cmp = compareOutput(
+      { expected: slot.expectedOutput, actualText: actualOutput, actualJson },
+      slot.comparator
+    );
+    passed = cmp.equal;
+    reason = cmp.reason;
+    verdict = cmp.equal ? "accepted" : "wrong_answer";
+  }
+  // a hidden case's input, expectation and output never leave the server, not even through
+  // the reason, logs or error text; the player only learns whether it passed and its cost
+  if (slot.hidden) {
+    return {
+      name: slot.name,
+      passed,
+      verdict,
+      runtimeMs,
+      memoryKb,
+      hidden: true,
+      skipped: failure === "skipped",
+    };
+  }
+  return {
+    name: slot.name,
+    passed,
+    verdict,
+    reason,
+    comparator: slot.comparator,
+    expectedOutput: slot.expectedOutput,
+    actualOutput,
+    actualJson,
+    logs,
+    stderr,
+    exitCode,
+    runtimeMs,
+    memoryKb,
+    hidden: slot.hidden,
+    custom: slot.custom,
+    operations: slot.operations,
+    skipped: failure === "skipped",
+  };
+}
+
+// harness timings are sub-millisecond; keep microseconds
+export function roundMs(ms) {
+  return Math.round((Number(ms) || 0) * 1000) / 1000;
+}
+
+function harnessFailure(r, limits) {
+  if (r.timedOut) return "time";
+  if (r.memoryExceeded) return "memory";
+  if (r.compileError || r.missingExport) return "compile";
+  if (!r.ok) return "runtime";
+  if (limits && r.ms > limits.timeLimitMs) return "time";
+  return null;
+}
+
+function fromHarness(slot, r, limits) {
+  const failure = harnessFailure(r, limits);
+  let stderr = r.ok ? "" : String(r.error ?? "").trim();
+  if (failure === "time" && limits) {
+    stderr = r.timedOut
+      ? `Time limit exceeded: solve() did not finish within ${limits.timeLimitMs}ms.`
+      : `Time limit exceeded: solve() took ${roundMs(r.ms)}ms, the limit is ${limits.timeLimitMs}ms.`;
+  }
+  return toResult(slot, {
+    actualOutput: r.ok ? truncate(String(r.output ?? "").trim()) : "",
+    actualJson: r.ok && typeof r.json === "string" ? r.json : null,
+    logs: truncate(String(r.logs ?? "").replace(/\n$/, "")),
+    stderr,
+    failure,
+    exitCode: r.ok ? 0 : 1,
+    runtimeMs: roundMs(r.ms),
+    memoryKb: Number.isFinite(r.memoryKb) ? Math.round(r.memoryKb) : null,
+  });
+}
+
+/**
+ * Executes the harness for `inputs` (JSON strings) in one backend call and hands each
+ * raw harness result ({ i, ok, output, ms, ... }) to onCase as it arrives.
+ * `options` go to buildHarness (timeoutMs, repeat, trackMemory, virtualClock, advanceMs); `signature` is the question's
+ * resolved signature (see resolveSignature), which says how inputs become arguments;
+ * `design` (see resolveDesign) runs a class question's operations instead.
+ * Returns { exec, execError }: the backend's result, or why the backend call failed.
+ */
+export async function runHarness({
+  language,
+  code,
+  functionName = "solve",
+  signature = null,
+  design = null,
+  inputs,
+  options = {},
+  onCase = () => {},
+}) {
+  const runtime = mapLanguage(language);
+  const marker = createMarker();
+  const parser = createHarnessParser(marker, onCase);
+
+  let exec = null;
+  let execError = "";
+  try {
+    const files = buildHarness(runtime.language, code, inputs, { ...options, functionName, signature, design, marker });
+    exec = await getExecutionBackend().execute({
+      language: runtime.language,
+      version: runtime.version,
+      files,
+      onStdout: (chunk) => parser.push(chunk),
+      memoryLimitMb: options.memoryLimitMb,
+    });
+  } catch (e) {
+    execError = String(e?.message || e);
+  }
+  parser.end();
+  return { exec, execError };
+}
+
+// Why the cases the harness never reported on are missing.
+function missingFailure(exec, execError, anyReported) {
+  if (execError) return "runner";
+  if (exec?.stage === "compile") return "compile";
+  if (!anyReported && SYNTAX_ERROR.test(exec?.stderr || "")) return "compile";
+  if (exec?.timedOut) return "time";
+  if (OUT_OF_MEMORY.test(exec?.stderr || "")) return "memory";
+  return "runtime";
+}
+
+/**
+ * Runs `cases` ({ name, input, expectedOutput, hidden, custom }) against `code` in ONE execution
+ * on the configured backend and returns the /api/run result summary.
+ * Cases with expectedOutput === null get `passed: null` and are left out of passedCount/total.
+ * `limits` ({ timeLimitMs, memoryLimitMb }, see resolveLimits) are enforced per case and
+ * turn into Time/Memory Limit Exceeded verdicts.
+ * `signature` is the question's resolved signature (parameters and types, see resolveSignature);
+ * `design` (see resolveDesign) makes each case a sequence of method calls on a class.
+ * `virtualClock` runs each case on a fake clock (JS/TS), up to the case's advanceMs.
+ * onResult(index, result) fires for each case as soon as its result is known.
+ */
+export async function runCases({
+  language,
+  code,
+  functionName = "solve",
+  signature = null,
+  design = null,
+  virtualClock = false,
+  cases,
+  limits = null,
+  onResult = () => {},
+}) {
+  const started = Date.now();
+  const slots = cases.map((tc, i) => prepareCase(tc, i, design));
+  const results = new Array(slots.length);
+
+  const settle = (index, result) => {
+    if (results[index]) return;
+    results[index] = result;
+    onResult(index, result);
+  };
+
+  // harness index -> slot index
+  const runnable = [];
+  slots.forEach((slot, index) => {
+    if (slot.error) settle(index, toResult(slot, { stderr: slot.error, failure: "setup" }));
+    else runnable.push(index);
+  });
+
+  let exec = null;
+  let execError = "";
+  let reported = 0;
+  let stopped = false; // a reported case ended the process (compiled-language timeout or crash)
+
+  if (runnable.length > 0) {
+    ({ exec, execError } = await runHarness({
+      language,
+      code,
+      functionName,
+      signature,
+      design,
+      inputs: runnable.map((index) => slots[index].input),
+      options: {
+        ...(limits ? { timeoutMs: limits.timeLimitMs + CASE_STARTUP_GRACE_MS, memoryLimitMb: limits.memoryLimitMb } : {}),
+        ...(virtualClock ? { virtualClock: true, advanceMs: runnable.map((index) => slots[index].advanceMs) } : {}),
+      },
+      onCase: (r) => {
+        const index = runnable[r.i];
+        if (index === undefined) return;
+        reported += 1;
+        if (r.fatal) stopped = true;
+        settle(index, fromHarness(slots[index], r, limits));
+      },
+    }));
+  }
+
+  // whatever is still missing: the process failed (compile error, crash, runner down) first.
+  // Cases run in order, so a crash or overrun hits the first missing case; the rest never started.
+  const failure = missingFailure(exec, execError, reported > 0);
+  const sequential = ["runtime", "time", "memory"].includes(failure);
+  slots.forEach((slot, index) => {
+    if (results[index]) return;
+    if (stopped && sequential) {
+      settle(index, toResult(slot, { stderr: "Not run: an earlier case stopped the program.", failure: "skipped" }));
+      return;
+    }
+    stopped = true;
+    settle(
+      index,
+      toResult(slot, {
+        stderr: (execError || exec?.stderr || "No result reported for this case.").trim(),
+        exitCode: exec?.exitCode || 1,
+        failure,
+      })
+    );
+  });
+
+  const judged = results.filter((r) => r.passed !== null);
+  const passedCount = judged.filter((r) => r.passed).length;
+
+  return {
+    passedCount,
+    total: judged.length,
+    allPassed: judged.length > 0 && passedCount === judged.length,
+    verdict: runVerdict(results),
+    ...(limits ? { limits } : {}),
+    outputOnlyCount: results.length - judged.length,
+    totalRuntimeMs: Date.now() - started,
+    results,
+    // set when the backend itself failed (unreachable, rejected the job), not the user's code
+    ...(execError ? { runnerError: execError } : {}),
+  };
+}
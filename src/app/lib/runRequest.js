@@ -0,0 +1,139 @@
+// app/lib/runRequest.js
+import { getQuestion } from "@/app/lib/problemStore";
+import { resolveLimits } from "@/app/lib/limits";
+import { hasVirtualClock, isTypedLanguage, languageLabel, normalizeLanguage } from "@/app/lib/languages";
+import { MAX_ADVANCE_MS } from "@/app/lib/questionSchema";
+import { parseSignature, resolveSignature, validateSignature } from "@/app/lib/signature";
+import { resolveDesign, validateDesign } from "@/app/lib/design";
+
+// Safety limits
+const MAX_CODE_CHARS = 40_000;
+const MAX_CASES_RUN = 12;
+const MAX_CUSTOM_CASES = 8;
+
+/**
+ * User-authored cases (run mode only). A blank expectedOutput becomes null:
+ * the case is executed and its output shown, but it isn't judged.
+ */
+function toCustomCases(customCases) {
+  if (customCases === undefined || customCases === null) return { ok: true, value: [] };
+  if (!Array.isArray(customCases)) return { ok: false, error: "customCases must be an array" };
+  if (customCases.length > MAX_CUSTOM_CASES) {
+    return { ok: false, error: `At most ${MAX_CUSTOM_CASES} custom cases can be run at once` };
+  }
+
+  const value = [];
+  for (const [i, tc] of customCases.entries()) {
+    if (!tc || typeof tc.input !== "string") {
+      return { ok: false, error: `customCases[${i}].input must be a string containing JSON` };
+    }
+    if (tc.expectedOutput !== undefined && tc.expectedOutput !== null && typeof tc.expectedOutput !== "string") {
+      return { ok: false, error: `customCases[${i}].expectedOutput must be a string` };
+    }
+    const advance = tc.advanceMs ?? null;
+    if (advance !== null && (!Number.isInteger(advance) || advance < 0 || advance > MAX_ADVANCE_MS)) {
+      return { ok: false, error: `customCases[${i}].advanceMs must be an integer from 0 to ${MAX_ADVANCE_MS}` };
+    }
+    const expected = typeof tc.expectedOutput === "string" && tc.expectedOutput.trim() ? tc.expectedOutput : null;
+    value.push({ name: `Custom ${i + 1}`, input: tc.input, expectedOutput: expected, advanceMs: advance, custom: true });
+  }
+  return { ok: true, value };
+}
+
+/**
+ * Validates a /api/run body and resolves the cases to execute.
+ * Returns { ok: false, error, status } or
+ * { ok: true, mode, language, code, functionName, signature, design, virtualClock, cases, limits }.
+ * Performance mode returns the stored question's `performance` spec instead of cases.
+ * `signature` is resolved from the stored question (ad-hoc runs may send signature or
+ * inputType/returnType); Java, C++, Go and Rust need all of its types. A `design` (resolved
+ * the same way) replaces the signature: the cases then drive the user's class.
+ * Virtual-clock questions only run in JavaScript and TypeScript.
+ */
+export function prepareRun(body) {
+  // NOTE: any hiddenTestCases in the body are ignored; submit loads them by questionId.
+  const {
+    code,
+    language,
+    questionId,
+    testCases = [],
+    customCases,
+    mode = "run", // "run" | "submit" | "performance"
+  } = body || {};
+
+  if (!code || typeof code !== "string") {
+    return { ok: false, error: "code is required", status: 400 };
+  }
+  if (code.length > MAX_CODE_CHARS) {
+    return { ok: false, error: "Code is too long", status: 400 };
+  }
+
+  const question = getQuestion(questionId);
+  // submit needs the hidden cases and a benchmark its spec, both only in the stored set
+  if ((mode === "submit" || mode === "performance") && !question) {
+    return {
+      ok: false,
+      error: `Question not found or expired. Generate questions again to ${mode === "submit" ? "submit" : "run the benchmark"}.`,
+      status: 404,
+    };
+  }
+
+  if (!question) {
+    const errors = [
+      ...(body.signature !== undefined ? validateSignature(body.signature) : []),
+      ...(body.design !== undefined && body.design !== null ? validateDesign(body.design) : []),
+    ];
+    if (errors.length > 0) return { ok: false, error: `${errors[0].path}: ${errors[0].message}`, status: 400 };
+  }
+  const signature = resolveSignature(question || body);
+  const design = resolveDesign(question || body);
+  const functionName = design ? design.className : signature.name;
+  const virtualClock = (question || body).virtualClock === true;
+  if (virtualClock && !hasVirtualClock(normalizeLanguage(language))) {
+    return {
+      ok: false,
+      error: `This question runs on a virtual clock, which only the JavaScript and TypeScript runners have; it can't be run in ${languageLabel(normalizeLanguage(language))}.`,
+      status: 400,
+    };
+  }
+  if (!design && isTypedLanguage(normalizeLanguage(language)) && !parseSignature(signature)) {
+    return {
+      ok: false,
+      error: `This question doesn't declare its parameter and return types, so it can't be run in ${languageLabel(normalizeLanguage(language))}.`,
+      status: 400,
+    };
+  }
+
+  if (mode === "performance") {
+    if (!question.performance) {
+      return { ok: false, error: "This question has no performance benchmark.", status: 400 };
+    }
+    return { ok: true, mode, language, code, functionName, signature, design, virtualClock, performance: question.performance };
+  }
+
+  // Prefer the stored copy so visible cases can't be edited client-side either.
+  const visible = question
+    ? question.testCases
+    : Array.isArray(testCases)
+      ? testCases
+      : [];
+  const hidden = question ? question.hiddenTestCases : [];
+
+  // custom cases only make sense while experimenting; submit is judged on the real set
+  const custom = mode === "submit" ? { ok: true, value: [] } : toCustomCases(customCases);
+  if (!custom.ok) return { ok: false, error: custom.error, status: 400 };
+
+  const casesToRun = mode === "submit" ? [...visible, ...hidden] : [...visible, ...custom.value];
+
+  if (casesToRun.length === 0) {
+    return { ok: false, error: "testCases are required", status: 400 };
+  }
+
+  const cases = casesToRun.slice(0, MAX_CASES_RUN).map((tc, i) => ({
+    ...tc,
+    hidden: mode === "submit" && i >= visible.length,
+  }));
+
+  // limits come from the stored question; ad-hoc runs get the intermediate defaults
+  return { ok: true, mode, language, code, functionName, signature, design, virtualClock, cases, limits: resolveLimits(question) };
+}
@@ -0,0 +1,157 @@
+// app/lib/signature.js
+import { formatType, parseType, valueMatchesType } from "@/app/lib/valueTypes";
+
+/**
+ * A question's function signature:
+ *   { name: "merge", params: [{ name: "a", type: "int[]" }, { name: "b", type: "int[]" }], returnType: "int[]" }
+ * With a signature, each test case input is a JSON array holding one value per parameter and
+ * the function is called with them as separate arguments: merge([1, 3], [2]).
+ * Questions without one keep the single-argument form, solve(input), with the optional
+ * inputType / returnType describing that one parameter.
+ */
+export const MAX_PARAMS = 6;
+
+const NAME = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+// keywords (and a few builtins) of the supported languages: a parameter or function
+// named like one of these can't be declared in every language
+const RESERVED = new Set(
+  `abstract and as assert async await bool boolean break byte case catch char class const continue
+  crate def default defer del delete do double dyn elif else enum except export extends extern false
+  final finally float fn for from func function global go goto if impl implements import in instanceof
+  int interface is lambda let long loop main map match mod move mut namespace native new nil none not
+  null or package pass private protected pub public raise range ref return select self short signed
+  sizeof static string struct super switch synchronized template this throw throws trait true try type
+  typedef typeof union unsafe unsigned use using var virtual void volatile where while with yield`.split(/\s+/)
+);
+
+function isObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+/**
+ * Pushes an error unless `name` can be declared as a function, class or parameter in every
+ * supported language.
+ */
+export function checkName(name, path, errors) {
+  if (typeof name !== "string" || !NAME.test(name)) {
+    errors.push({ path, message: "must be an identifier (letters, digits, _; starting with a letter)" });
+  } else if (RESERVED.has(name.toLowerCase())) {
+    errors.push({ path, message: "is a reserved word in one of the supported languages" });
+  }
+}
+
+/**
+ * Pushes errors for a `[{ name, type }]` parameter list of `min`–MAX_PARAMS entries.
+ */
+export function checkParams(params, path, errors, min = 1) {
+  if (!Array.isArray(params) || params.length < min || params.length > MAX_PARAMS) {
+    errors.push({ path, message: `must be an array of ${min}–${MAX_PARAMS} { name, type } objects` });
+    return;
+  }
+  const seen = new Set();
+  params.forEach((p, i) => {
+    const at = `${path}[${i}]`;
+    if (!isObject(p)) {
+      errors.push({ path: at, message: "must be an object { name, type }" });
+      return;
+    }
+    checkName(p.name, `${at}.name`, errors);
+    if (seen.has(p.name)) errors.push({ path: `${at}.name`, message: "is used by another parameter" });
+    seen.add(p.name);
+    if (!parseType(p.type)) errors.push({ path: `${at}.type`, message: "must be a type like int, string[] or map<string,int>" });
+  });
+}
+
+/**
+ * Field-level errors ({ path, message }) for a question's `signature`; empty means valid.
+ */
+export function validateSignature(sig, path = "signature") {
+  if (!isObject(sig)) return [{ path, message: "must be an object { name, params, returnType }" }];
+  const errors = [];
+  checkName(sig.name, `${path}.name`, errors);
+  checkParams(sig.params, `${path}.params`, errors);
+  if (!parseType(sig.returnType)) {
+    errors.push({ path: `${path}.returnType`, message: "must be a type like int, string[] or map<string,int>" });
+  }
+  return errors;
+}
+
+/**
+ * The signature a question is run with, types still as strings (null when undeclared):
+ *   { name, params: [{ name, type }], returnType, spread }
+ * `spread` is false for the single-argument form, whose one parameter is `input`.
+ */
+export function resolveSignature(question) {
+  const sig = question?.signature;
+  if (isObject(sig) && Array.isArray(sig.params)) {
+    return {
+      name: sig.name || "solve",
+      params: sig.params.map((p) => ({ name: p?.name, type: p?.type ?? null })),
+      returnType: sig.returnType ?? null,
+      spread: true,
+    };
+  }
+  return {
+    name: question?.functionName || "solve",
+    params: [{ name: "input", type: question?.inputType ?? null }],
+    returnType: question?.returnType ?? null,
+    spread: false,
+  };
+}
+
+/**
+ * A resolved signature with parsed types; null unless every parameter and the return type
+ * is declared (what the typed languages need).
+ */
+export function parseSignature(sig) {
+  if (!sig) return null;
+  const params = sig.params.map((p) => ({ name: p.name, type: parseType(p.type) }));
+  const returnType = parseType(sig.returnType);
+  if (!returnType || params.some((p) => !p.type)) return null;
+  return { ...sig, params, returnType };
+}
+
+/**
+ * "merge(a: int[], b: int[]): int[]"; parameters without a type are shown bare.
+ */
+export function formatSignature(sig) {
+  const params = sig.params.map((p) => (p.type ? `${p.name}: ${p.type}` : p.name)).join(", ");
+  return `${sig.name}(${params})${sig.returnType ? `: ${sig.returnType}` : ""}`;
+}
+
+/**
+ * A test case input split into its arguments: [{ name, type, value }], one per parameter.
+ * null when the input isn't valid JSON or doesn't hold one value per parameter.
+ */
+export function splitArguments(input, sig) {
+  let value;
+  try {
+    value = JSON.parse(input);
+  } catch {
+    return null;
+  }
+  if (!sig.spread) return [{ ...sig.params[0], value }];
+  if (!Array.isArray(value) || value.length !== sig.params.length) return null;
+  return sig.params.map((p, i) => ({ ...p, value: value[i] }));
+}
+
+/**
+ * Why a case input doesn't fit the signature, or null when it does. Parameters without a
+ * declared type accept any value.
+ */
+export function argumentsError(input, sig) {
+  const args = splitArguments(input, sig);
+  if (!args) {
+    return sig.spread
+      ? `must be a JSON array with one value per parameter (${sig.params.map((p) => p.name).join(", ")})`
+      : "is not valid JSON";
+  }
+  for (const arg of args) {
+    const t = parseType(arg.type);
+    if (t && !valueMatchesType(arg.value, t)) {
+      return sig.spread ? `argument ${arg.name} does not match ${formatType(t)}` : `does not match ${formatType(t)}`;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,54 @@
+// app/lib/sse.js
+// Tiny Server-Sent Events helpers shared by the streaming route and the client.
+// (EventSource can't POST, so the client reads the fetch body itself.)
+
+export function formatSseEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Reads an SSE response body and calls onEvent(event, data) for every message.
+ */
+export async function readSseStream(res, onEvent) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  const dispatch = (raw) => {
+    let event = "message";
+    const data = [];
+    for (const line of raw.split("\n")) {
+      if (line.startsWith("event:")) event = line.slice(6).trim();
+      else if (line.startsWith("data:")) data.push(line.slice(5).trimStart());
+    }
+    if (data.length === 0) return;
+    // non-JSON data is passed through as text; errors thrown by onEvent propagate
+    let payload = data.join("\n");
+    try {
+      payload = JSON.parse(payload);
+    } catch {
+      // keep the raw text
+    }
+    onEvent(event, payload);
+  };
+
+  let finished = false;
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      let sep;
+      while ((sep = buffer.indexOf("\n\n")) !== -1) {
+        dispatch(buffer.slice(0, sep));
+        buffer = buffer.slice(sep + 2);
+      }
+    }
+    finished = true;
+  } finally {
+    // onEvent (or the read) threw: close the response instead of leaving it streaming
+    if (!finished) await reader.cancel().catch(() => {});
+    reader.releaseLock();
+  }
+  if (buffer.trim()) dispatch(buffer);
+}
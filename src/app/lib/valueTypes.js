@@ -0,0 +1,173 @@
+// app/lib/valueTypes.js
+
+/**
+ * Value types a question declares for its parameters and return value (signature, or
+ * inputType / returnType), so statically typed languages can turn JSON into real arguments:
+ *   int            64-bit integer
+ *   float          double
+ *   bool, string
+ *   T[]            array of T            e.g. "int[]", "string[][]"
+ *   map<string,T>  object with string keys e.g. "map<string,int[]>"
+ * Parsed types are { kind: "int" | "float" | "bool" | "string" | "array" | "map", of? }.
+ */
+export const BASE_TYPES = ["int", "float", "bool", "string"];
+
+const MAX_TYPE_DEPTH = 4;
+const MAP_PREFIX = "map<string,";
+
+function depth(t) {
+  return t.of ? 1 + depth(t.of) : 0;
+}
+
+/**
+ * Parses a type string; null when it isn't one of the forms above.
+ */
+export function parseType(text) {
+  if (typeof text !== "string") return null;
+  const src = text.replace(/\s+/g, "");
+  let pos = 0;
+
+  function single() {
+    let t;
+    if (src.startsWith(MAP_PREFIX, pos)) {
+      pos += MAP_PREFIX.length;
+      const value = single();
+      if (!value || src[pos] !== ">") return null;
+      pos += 1;
+      t = { kind: "map", of: value };
+    } else {
+      const name = BASE_TYPES.find((b) => src.startsWith(b, pos));
+      if (!name) return null;
+      pos += name.length;
+      t = { kind: name };
+    }
+    while (src.startsWith("[]", pos)) {
+      pos += 2;
+      t = { kind: "array", of: t };
+    }
+    return t;
+  }
+
+  const t = single();
+  return t && pos === src.length && depth(t) <= MAX_TYPE_DEPTH ? t : null;
+}
+
+/**
+ * Canonical spelling of a parsed type ("map<string,int[]>").
+ */
+export function formatType(t) {
+  if (t.kind === "array") return `${formatType(t.of)}[]`;
+  if (t.kind === "map") return `map<string,${formatType(t.of)}>`;
+  return t.kind;
+}
+
+const JAVA_BOXED = { long: "Long", double: "Double", boolean: "Boolean" };
+
+const NAMES = {
+  java: {
+    int: "long",
+    float: "double",
+    bool: "boolean",
+    string: "String",
+    array: (of) => `${of}[]`,
+    map: (of) => `Map<String, ${JAVA_BOXED[of] || of}>`,
+  },
+  cpp: {
+    int: "long long",
+    float: "double",
+    bool: "bool",
+    string: "string",
+    array: (of) => `vector<${of}>`,
+    map: (of) => `map<string, ${of}>`,
+  },
+  go: {
+    int: "int",
+    float: "float64",
+    bool: "bool",
+    string: "string",
+    array: (of) => `[]${of}`,
+    map: (of) => `map[string]${of}`,
+  },
+  rust: {
+    int: "i64",
+    float: "f64",
+    bool: "bool",
+    string: "String",
+    array: (of) => `Vec<${of}>`,
+    map: (of) => `HashMap<String, ${of}>`,
+  },
+  typescript: {
+    int: "number",
+    float: "number",
+    bool: "boolean",
+    string: "string",
+    array: (of) => (/^\w+$/.test(of) ? `${of}[]` : `Array<${of}>`),
+    map: (of) => `Record<string, ${of}>`,
+  },
+  python: {
+    int: "int",
+    float: "float",
+    bool: "bool",
+    string: "str",
+    array: (of) => `list[${of}]`,
+    map: (of) => `dict[str, ${of}]`,
+  },
+};
+
+/**
+ * How a parsed type is spelled in `language` (java, cpp, go, rust, typescript, python).
+ * C++ names are unqualified (the starter and harness bring in `using namespace std`).
+ */
+export function typeName(t, language) {
+  const names = NAMES[language];
+  if (t.kind === "array" || t.kind === "map") return names[t.kind](typeName(t.of, language));
+  return names[t.kind];
+}
+
+/**
+ * True when the parsed type contains a map (the Rust and Java starters then need an import).
+ */
+export function usesMap(t) {
+  return t.kind === "map" || (t.of ? usesMap(t.of) : false);
+}
+
+/**
+ * True when a parsed JSON value fits the parsed type (ints must be whole numbers).
+ */
+export function valueMatchesType(value, t) {
+  switch (t.kind) {
+    case "int":
+      return Number.isInteger(value);
+    case "float":
+      return typeof value === "number";
+    case "bool":
+      return typeof value === "boolean";
+    case "string":
+      return typeof value === "string";
+    case "array":
+      return Array.isArray(value) && value.every((v) => valueMatchesType(v, t.of));
+    default:
+      return (
+        value !== null &&
+        typeof value === "object" &&
+        !Array.isArray(value) &&
+        Object.values(value).every((v) => valueMatchesType(v, t.of))
+      );
+  }
+}
+
+/**
+ * Field-level errors ({ path, message }) for a question's optional inputType / returnType.
+ */
+export function validateTypes(q) {
+  const errors = [];
+  for (const key of ["inputType", "returnType"]) {
+    if (q[key] !== undefined && q[key] !== null && !parseType(q[key])) {
+      errors.push({
+        path: key,
+        message: "must be a type like int, float, bool, string, int[], string[][] or map<string,int>",
+      });
+    }
+  }
+  return errors;
+}
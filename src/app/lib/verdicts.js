@@ -0,0 +1,26 @@
+// app/lib/verdicts.js
+
+/**
+ * Judge verdicts, per case and for a whole run. A case's verdict is null when it wasn't
+ * judged (custom case without an expected output that ran fine) or the runner itself failed.
+ */
+export const VERDICTS = {
+  accepted: "Accepted",
+  wrong_answer: "Wrong Answer",
+  runtime_error: "Runtime Error",
+  time_limit_exceeded: "Time Limit Exceeded",
+  memory_limit_exceeded: "Memory Limit Exceeded",
+  compile_error: "Compile Error",
+};
+
+/**
+ * Overall verdict: Accepted when every judged case passed, otherwise the verdict
+ * of the first failing case (LeetCode style). null when nothing was judged.
+ */
+export function runVerdict(results) {
+  const judged = results.filter((r) => r.passed !== null);
+  const failing = results.find((r) => r.passed === false || (r.passed === null && r.verdict));
+  if (failing?.verdict) return failing.verdict;
+  if (judged.length === 0) return null;
+  return judged.every((r) => r.passed) ? "accepted" : null;
+}
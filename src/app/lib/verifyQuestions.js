@@ -0,0 +1,90 @@
+// app/lib/verifyQuestions.js
+import { runCases } from "@/app/lib/runCases";
+import { resolveLimits } from "@/app/lib/limits";
+import { resolveSignature } from "@/app/lib/signature";
+import { resolveDesign } from "@/app/lib/design";
+
+// A question needs at least this many cases left after verification to be kept.
+const MIN_VISIBLE_CASES = 1;
+const MIN_HIDDEN_CASES = 2;
+// Reference runs in flight at once. Each one runs under the question's time limits, so more
+// would make them compete for CPU (false TLEs locally) or hit Piston's rate limit.
+const VERIFY_CONCURRENCY = 2;
+
+/**
+ * Runs the model's reference solution through the same path as /api/run and keeps
+ * only the cases whose expectedOutput it reproduces.
+ * Returns { ok: true, question, droppedCases } or { ok: false, reason, droppedCases }.
+ * If the execution backend itself is unavailable the question is kept with verified: false.
+ */
+export async function verifyQuestion(question, lang) {
+  const visible = question.testCases;
+  const hidden = question.hiddenTestCases;
+  const reference = question.referenceSolution;
+
+  if (typeof reference !== "string" || !reference.trim()) {
+    return { ok: false, reason: "Missing reference solution", droppedCases: 0 };
+  }
+
+  const summary = await runCases({
+    language: lang,
+    code: reference,
+    functionName: question.functionName,
+    signature: resolveSignature(question),
+    design: resolveDesign(question),
+    virtualClock: question.virtualClock === true,
+    cases: [...visible, ...hidden],
+    limits: resolveLimits(question),
+  });
+
+  if (summary.runnerError) {
+    console.warn("Skipping reference verification, runner unavailable:", summary.runnerError);
+    return { ok: true, question: { ...question, verified: false }, droppedCases: 0 };
+  }
+
+  const keepVisible = visible.filter((_, i) => summary.results[i].passed);
+  const keepHidden = hidden.filter((_, i) => summary.results[visible.length + i].passed);
+  const droppedCases = visible.length + hidden.length - keepVisible.length - keepHidden.length;
+
+  if (keepVisible.length < MIN_VISIBLE_CASES || keepHidden.length < MIN_HIDDEN_CASES) {
+    return {
+      ok: false,
+      reason: `Only ${summary.passedCount}/${summary.total} test cases matched the reference solution`,
+      droppedCases,
+    };
+  }
+
+  return {
+    ok: true,
+    question: { ...question, testCases: keepVisible, hiddenTestCases: keepHidden, verified: true },
+    droppedCases,
+  };
+}
+
+/**
+ * Verifies every question, VERIFY_CONCURRENCY at a time; returns the survivors plus a
+ * report for the response.
+ */
+export async function verifyQuestions(questions, lang) {
+  const outcomes = new Array(questions.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < questions.length) {
+      const i = next++;
+      outcomes[i] = await verifyQuestion(questions[i], lang);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(VERIFY_CONCURRENCY, questions.length) }, worker));
+
+  const kept = [];
+  const discarded = [];
+  let droppedCases = 0;
+
+  outcomes.forEach((o, i) => {
+    droppedCases += o.droppedCases;
+    if (o.ok) kept.push(o.question);
+    else discarded.push({ title: questions[i].title || `Question ${i + 1}`, reason: o.reason });
+  });
+
+  return { questions: kept, report: { droppedCases, discarded } };
+}
@@ -1,43 +1,198 @@
 "use client";
 
 import { useEffect, useMemo, useRef, useState } from "react";
-import Editor from "@monaco-editor/react";
+import Editor, { DiffEditor } from "@monaco-editor/react";
 import { Inter } from "next/font/google";
+import { readSseStream } from "@/app/lib/sse";
+import { MIN_QUESTIONS, MAX_QUESTIONS } from "@/app/lib/generationOptions";
+import { diffOutputs } from "@/app/lib/outputDiff";
+import { VERDICTS } from "@/app/lib/verdicts";
+import {
+  LANGUAGES,
+  languageFileName,
+  monacoLanguage,
+  normalizeLanguage,
+  starterMatchesLanguage,
+  starterTemplate,
+} from "@/app/lib/languages";
+import { formatSignature, resolveSignature, splitArguments } from "@/app/lib/signature";
+import { formatMethod, formatOperation, resolveDesign, splitOperations } from "@/app/lib/design";
+import { compareOutput } from "@/app/lib/compare";
 
 const inter = Inter({ subsets: ["latin"], display: "swap" });
 
-function defaultStarter(lang) {
-  if (lang === "python") {
-    return `def solve(input):
-    """
-    input: parsed JSON value (number/string/list/dict/etc)
-    return: value that matches expectedOutput
-    """
-    # TODO: implement
-    return None
-`;
+// Difficulty weights sent as difficultyMix; the server turns them into whole counts.
+const MIX_PRESETS = {
+  any: null,
+  balanced: { beginner: 1, intermediate: 1, advanced: 1 },
+  easier: { beginner: 3, intermediate: 1, advanced: 0 },
+  harder: { beginner: 0, intermediate: 1, advanced: 3 },
+};
+
+function starterFor(question, lang) {
+  const sc = question?.starterCode || "";
+  return starterMatchesLanguage(sc, lang, question || {}) && sc.trim() ? sc : starterTemplate(lang, question || {});
+}
+
+// ---- Workspace persistence (question set, one draft per question/language, attempt history) ----
+const WORKSPACE_KEY = "cs:workspace";
+const DRAFT_PREFIX = "cs:draft:";
+const HISTORY_PREFIX = "cs:history:";
+const CUSTOM_PREFIX = "cs:custom:";
+const MAX_CUSTOM_CASES = 8;
+const MAX_HISTORY = 30;
+const MAX_HISTORY_OUTPUT_CHARS = 500;
+
+function draftKey(questionId, lang) {
+  return `${DRAFT_PREFIX}${questionId}:${lang}`;
+}
+
+function loadDraft(questionId, lang) {
+  try {
+    return localStorage.getItem(draftKey(questionId, lang));
+  } catch {
+    return null;
+  }
+}
+
+function saveDraft(questionId, lang, code, starter) {
+  try {
+    // code identical to the starter isn't worth keeping
+    if (code === starter) localStorage.removeItem(draftKey(questionId, lang));
+    else localStorage.setItem(draftKey(questionId, lang), code);
+  } catch {}
+}
+
+function loadHistory(questionId) {
+  try {
+    const list = JSON.parse(localStorage.getItem(HISTORY_PREFIX + questionId) || "[]");
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+// What the history keeps of one case result. Hidden cases keep only their verdict and timing,
+// so their expectations never sit in localStorage (also scrubs entries saved before that rule).
+function historyResult(r) {
+  const clip = (v) =>
+    typeof v === "string" && v.length > MAX_HISTORY_OUTPUT_CHARS ? v.slice(0, MAX_HISTORY_OUTPUT_CHARS) + "…" : v;
+  const kept = { name: r.name, passed: r.passed, verdict: r.verdict, hidden: r.hidden, runtimeMs: r.runtimeMs };
+  if (r.hidden) return kept;
+  return { ...kept, expectedOutput: clip(r.expectedOutput), actualOutput: clip(r.actualOutput), stderr: clip(r.stderr) };
+}
+
+/**
+ * Appends one run/submit to the question's history (newest first, capped) and returns the new list.
+ * Outputs are clipped so a few chatty attempts can't fill localStorage.
+ */
+function recordAttempt(questionId, attempt) {
+  const entry = { ...attempt, results: (attempt.results || []).map(historyResult) };
+  const older = loadHistory(questionId).map((a) => ({ ...a, results: (a.results || []).map(historyResult) }));
+  const list = [entry, ...older].slice(0, MAX_HISTORY);
+  try {
+    localStorage.setItem(HISTORY_PREFIX + questionId, JSON.stringify(list));
+  } catch {}
+  return list;
+}
+
+function loadCustomCases(questionId) {
+  try {
+    const list = JSON.parse(localStorage.getItem(CUSTOM_PREFIX + questionId) || "[]");
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
   }
-  if (lang === "typescript") {
-    return `export function solve(input: unknown): unknown {
-  // input: parsed JSON value
-  // return: value that matches expectedOutput
-  return null;
 }
-`;
+
+function saveCustomCases(questionId, list) {
+  try {
+    if (list.length === 0) localStorage.removeItem(CUSTOM_PREFIX + questionId);
+    else localStorage.setItem(CUSTOM_PREFIX + questionId, JSON.stringify(list));
+  } catch {}
+}
+
+// Shown once submit or a benchmark finds the server no longer has the current question set
+const SET_EXPIRED_MESSAGE =
+  "This question set has expired on the server. Generate questions again to submit or benchmark.";
+
+// Shown on virtual-clock questions' testcases
+const VIRTUAL_CLOCK_NOTE =
+  "setTimeout, setInterval, Date and performance.now run on a fake clock starting at 0: timers fire instantly in time order. " +
+  "The output lists when each returned promise settled ({ at, index?, value | error }).";
+
+// "" when the text parses as JSON, otherwise the parser's message
+function jsonError(text) {
+  try {
+    JSON.parse(text);
+    return "";
+  } catch (e) {
+    return String(e?.message || "Invalid JSON");
   }
-  return `export function solve(input) {
-  // input: parsed JSON value
-  // return: value that matches expectedOutput
-  return null;
 }
-`;
+
+function clearQuestionStorage() {
+  try {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const k = localStorage.key(i);
+      if ([DRAFT_PREFIX, HISTORY_PREFIX, CUSTOM_PREFIX].some((p) => k?.startsWith(p))) keys.push(k);
+    }
+    keys.forEach((k) => localStorage.removeItem(k));
+  } catch {}
+}
+
+// Short description of a non-default comparator for the Testcases panel; "" for plain JSON equality.
+function comparatorLabel(comparator) {
+  const type = typeof comparator === "string" ? comparator : comparator?.type;
+  if (!type || type === "json") return "";
+  if (type === "float") {
+    const abs = comparator?.abs;
+    return abs !== undefined ? `numbers within ±${abs}` : "numbers within tolerance";
+  }
+  if (type === "unordered") return "any order";
+  if (type === "text") return "ignoring case & spacing";
+  return "exact text";
 }
 
-function starterMatchesLanguage(starterCode, lang) {
-  const sc = String(starterCode || "");
-  const looksPy = sc.includes("def solve");
-  const looksJS = sc.includes("export function solve") || sc.includes("function solve");
-  return lang === "python" ? looksPy : looksJS;
+// Badge text and colours per verdict; the full name comes from VERDICTS.
+const VERDICT_STYLES = {
+  accepted: {
+    short: "AC",
+    cls: "bg-emerald-50 border-emerald-200 text-emerald-700",
+    banner: "bg-emerald-50 border-emerald-200 text-emerald-900",
+  },
+  wrong_answer: {
+    short: "WA",
+    cls: "bg-rose-50 border-rose-200 text-rose-700",
+    banner: "bg-rose-50 border-rose-200 text-rose-900",
+  },
+  runtime_error: {
+    short: "RE",
+    cls: "bg-orange-50 border-orange-200 text-orange-700",
+    banner: "bg-orange-50 border-orange-200 text-orange-900",
+  },
+  time_limit_exceeded: {
+    short: "TLE",
+    cls: "bg-amber-50 border-amber-300 text-amber-800",
+    banner: "bg-amber-50 border-amber-200 text-amber-900",
+  },
+  memory_limit_exceeded: {
+    short: "MLE",
+    cls: "bg-violet-50 border-violet-200 text-violet-700",
+    banner: "bg-violet-50 border-violet-200 text-violet-900",
+  },
+  compile_error: {
+    short: "CE",
+    cls: "bg-slate-800 border-slate-800 text-white",
+    banner: "bg-slate-100 border-slate-300 text-slate-900",
+  },
+};
+
+function formatLimits(q) {
+  if (!q?.timeLimitMs) return "";
+  const time = q.timeLimitMs >= 1000 ? `${q.timeLimitMs / 1000}s` : `${q.timeLimitMs}ms`;
+  return `⏱ ${time} • ${q.memoryLimitMb} MB`;
 }
 
 function CoolLogo() {
@@ -89,10 +244,17 @@ function CoolLogo() {
 
 export default function Home() {
   const [docsUrl, setDocsUrl] = useState("");
+  const [genCount, setGenCount] = useState(5);
+  const [mixPreset, setMixPreset] = useState("any");
+  const [customMix, setCustomMix] = useState({ beginner: 1, intermediate: 1, advanced: 1 });
+  const [focus, setFocus] = useState("");
+  const [mixResult, setMixResult] = useState(null);
   const [loading, setLoading] = useState(false);
   const [questions, setQuestions] = useState([]);
   const [error, setError] = useState("");
   const [selectedIndex, setSelectedIndex] = useState(0);
+  // the server no longer has this set (its store expires sets and is cleared on restart): submit is off
+  const [setExpired, setSetExpired] = useState(false);
 
   const [code, setCode] = useState("");
   const [activeTab, setActiveTab] = useState("testcases");
@@ -107,6 +269,15 @@ export default function Home() {
   // runner result
   const [runLoading, setRunLoading] = useState(false);
   const [runResult, setRunResult] = useState(null);
+  const [perfLoading, setPerfLoading] = useState(false);
+  const [perfResult, setPerfResult] = useState(null);
+
+  // attempt history for the current question
+  const [history, setHistory] = useState([]);
+  const [compareIds, setCompareIds] = useState([]);
+
+  // user-authored cases for the current question (run mode only)
+  const [customCases, setCustomCases] = useState([]);
 
   const toastTimer = useRef(null);
 
@@ -126,11 +297,25 @@ export default function Home() {
       const savedUrl = localStorage.getItem("cs:docsUrl");
       const savedCollapsed = localStorage.getItem("cs:headerCollapsed");
       const savedEditorPx = localStorage.getItem("cs:editorPx");
+      const savedGen = JSON.parse(localStorage.getItem("cs:genOptions") || "null");
+      const savedWorkspace = JSON.parse(localStorage.getItem(WORKSPACE_KEY) || "null");
 
-      if (savedLang) setLanguage(savedLang);
+      if (savedLang) setLanguage(normalizeLanguage(savedLang));
       if (savedUrl) setDocsUrl(savedUrl);
       if (savedCollapsed === "true") setHeaderCollapsed(true);
       if (savedEditorPx && !Number.isNaN(Number(savedEditorPx))) setEditorPx(Number(savedEditorPx));
+      if (savedGen) {
+        if (Number.isInteger(savedGen.count)) setGenCount(savedGen.count);
+        if (savedGen.mixPreset in MIX_PRESETS || savedGen.mixPreset === "custom") setMixPreset(savedGen.mixPreset);
+        if (savedGen.customMix) setCustomMix(savedGen.customMix);
+        if (typeof savedGen.focus === "string") setFocus(savedGen.focus);
+      }
+      if (Array.isArray(savedWorkspace?.questions) && savedWorkspace.questions.length > 0) {
+        setQuestions(savedWorkspace.questions);
+        setMixResult(savedWorkspace.mix || null);
+        setSelectedIndex(Math.min(Number(savedWorkspace.selectedIndex) || 0, savedWorkspace.questions.length - 1));
+        setSetExpired(savedWorkspace.expired === true);
+      }
     } catch {}
   }, []);
 
@@ -147,6 +332,22 @@ export default function Home() {
     } catch {}
   }, [docsUrl]);
 
+  useEffect(() => {
+    try {
+      localStorage.setItem("cs:genOptions", JSON.stringify({ count: genCount, mixPreset, customMix, focus }));
+    } catch {}
+  }, [genCount, mixPreset, customMix, focus]);
+
+  useEffect(() => {
+    if (questions.length === 0) return;
+    try {
+      localStorage.setItem(
+        WORKSPACE_KEY,
+        JSON.stringify({ questions, mix: mixResult, selectedIndex, expired: setExpired })
+      );
+    } catch {}
+  }, [questions, mixResult, selectedIndex, setExpired]);
+
   useEffect(() => {
     try {
       localStorage.setItem("cs:headerCollapsed", String(headerCollapsed));
@@ -199,21 +400,33 @@ export default function Home() {
   const currentQuestion =
     questions.length > 0 ? questions[Math.min(selectedIndex, questions.length - 1)] : null;
 
-  // sync starter code & enforce correct language
+  // load the saved draft for this question/language, or its starter code
   useEffect(() => {
     if (!currentQuestion) return;
-    const sc = currentQuestion.starterCode || "";
-    const ok = starterMatchesLanguage(sc, language);
-    setCode(ok && sc.trim() ? sc : defaultStarter(language));
+    setCode(loadDraft(currentQuestion.id, language) ?? starterFor(currentQuestion, language));
   }, [currentQuestion, language]);
 
+  // Drafts are written from the editor (not an effect on `code`), so switching questions
+  // can never save the previous question's code under the new question's key.
+  function updateCode(next) {
+    setCode(next);
+    if (currentQuestion) saveDraft(currentQuestion.id, language, next, starterFor(currentQuestion, language));
+  }
+
   // reset testcase selection when question changes
   useEffect(() => {
     setActiveCaseIndex(0);
     setRunResult(null);
+    setPerfResult(null);
     setActiveTab("testcases");
   }, [selectedIndex]);
 
+  useEffect(() => {
+    setHistory(currentQuestion ? loadHistory(currentQuestion.id) : []);
+    setCompareIds([]);
+    setCustomCases(currentQuestion ? loadCustomCases(currentQuestion.id) : []);
+  }, [currentQuestion]);
+
   // keyboard shortcuts
   useEffect(() => {
     const onKeyDown = (e) => {
@@ -231,7 +444,7 @@ export default function Home() {
     window.addEventListener("keydown", onKeyDown);
     return () => window.removeEventListener("keydown", onKeyDown);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [code, language, currentQuestion, questions]);
+  }, [code, language, currentQuestion, questions, setExpired]);
 
   const difficultyMeta = (difficulty) => {
     const d = (difficulty || "").toLowerCase();
@@ -246,28 +459,69 @@ export default function Home() {
 
   const meta = difficultyMeta(currentQuestion?.difficulty);
 
-  const monacoLang =
-    language === "typescript" ? "typescript" : language === "python" ? "python" : "javascript";
+  const monacoLang = monacoLanguage(language);
 
-  const fileLabel =
-    language === "python" ? "main.py" : language === "typescript" ? "main.ts" : "main.js";
+  const fileLabel = languageFileName(language);
 
   const testCases = useMemo(() => {
     const tc = currentQuestion?.testCases;
     return Array.isArray(tc) ? tc : [];
   }, [currentQuestion]);
 
-  const hiddenTestCases = useMemo(() => {
-    const tc = currentQuestion?.hiddenTestCases;
-    return Array.isArray(tc) ? tc : [];
-  }, [currentQuestion]);
+  // hidden cases live on the server; we only get their count
+  const hiddenCount = Number(currentQuestion?.hiddenCount) || 0;
+
+  // model cases first, then the user's own; result rows come back in the same order
+  const allCases = [
+    ...testCases,
+    ...customCases.map((c, i) => ({ ...c, name: `Custom ${i + 1}`, custom: true })),
+  ];
+  const activeTC = allCases[Math.min(activeCaseIndex, Math.max(0, allCases.length - 1))];
+  const signature = resolveSignature(currentQuestion);
+  // one block per parameter for signature questions; null falls back to the raw input
+  const activeArgs = signature.spread && activeTC && !activeTC.custom ? splitArguments(activeTC.input, signature) : null;
+  // design questions list the case's calls instead
+  const design = resolveDesign(currentQuestion);
+  const activeOps = design && activeTC && !activeTC.custom ? splitOperations(activeTC.input) : null;
+
+  function updateCustomCases(next) {
+    setCustomCases(next);
+    if (currentQuestion) saveCustomCases(currentQuestion.id, next);
+  }
+
+  function addCustomCase() {
+    if (customCases.length >= MAX_CUSTOM_CASES) return;
+    const next = [...customCases, { id: `${Date.now()}`, input: testCases[0]?.input ?? "null", expectedOutput: "" }];
+    updateCustomCases(next);
+    setActiveCaseIndex(testCases.length + next.length - 1);
+  }
+
+  function editCustomCase(id, patch) {
+    updateCustomCases(customCases.map((c) => (c.id === id ? { ...c, ...patch } : c)));
+  }
+
+  function deleteCustomCase(id) {
+    updateCustomCases(customCases.filter((c) => c.id !== id));
+    setActiveCaseIndex((i) => Math.max(0, i - 1));
+  }
 
-  const activeTC = testCases[Math.min(activeCaseIndex, Math.max(0, testCases.length - 1))];
+  // Puts an old attempt back in the editor; attempts in another language switch the editor over.
+  function restoreAttempt(attempt) {
+    if (!currentQuestion) return;
+    saveDraft(currentQuestion.id, attempt.language, attempt.code, starterFor(currentQuestion, attempt.language));
+    if (attempt.language === language) setCode(attempt.code);
+    else setLanguage(attempt.language);
+    popToast("Attempt restored");
+  }
+
+  function toggleCompare(id) {
+    setCompareIds((ids) => (ids.includes(id) ? ids.filter((x) => x !== id) : [...ids, id].slice(-2)));
+  }
 
   function handleReset() {
-    const sc = currentQuestion?.starterCode || "";
-    const ok = starterMatchesLanguage(sc, language);
-    setCode(ok && sc.trim() ? sc : defaultStarter(language));
+    if (!currentQuestion) return;
+    if (!window.confirm("Reset to the starter code? Your saved draft for this question will be lost.")) return;
+    updateCode(starterFor(currentQuestion, language));
   }
 
   async function handleGenerate(e) {
@@ -287,21 +541,39 @@ export default function Home() {
       const res = await fetch("/api/generate-questions", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ docsUrl, language }),
+        body: JSON.stringify({
+          docsUrl,
+          language,
+          count: genCount,
+          difficultyMix: mixPreset === "custom" ? customMix : MIX_PRESETS[mixPreset],
+          focus,
+        }),
       });
 
       const data = await res.json();
       if (!res.ok) throw new Error(data?.error || "Failed to generate questions");
 
       const qs = data.questions || [];
+      // drafts and history belong to the previous set, which can't be reopened once replaced
+      clearQuestionStorage();
       setQuestions(qs);
+      setMixResult(data.mix || null);
+      setSetExpired(false);
       setSelectedIndex(0);
       setActiveCaseIndex(0);
 
       // auto-collapse after success
       setHeaderCollapsed(true);
 
-      popToast(`Generated ${qs.length} questions ✨`);
+      const skipped = (data.rejected?.length || 0) + (data.verification?.discarded?.length || 0);
+      const note = [
+        !data.grounding?.grounded && "page unreadable, used URL only",
+        skipped > 0 && `${skipped} skipped as invalid`,
+      ].filter(Boolean);
+      popToast(
+        note.length ? `Generated ${qs.length} questions (${note.join(", ")})` : `Generated ${qs.length} questions ✨`,
+        note.length ? 2500 : 1200
+      );
     } catch (err) {
       console.error(err);
       // IMPORTANT: keep old questions if generation fails
@@ -314,49 +586,156 @@ export default function Home() {
 
   async function runCode(mode) {
     if (!currentQuestion || runLoading) return;
+    if (mode === "submit" && setExpired) {
+      popToast(SET_EXPIRED_MESSAGE, 2500);
+      return;
+    }
+    const attempt = { id: `${Date.now()}`, at: Date.now(), mode, language, code };
 
     setRunLoading(true);
     setRunResult(null);
     setActiveTab("output");
 
     try {
-      const res = await fetch("/api/run", {
+      const res = await fetch("/api/run/stream", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
+          questionId: currentQuestion.id,
           code,
           language,
           functionName: currentQuestion.functionName || "solve",
+          signature: currentQuestion.signature,
+          design: currentQuestion.design,
+          inputType: currentQuestion.inputType,
+          returnType: currentQuestion.returnType,
           testCases: currentQuestion.testCases || [],
-          hiddenTestCases: currentQuestion.hiddenTestCases || [],
+          virtualClock: currentQuestion.virtualClock,
+          customCases:
+            mode === "run"
+              ? customCases.map(({ input, expectedOutput, advanceMs }) => ({
+                  input,
+                  expectedOutput,
+                  advanceMs: /^\d+$/.test(String(advanceMs ?? "").trim()) ? Number(advanceMs) : null,
+                }))
+              : [],
           mode,
         }),
       });
 
-      const data = await res.json();
-      if (!res.ok) throw new Error(data?.error || "Run failed");
+      if (!res.ok) {
+        const data = await res.json().catch(() => null);
+        // submit needs the set's hidden cases, which the server dropped (expired or restarted)
+        if (mode === "submit" && res.status === 404) markSetExpired();
+        throw new Error(data?.error || "Run failed");
+      }
+
+      // Fill in rows as each case finishes; the "done" event carries the final summary.
+      let data = null;
+      await readSseStream(res, (event, payload) => {
+        if (event === "start") {
+          setRunResult({ mode: payload.mode, total: payload.total, results: [], streaming: true });
+        } else if (event === "case") {
+          setRunResult((prev) => {
+            if (!prev?.streaming) return prev;
+            const results = [...prev.results];
+            results[payload.index] = payload.result;
+            return { ...prev, results };
+          });
+        } else if (event === "done") {
+          data = payload;
+        } else if (event === "error") {
+          throw new Error(payload?.error || "Run failed");
+        }
+      });
 
+      if (!data) throw new Error("Run ended before all results arrived");
       setRunResult(data);
+      setHistory(
+        recordAttempt(currentQuestion.id, {
+          ...attempt,
+          passedCount: data.passedCount,
+          total: data.total,
+          allPassed: data.allPassed,
+          verdict: data.verdict,
+          results: data.results,
+        })
+      );
 
       // Auto-jump to first failing VISIBLE case if any
       if (!data.allPassed) {
-        const firstFail = (data.results || []).findIndex((r) => !r.passed && !r.hidden);
+        const firstFail = (data.results || []).findIndex((r) => r.passed === false && !r.hidden);
         if (firstFail >= 0) setActiveCaseIndex(firstFail);
       }
 
-      if (data.allPassed) {
+      if (data.total === 0) {
+        popToast(`Ran ${data.outputOnlyCount} custom case(s)`);
+      } else if (data.allPassed) {
         popToast(mode === "submit" ? "Submitted ✅ All tests passed!" : "All tests passed ✅");
       } else {
-        popToast(`${data.passedCount}/${data.total} passed`);
+        const label = VERDICTS[data.verdict];
+        popToast(label ? `${label} • ${data.passedCount}/${data.total} passed` : `${data.passedCount}/${data.total} passed`);
       }
     } catch (e) {
       setRunResult({ error: String(e?.message || e) });
+      setHistory(recordAttempt(currentQuestion.id, { ...attempt, error: String(e?.message || e) }));
       popToast("Runner error ❌");
     } finally {
       setRunLoading(false);
     }
   }
 
+  // the server no longer has the current set: say so, offer the generate form, and throw the
+  // message into the caller's error path
+  function markSetExpired() {
+    setSetExpired(true);
+    setError(SET_EXPIRED_MESSAGE);
+    setHeaderCollapsed(false);
+    throw new Error(SET_EXPIRED_MESSAGE);
+  }
+
+  async function runBenchmark() {
+    if (!currentQuestion?.performance || perfLoading) return;
+    if (setExpired) {
+      popToast(SET_EXPIRED_MESSAGE, 2500);
+      return;
+    }
+
+    setPerfLoading(true);
+    setPerfResult(null);
+    setActiveTab("performance");
+
+    try {
+      const res = await fetch("/api/run", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          questionId: currentQuestion.id,
+          code,
+          language,
+          functionName: currentQuestion.functionName || "solve",
+          signature: currentQuestion.signature,
+          design: currentQuestion.design,
+          inputType: currentQuestion.inputType,
+          returnType: currentQuestion.returnType,
+          mode: "performance",
+        }),
+      });
+      const data = await res.json().catch(() => null);
+      // the benchmark spec lives with the stored set too
+      if (res.status === 404) markSetExpired();
+      if (!res.ok) throw new Error(data?.error || "Benchmark failed");
+
+      setPerfResult(data);
+      popToast(data.fit?.label ? `Looks like ${data.fit.label}` : "Benchmark finished");
+    } catch (e) {
+      setPerfResult({ error: String(e?.message || e) });
+      popToast("Benchmark failed ❌");
+    } finally {
+      setPerfLoading(false);
+    }
+  }
+
   // Drag logic for editor split
   function onSplitPointerDown(e) {
     if (!rightStackRef.current) return;
@@ -416,6 +795,14 @@ export default function Home() {
                   {meta.label}
                 </span>
               )}
+              {currentQuestion?.timeLimitMs ? (
+                <span
+                  className="px-2 py-0.5 rounded-full text-[10px] font-semibold border bg-slate-50 text-slate-600 border-slate-200 whitespace-nowrap"
+                  title="Time and memory limit per test case"
+                >
+                  {formatLimits(currentQuestion)}
+                </span>
+              ) : null}
             </div>
 
             <button
@@ -444,10 +831,76 @@ export default function Home() {
                     disabled={loading}
                     className="rounded-lg px-3 py-1.5 text-[11px] font-semibold text-white bg-indigo-600 hover:bg-indigo-500 disabled:opacity-60"
                   >
-                    {loading ? "..." : "Generate 5"}
+                    {loading ? "..." : `Generate ${genCount}`}
                   </button>
                 </div>
 
+                <div className="mt-1.5 flex flex-wrap items-center gap-2 text-[11px] text-slate-600">
+                  <label className="flex items-center gap-1">
+                    Questions
+                    <input
+                      type="number"
+                      min={MIN_QUESTIONS}
+                      max={MAX_QUESTIONS}
+                      value={genCount}
+                      onChange={(e) =>
+                        setGenCount(
+                          Math.min(MAX_QUESTIONS, Math.max(MIN_QUESTIONS, Math.round(Number(e.target.value) || 1)))
+                        )
+                      }
+                      className="w-12 rounded-md bg-white border border-slate-200 px-1.5 py-1 text-[11px]"
+                    />
+                  </label>
+
+                  <label className="flex items-center gap-1">
+                    Difficulty
+                    <select
+                      value={mixPreset}
+                      onChange={(e) => setMixPreset(e.target.value)}
+                      className="rounded-md bg-white border border-slate-200 px-1.5 py-1 text-[11px]"
+                    >
+                      <option value="any">Any</option>
+                      <option value="balanced">Balanced</option>
+                      <option value="easier">Mostly easy</option>
+                      <option value="harder">Mostly hard</option>
+                      <option value="custom">Custom…</option>
+                    </select>
+                  </label>
+
+                  {mixPreset === "custom" && (
+                    <div className="flex items-center gap-1" title="Relative weights per difficulty">
+                      {[
+                        ["beginner", "Easy"],
+                        ["intermediate", "Med"],
+                        ["advanced", "Hard"],
+                      ].map(([key, label]) => (
+                        <label key={key} className="flex items-center gap-0.5">
+                          {label}
+                          <input
+                            type="number"
+                            min={0}
+                            max={15}
+                            value={customMix[key]}
+                            onChange={(e) =>
+                              setCustomMix((m) => ({ ...m, [key]: Math.max(0, Number(e.target.value) || 0) }))
+                            }
+                            className="w-10 rounded-md bg-white border border-slate-200 px-1 py-1 text-[11px]"
+                          />
+                        </label>
+                      ))}
+                    </div>
+                  )}
+
+                  <input
+                    type="text"
+                    value={focus}
+                    onChange={(e) => setFocus(e.target.value)}
+                    placeholder="Focus (optional): error handling, empty input…"
+                    maxLength={400}
+                    className="flex-1 min-w-[180px] rounded-md bg-white border border-slate-200 px-2 py-1 text-[11px] focus:outline-none focus:ring-2 focus:ring-indigo-400/60"
+                  />
+                </div>
+
                 <div className="mt-1 flex items-center justify-between">
                   <div className="text-[10px] text-rose-600">{error}</div>
                   <div className="text-[10px] text-slate-500 hidden sm:block">
@@ -499,11 +952,27 @@ export default function Home() {
                   onChange={(e) => setLanguage(e.target.value)}
                   title="Language"
                 >
-                  <option value="javascript">JavaScript</option>
-                  <option value="typescript">TypeScript</option>
-                  <option value="python">Python</option>
+                  {LANGUAGES.map((l) => (
+                    <option key={l.id} value={l.id}>
+                      {l.label}
+                    </option>
+                  ))}
                 </select>
 
+                {mixResult?.requested && (
+                  <span
+                    className={[
+                      "text-[10px] px-2 py-0.5 rounded-full border font-semibold",
+                      mixResult.score >= 1
+                        ? "bg-emerald-50 border-emerald-200 text-emerald-700"
+                        : "bg-amber-50 border-amber-200 text-amber-700",
+                    ].join(" ")}
+                    title={`Requested ${mixResult.requested.beginner}/${mixResult.requested.intermediate}/${mixResult.requested.advanced}, got ${mixResult.actual.beginner}/${mixResult.actual.intermediate}/${mixResult.actual.advanced} (easy/medium/hard)`}
+                  >
+                    Mix {Math.round(mixResult.score * 100)}%
+                  </span>
+                )}
+
                 <div className="hidden md:block text-[10px] text-slate-500 truncate max-w-[420px]">
                   {currentQuestion.title || `Question ${selectedIndex + 1}`}
                 </div>
@@ -526,6 +995,13 @@ export default function Home() {
                     {currentQuestion.title || `Question ${selectedIndex + 1}`}
                   </h2>
 
+                  {currentQuestion.sourceSection?.heading && (
+                    <div className="text-[10px] text-slate-500">
+                      From docs section:{" "}
+                      <span className="font-semibold text-slate-700">{currentQuestion.sourceSection.heading}</span>
+                    </div>
+                  )}
+
                   {currentQuestion.concept && (
                     <div className="rounded-xl bg-indigo-50 border border-indigo-100 p-2.5">
                       <div className="text-[10px] font-bold text-indigo-700">Concept</div>
@@ -576,6 +1052,7 @@ export default function Home() {
                   <button
                     className="text-[11px] px-2 py-1 rounded-lg bg-slate-100 text-slate-700 border border-slate-200 hover:bg-slate-200"
                     onClick={handleReset}
+                    title="Replace your draft with the starter code"
                   >
                     Reset
                   </button>
@@ -594,11 +1071,20 @@ export default function Home() {
                         <span className="h-2 w-2 rounded-full bg-amber-300" />
                         <span className="h-2 w-2 rounded-full bg-emerald-300" />
                         <span className="ml-2 text-[10px] text-slate-300 font-mono">
-                          implement <span className="text-sky-300">solve</span>(input)
+                          {design ? (
+                            <>
+                              implement class <span className="text-sky-300">{design.className}</span>
+                            </>
+                          ) : (
+                            <>
+                              implement <span className="text-sky-300">{signature.name}</span>(
+                              {signature.params.map((p) => p.name).join(", ")})
+                            </>
+                          )}
                         </span>
                       </div>
                       <div className="text-[10px] text-slate-400 hidden sm:block">
-                        Run = visible • Submit = visible + hidden ({hiddenTestCases.length})
+                        Run = visible • Submit = visible + hidden ({hiddenCount})
                       </div>
                     </div>
 
@@ -607,7 +1093,7 @@ export default function Home() {
                         height="100%"
                         language={monacoLang}
                         value={code}
-                        onChange={(v) => setCode(v ?? "")}
+                        onChange={(v) => updateCode(v ?? "")}
                         theme="vs-dark"
                         options={{
                           minimap: { enabled: false },
@@ -659,11 +1145,22 @@ export default function Home() {
                           </button>
                           <button
                             onClick={() => runCode("submit")}
-                            disabled={runLoading}
+                            disabled={runLoading || setExpired}
+                            title={setExpired ? SET_EXPIRED_MESSAGE : undefined}
                             className="px-2.5 py-1.5 rounded-lg text-[12px] font-semibold text-white bg-indigo-600 hover:bg-indigo-500 disabled:opacity-60"
                           >
                             {runLoading ? "Submitting..." : "Submit"}
                           </button>
+                          {currentQuestion.performance ? (
+                            <button
+                              onClick={runBenchmark}
+                              disabled={perfLoading || runLoading || setExpired}
+                              title={setExpired ? SET_EXPIRED_MESSAGE : `Time ${signature.name}() on generated inputs of growing size`}
+                              className="px-2.5 py-1.5 rounded-lg text-[12px] font-semibold bg-white border border-slate-200 hover:bg-slate-100 disabled:opacity-60"
+                            >
+                              {perfLoading ? "Measuring..." : "Benchmark"}
+                            </button>
+                          ) : null}
                         </div>
 
                         <div className="text-[10px] text-slate-500">
@@ -684,49 +1181,131 @@ export default function Home() {
                         <Tab active={activeTab === "output"} onClick={() => setActiveTab("output")}>
                           Output
                         </Tab>
+                        <Tab active={activeTab === "history"} onClick={() => setActiveTab("history")}>
+                          History{history.length > 0 ? ` (${history.length})` : ""}
+                        </Tab>
+                        {currentQuestion.performance ? (
+                          <Tab active={activeTab === "performance"} onClick={() => setActiveTab("performance")}>
+                            Performance
+                          </Tab>
+                        ) : null}
                       </div>
                     </div>
 
                     <div className="flex-1 min-h-0 overflow-y-auto p-3 text-[13px]">
                       {activeTab === "testcases" ? (
-                        testCases.length > 0 ? (
-                          <div className="space-y-2.5">
-                            <div className="flex gap-1.5 flex-wrap">
-                              {testCases.map((tc, idx) => (
-                                <Pill
-                                  key={`${tc.name || "case"}-${idx}`}
-                                  active={idx === activeCaseIndex}
-                                  onClick={() => setActiveCaseIndex(idx)}
-                                >
-                                  {tc.name || `Case ${idx + 1}`}
-                                </Pill>
-                              ))}
-                            </div>
-
-                            {/* Resizable testcase sections (drag bottom-right corner of each) */}
-                            <Block title="Example Input" resizable>
-                              {activeTC?.input || "// missing input"}
-                            </Block>
-                            <Block title="Expected Output" resizable>
-                              {activeTC?.expectedOutput || "// missing expected"}
-                            </Block>
-
-                            {activeTC?.explanation && (
-                              <div className="rounded-xl bg-slate-50 border border-slate-200 p-2.5">
-                                <div className="text-[10px] uppercase tracking-wide text-slate-500 font-semibold">
-                                  Explanation
-                                </div>
-                                <p className="mt-1 text-[13px] text-slate-700 leading-snug">
-                                  {activeTC.explanation}
-                                </p>
-                              </div>
+                        <div className="space-y-2.5">
+                          <div className="flex gap-1.5 flex-wrap">
+                            {allCases.map((tc, idx) => (
+                              <Pill
+                                key={tc.custom ? tc.id : `${tc.name || "case"}-${idx}`}
+                                active={idx === activeCaseIndex}
+                                onClick={() => setActiveCaseIndex(idx)}
+                              >
+                                {tc.name || `Case ${idx + 1}`}
+                              </Pill>
+                            ))}
+                            {customCases.length < MAX_CUSTOM_CASES && (
+                              <button
+                                onClick={addCustomCase}
+                                className="px-2.5 py-1 rounded-full text-[11px] font-semibold border border-dashed border-slate-300 text-slate-600 hover:bg-slate-50"
+                                title="Add your own input (used by Run, not Submit)"
+                              >
+                                + Custom
+                              </button>
                             )}
                           </div>
-                        ) : (
-                          <div className="rounded-xl bg-amber-50 border border-amber-200 p-2.5 text-[13px] text-amber-900">
-                            No testcases returned.
-                          </div>
-                        )
+
+                          {activeTC?.custom ? (
+                            <CustomCaseEditor
+                              key={activeTC.id}
+                              tc={activeTC}
+                              signature={signature}
+                              design={design}
+                              virtualClock={Boolean(currentQuestion.virtualClock)}
+                              onChange={(patch) => editCustomCase(activeTC.id, patch)}
+                              onDelete={() => deleteCustomCase(activeTC.id)}
+                            />
+                          ) : activeTC ? (
+                            <>
+                              {/* Resizable testcase sections (drag bottom-right corner of each) */}
+                              {currentQuestion.virtualClock ? (
+                                <div className="text-[10px] text-slate-500" title={VIRTUAL_CLOCK_NOTE}>
+                                  ⏱ Virtual clock (JavaScript/TypeScript):{" "}
+                                  {Number.isInteger(activeTC.advanceMs)
+                                    ? `stops at ${activeTC.advanceMs}ms`
+                                    : "runs until everything settled"}
+                                </div>
+                              ) : null}
+                              {activeOps ? (
+                                <>
+                                  <div className="text-[10px] text-slate-500">
+                                    Class <span className="font-mono text-slate-800">{design.className}</span> with{" "}
+                                    <span className="font-mono text-slate-800">{design.methods.map(formatMethod).join(", ")}</span>
+                                  </div>
+                                  <OperationSteps
+                                    operations={activeOps.map(formatOperation)}
+                                    expectedOutput={activeTC.expectedOutput}
+                                    comparator={activeTC.comparator}
+                                  />
+                                </>
+                              ) : activeArgs ? (
+                                <>
+                                  <div className="text-[10px] text-slate-500">
+                                    Called as <span className="font-mono text-slate-800">{formatSignature(signature)}</span>
+                                  </div>
+                                  {activeArgs.map((arg) => (
+                                    <Block key={arg.name} title={arg.type ? `${arg.name} (${arg.type})` : arg.name} resizable>
+                                      {JSON.stringify(arg.value)}
+                                    </Block>
+                                  ))}
+                                </>
+                              ) : (
+                                <Block title="Example Input" resizable>
+                                  {activeTC.input || "// missing input"}
+                                </Block>
+                              )}
+                              <Block
+                                title={
+                                  comparatorLabel(activeTC.comparator)
+                                    ? `Expected Output (${comparatorLabel(activeTC.comparator)})`
+                                    : "Expected Output"
+                                }
+                                resizable
+                              >
+                                {activeTC.expectedOutput || "// missing expected"}
+                              </Block>
+
+                              {activeTC.explanation && (
+                                <div className="rounded-xl bg-slate-50 border border-slate-200 p-2.5">
+                                  <div className="text-[10px] uppercase tracking-wide text-slate-500 font-semibold">
+                                    Explanation
+                                  </div>
+                                  <p className="mt-1 text-[13px] text-slate-700 leading-snug">
+                                    {activeTC.explanation}
+                                  </p>
+                                </div>
+                              )}
+                            </>
+                          ) : (
+                            <div className="rounded-xl bg-amber-50 border border-amber-200 p-2.5 text-[13px] text-amber-900">
+                              No testcases returned.
+                            </div>
+                          )}
+                        </div>
+                      ) : activeTab === "history" ? (
+                        <HistoryPanel
+                          attempts={history}
+                          compareIds={compareIds}
+                          onToggleCompare={toggleCompare}
+                          onRestore={restoreAttempt}
+                        />
+                      ) : activeTab === "performance" ? (
+                        <PerformancePanel
+                          perfResult={perfResult}
+                          loading={perfLoading}
+                          sizes={currentQuestion.performance?.sizes || []}
+                        />
                       ) : (
                         <OutputPanel runResult={runResult} />
                       )}
@@ -754,6 +1333,13 @@ export default function Home() {
         )}
       </div>
 
+      {compareIds.length === 2 && (
+        <DiffModal
+          attempts={history.filter((a) => compareIds.includes(a.id))}
+          onClose={() => setCompareIds([])}
+        />
+      )}
+
       <style jsx global>{`
         .no-scrollbar::-webkit-scrollbar {
           display: none;
@@ -784,78 +1370,727 @@ function OutputPanel({ runResult }) {
     );
   }
 
+  if (runResult.streaming) {
+    const done = runResult.results.filter(Boolean).length;
+    const total = runResult.total || 0;
+    return (
+      <div className="space-y-2.5">
+        <div className="rounded-xl border p-2.5 text-[13px] bg-slate-50 border-slate-200 text-slate-800">
+          <div className="flex items-center justify-between">
+            <div className="font-bold">Running…</div>
+            <div className="font-mono text-[12px]">
+              {done}/{total}
+            </div>
+          </div>
+          <div className="mt-2 h-1.5 rounded-full bg-slate-200 overflow-hidden">
+            <div
+              className="h-full bg-indigo-500 transition-all"
+              style={{ width: `${total ? Math.round((done / total) * 100) : 0}%` }}
+            />
+          </div>
+          <div className="text-[10px] text-slate-600 mt-1">
+            Mode: <span className="font-mono">{runResult.mode}</span>
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          {Array.from({ length: total }, (_, idx) => {
+            const r = runResult.results[idx];
+            return r ? (
+              <CaseResult key={idx} r={r} />
+            ) : (
+              <div
+                key={idx}
+                className="rounded-xl bg-white border border-dashed border-slate-200 p-2.5 text-[12px] text-slate-400"
+              >
+                Case {idx + 1} • waiting…
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    );
+  }
+
+  const verdictStyle = VERDICT_STYLES[runResult.verdict];
+
   return (
     <div className="space-y-2.5">
       <div
         className={[
           "rounded-xl border p-2.5 text-[13px]",
-          runResult.allPassed
-            ? "bg-emerald-50 border-emerald-200 text-emerald-900"
-            : "bg-amber-50 border-amber-200 text-amber-900",
+          verdictStyle
+            ? verdictStyle.banner
+            : runResult.total === 0
+              ? "bg-slate-50 border-slate-200 text-slate-800"
+              : "bg-amber-50 border-amber-200 text-amber-900",
         ].join(" ")}
       >
-        <div className="font-bold">{runResult.allPassed ? "All tests passed ✅" : "Some tests failed ⚠️"}</div>
+        <div className="font-bold">
+          {runResult.verdict
+            ? `${VERDICTS[runResult.verdict]}${runResult.verdict === "accepted" ? " ✅" : ""}`
+            : runResult.total === 0
+              ? "Ran custom cases"
+              : "Some tests failed ⚠️"}
+        </div>
         <div className="text-[12px] mt-1">
-          {runResult.passedCount}/{runResult.total} passed • {runResult.totalRuntimeMs ?? 0}ms
+          {runResult.passedCount}/{runResult.total} passed
+          {runResult.outputOnlyCount > 0 ? ` • ${runResult.outputOnlyCount} output only` : ""} •{" "}
+          {runResult.totalRuntimeMs ?? 0}ms
         </div>
         <div className="text-[10px] text-slate-600 mt-1">
           Mode: <span className="font-mono">{runResult.mode}</span>
+          {runResult.limits ? (
+            <>
+              {" "}
+              • Limits: <span className="font-mono">{formatLimits(runResult.limits)}</span> per case
+            </>
+          ) : null}
         </div>
       </div>
 
       <div className="space-y-2">
         {(runResult.results || []).map((r, idx) => (
-          <div key={idx} className="rounded-xl bg-white border border-slate-200 p-2.5">
-            <div className="flex items-center justify-between gap-2">
-              <div className="font-semibold text-[13px]">
-                {r.name}{" "}
-                {r.hidden ? (
-                  <span className="ml-2 text-[10px] px-2 py-0.5 rounded-full border bg-slate-50 border-slate-200 text-slate-600">
-                    hidden
-                  </span>
-                ) : null}
-              </div>
+          <CaseResult key={idx} r={r} />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function formatMs(ms) {
+  const v = Number(ms) || 0;
+  if (v < 1) return `${v.toFixed(3)}ms`;
+  if (v < 100) return `${v.toFixed(1)}ms`;
+  return `${Math.round(v)}ms`;
+}
+
+function formatKb(kb) {
+  return kb >= 1024 ? `${(kb / 1024).toFixed(1)} MB` : `${Math.round(kb)} KB`;
+}
+
+function PerformancePanel({ perfResult, loading, sizes }) {
+  if (loading) {
+    return (
+      <div className="rounded-xl bg-slate-50 border border-slate-200 p-2.5 text-[13px] text-slate-700">
+        Measuring your solution at n = {sizes.join(", ")}…
+      </div>
+    );
+  }
+
+  if (!perfResult) {
+    return (
+      <div className="rounded-xl bg-slate-50 border border-slate-200 p-2.5 text-[13px] text-slate-700">
+        Press <span className="font-bold">Benchmark</span> to time your solution on inputs of size{" "}
+        <span className="font-mono">{sizes.join(", ")}</span> and estimate its complexity.
+      </div>
+    );
+  }
+
+  if (perfResult.error) {
+    return (
+      <div className="rounded-xl bg-rose-50 border border-rose-200 p-2.5 text-[13px] text-rose-900">
+        {perfResult.error}
+      </div>
+    );
+  }
+
+  const { points = [], fit = {}, skippedSizes = [] } = perfResult;
+  const failed = points.filter((p) => !p.ok);
+
+  return (
+    <div className="space-y-2.5">
+      <div className="rounded-xl border p-2.5 text-[13px] bg-slate-50 border-slate-200 text-slate-800">
+        <div className="font-bold">
+          {fit.label ? (
+            <>
+              Estimated complexity: <span className="font-mono">{fit.label}</span>
+            </>
+          ) : (
+            "Complexity unknown"
+          )}
+        </div>
+        <div className="text-[12px] mt-1">
+          {fit.label ? (
+            <>
+              time grows like n<sup>{fit.slope}</sup> • fastest of {perfResult.repeat} calls per size • {perfResult.totalRuntimeMs ?? 0}ms
+              total
+            </>
+          ) : (
+            fit.note
+          )}
+        </div>
+        {skippedSizes.length > 0 ? (
+          <div className="text-[10px] text-slate-600 mt-1">
+            Skipped n = {skippedSizes.join(", ")} (input too large to send to the runner).
+          </div>
+        ) : null}
+      </div>
+
+      {points.some((p) => p.ok) ? (
+        <Block title="Runtime vs input size">
+          <PerfChart points={points.filter((p) => p.ok)} curve={fit.curve || []} label={fit.label} />
+        </Block>
+      ) : null}
+
+      <div className="rounded-xl bg-white border border-slate-200 overflow-hidden">
+        <table className="w-full text-[12px]">
+          <thead className="bg-slate-50 text-slate-500 text-[10px] uppercase tracking-wide">
+            <tr>
+              <th className="text-left px-2.5 py-1.5 font-semibold">n</th>
+              <th className="text-right px-2.5 py-1.5 font-semibold">time</th>
+            </tr>
+          </thead>
+          <tbody>
+            {points.map((p) => (
+              <tr key={p.n} className="border-t border-slate-100">
+                <td className="px-2.5 py-1.5 font-mono">{p.n.toLocaleString()}</td>
+                <td className={["px-2.5 py-1.5 text-right font-mono", p.ok ? "" : "text-rose-700"].join(" ")}>
+                  {p.ok ? formatMs(p.ms) : p.timedOut ? "timed out" : "error"}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {failed.length > 0 && !failed[0].timedOut ? (
+        <Block title={`Error at n = ${failed[0].n}`}>
+          <pre className="whitespace-pre-wrap font-mono text-[12px] text-rose-900">{failed[0].error}</pre>
+        </Block>
+      ) : null}
+    </div>
+  );
+}
+
+// Measured points plus the fitted curve, on linear axes from 0.
+function PerfChart({ points, curve, label }) {
+  const W = 320;
+  const H = 150;
+  const pad = { left: 44, right: 10, top: 10, bottom: 24 };
+  const maxN = Math.max(...points.map((p) => p.n), ...curve.map((c) => c.n));
+  const maxMs = Math.max(...points.map((p) => p.ms), ...curve.map((c) => c.ms)) || 1;
+  const x = (n) => pad.left + (n / maxN) * (W - pad.left - pad.right);
+  const y = (ms) => H - pad.bottom - (ms / maxMs) * (H - pad.top - pad.bottom);
+
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full max-w-md" role="img" aria-label="Runtime by input size">
+      <line x1={pad.left} y1={H - pad.bottom} x2={W - pad.right} y2={H - pad.bottom} className="stroke-slate-300" />
+      <line x1={pad.left} y1={pad.top} x2={pad.left} y2={H - pad.bottom} className="stroke-slate-300" />
+      <text x={pad.left - 4} y={pad.top + 4} textAnchor="end" className="fill-slate-500 text-[9px]">
+        {formatMs(maxMs)}
+      </text>
+      <text x={pad.left - 4} y={H - pad.bottom} textAnchor="end" className="fill-slate-500 text-[9px]">
+        0
+      </text>
+      <text x={W - pad.right} y={H - 8} textAnchor="end" className="fill-slate-500 text-[9px]">
+        n = {maxN.toLocaleString()}
+      </text>
+
+      {curve.length > 1 ? (
+        <polyline
+          points={curve.map((c) => `${x(c.n)},${y(c.ms)}`).join(" ")}
+          fill="none"
+          strokeDasharray="4 3"
+          className="stroke-indigo-300"
+        />
+      ) : null}
+      {points.map((p) => (
+        <circle key={p.n} cx={x(p.n)} cy={y(p.ms)} r={3} className="fill-indigo-600">
+          <title>
+            n={p.n}: {formatMs(p.ms)}
+          </title>
+        </circle>
+      ))}
+      {label ? (
+        <text x={pad.left + 6} y={pad.top + 10} className="fill-indigo-500 text-[10px] font-mono">
+          fit: {label}
+        </text>
+      ) : null}
+    </svg>
+  );
+}
+
+function formatAttemptTime(at) {
+  return new Date(at).toLocaleString(undefined, {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+}
+
+// "3/4", prefixed with the failing verdict ("TLE 3/4") when there is one
+function attemptBadge(a) {
+  if (a.error) return "ERROR";
+  const style = a.allPassed ? null : VERDICT_STYLES[a.verdict];
+  return `${style ? `${style.short} ` : ""}${a.passedCount}/${a.total}`;
+}
+
+function HistoryPanel({ attempts, compareIds, onToggleCompare, onRestore }) {
+  if (attempts.length === 0) {
+    return (
+      <div className="rounded-xl bg-slate-50 border border-slate-200 p-2.5 text-[13px] text-slate-700">
+        No attempts yet. Every <span className="font-bold">Run</span> and <span className="font-bold">Submit</span>{" "}
+        for this question is kept here.
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="text-[10px] text-slate-500">Tick two attempts to compare them side by side.</div>
+      {attempts.map((a) => (
+        <div key={a.id} className="rounded-xl bg-white border border-slate-200 p-2.5">
+          <div className="flex items-center justify-between gap-2">
+            <label className="flex items-center gap-2 min-w-0 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={compareIds.includes(a.id)}
+                onChange={() => onToggleCompare(a.id)}
+              />
+              <span className="text-[12px] font-semibold">{formatAttemptTime(a.at)}</span>
+              <span className="text-[10px] px-2 py-0.5 rounded-full border bg-slate-50 border-slate-200 text-slate-600">
+                {a.mode}
+              </span>
+              <span className="text-[10px] font-mono text-slate-500">{a.language}</span>
+            </label>
+
+            <div className="flex items-center gap-2">
               <span
                 className={[
                   "text-[10px] font-bold px-2 py-0.5 rounded-full border",
-                  r.passed
-                    ? "bg-emerald-50 border-emerald-200 text-emerald-700"
-                    : "bg-rose-50 border-rose-200 text-rose-700",
+                  a.error
+                    ? "bg-rose-50 border-rose-200 text-rose-700"
+                    : a.allPassed
+                      ? "bg-emerald-50 border-emerald-200 text-emerald-700"
+                      : "bg-amber-50 border-amber-200 text-amber-700",
                 ].join(" ")}
               >
-                {r.passed ? "PASS" : "FAIL"}
+                {attemptBadge(a)}
               </span>
+              <button
+                onClick={() => onRestore(a)}
+                className="text-[11px] px-2 py-1 rounded-lg bg-slate-100 text-slate-700 border border-slate-200 hover:bg-slate-200"
+                title="Load this code into the editor"
+              >
+                Restore
+              </button>
             </div>
+          </div>
 
-            <div className="mt-1 text-[10px] text-slate-500">
-              exit={r.exitCode} • {r.runtimeMs ?? 0}ms
+          {a.error ? (
+            <div className="mt-1 text-[11px] text-rose-700 truncate">{a.error}</div>
+          ) : (
+            <div className="mt-1.5 flex flex-wrap gap-1">
+              {(a.results || []).map((r, i) => (
+                <span
+                  key={i}
+                  title={`${r.name}: ${r.passed === null ? "not judged" : r.passed ? "passed" : "failed"}${r.actualOutput ? ` (got ${r.actualOutput})` : ""}`}
+                  className={[
+                    "h-2.5 w-2.5 rounded-full",
+                    r.passed === null ? "bg-slate-300" : r.passed ? "bg-emerald-400" : "bg-rose-400",
+                    r.hidden ? "opacity-60" : "",
+                  ].join(" ")}
+                />
+              ))}
             </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
 
-            <div className="mt-2 grid grid-cols-1 md:grid-cols-2 gap-2">
-              <div>
-                <div className="text-[10px] uppercase tracking-wide text-slate-500 font-semibold">Expected</div>
-                <pre className="rounded-lg bg-slate-50 border border-slate-200 p-2 font-mono text-[11px] whitespace-pre-wrap">
-                  {r.expectedOutput ?? ""}
-                </pre>
-              </div>
-              <div>
-                <div className="text-[10px] uppercase tracking-wide text-slate-500 font-semibold">Actual</div>
-                <pre className="rounded-lg bg-slate-50 border border-slate-200 p-2 font-mono text-[11px] whitespace-pre-wrap">
-                  {r.actualOutput ?? ""}
-                </pre>
-              </div>
+function DiffModal({ attempts, onClose }) {
+  // older attempt on the left
+  const [before, after] = [...attempts].sort((a, b) => a.at - b.at);
+
+  useEffect(() => {
+    const onKeyDown = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [onClose]);
+
+  return (
+    <div className="fixed inset-0 z-40 bg-slate-900/50 grid place-items-center p-3" onClick={onClose}>
+      <div
+        className="w-full max-w-6xl h-[80dvh] rounded-2xl bg-white border border-slate-200 overflow-hidden flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="shrink-0 px-3 py-2 border-b border-slate-200 flex items-center justify-between gap-2">
+          <div className="grid grid-cols-2 flex-1 text-[11px] text-slate-600">
+            <div>
+              {formatAttemptTime(before.at)} • {before.language} •{" "}
+              {before.error ? "error" : `${before.passedCount}/${before.total}`}
+            </div>
+            <div>
+              {formatAttemptTime(after.at)} • {after.language} •{" "}
+              {after.error ? "error" : `${after.passedCount}/${after.total}`}
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="shrink-0 text-[11px] px-2 py-1 rounded-lg bg-slate-100 text-slate-700 border border-slate-200 hover:bg-slate-200"
+          >
+            Close
+          </button>
+        </div>
+        <div className="flex-1 min-h-0">
+          <DiffEditor
+            height="100%"
+            original={before.code}
+            modified={after.code}
+            originalLanguage={monacoLanguage(before.language)}
+            modifiedLanguage={monacoLanguage(after.language)}
+            theme="vs-dark"
+            options={{
+              readOnly: true,
+              renderSideBySide: true,
+              minimap: { enabled: false },
+              fontSize: 12,
+              scrollBeyondLastLine: false,
+            }}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function CaseResult({ r }) {
+  // custom cases without an expected output are shown, not judged
+  const judged = r.passed !== null;
+  const style = VERDICT_STYLES[r.verdict];
+  const badge = style
+    ? { label: style.short, title: VERDICTS[r.verdict], cls: style.cls }
+    : r.skipped
+      ? { label: "SKIPPED", title: "Not run: an earlier case stopped the program", cls: "bg-slate-50 border-slate-200 text-slate-500" }
+      : !judged
+        ? r.exitCode === 0
+          ? { label: "OUTPUT", cls: "bg-slate-50 border-slate-200 text-slate-600" }
+          : { label: "ERROR", cls: "bg-rose-50 border-rose-200 text-rose-700" }
+        : r.passed
+          ? { label: "PASS", cls: "bg-emerald-50 border-emerald-200 text-emerald-700" }
+          : { label: "FAIL", cls: "bg-rose-50 border-rose-200 text-rose-700" };
+
+  return (
+    <div className="rounded-xl bg-white border border-slate-200 p-2.5">
+      <div className="flex items-center justify-between gap-2">
+        <div className="font-semibold text-[13px]">
+          {r.name}{" "}
+          {r.hidden ? (
+            <span className="ml-2 text-[10px] px-2 py-0.5 rounded-full border bg-slate-50 border-slate-200 text-slate-600">
+              hidden
+            </span>
+          ) : null}
+          {r.custom ? (
+            <span className="ml-2 text-[10px] px-2 py-0.5 rounded-full border border-dashed bg-white border-slate-300 text-slate-600">
+              custom
+            </span>
+          ) : null}
+        </div>
+        <span
+          className={["text-[10px] font-bold px-2 py-0.5 rounded-full border", badge.cls].join(" ")}
+          title={badge.title}
+        >
+          {badge.label}
+        </span>
+      </div>
+
+      <div className="mt-1 text-[10px] text-slate-500">
+        {r.hidden ? "" : `exit=${r.exitCode} • `}
+        {formatMs(r.runtimeMs)}
+        {r.memoryKb !== null && r.memoryKb !== undefined ? ` • ≈${formatKb(r.memoryKb)}` : ""}
+      </div>
+
+      {r.passed === false && r.reason ? (
+        <div className="mt-1 text-[11px] text-rose-700">
+          {r.verdict && r.verdict !== "wrong_answer" ? VERDICTS[r.verdict] : "Mismatch"}:{" "}
+          <span className="font-mono">{r.reason}</span>
+        </div>
+      ) : null}
+
+      {/* hidden cases come back as a verdict and timings only */}
+      {r.hidden ? null : r.operations ? (
+        <div className="mt-2">
+          <OperationSteps
+            operations={r.operations}
+            expectedOutput={judged ? r.expectedOutput : null}
+            actualJson={r.exitCode === 0 ? r.actualJson : null}
+            comparator={r.comparator}
+          />
+        </div>
+      ) : (
+        <div className={["mt-2 grid grid-cols-1 gap-2", judged ? "md:grid-cols-2" : ""].join(" ")}>
+          {judged && (
+            <div>
+              <div className="text-[10px] uppercase tracking-wide text-slate-500 font-semibold">Expected</div>
+              <pre className="rounded-lg bg-slate-50 border border-slate-200 p-2 font-mono text-[11px] whitespace-pre-wrap">
+                {r.expectedOutput ?? ""}
+              </pre>
             </div>
+          )}
+          <div>
+            <div className="text-[10px] uppercase tracking-wide text-slate-500 font-semibold">Actual</div>
+            <pre className="rounded-lg bg-slate-50 border border-slate-200 p-2 font-mono text-[11px] whitespace-pre-wrap">
+              {r.actualOutput ?? ""}
+            </pre>
+          </div>
+        </div>
+      )}
+
+      {r.passed === false && r.exitCode === 0 ? <OutputDiff r={r} /> : null}
+
+      {r.logs ? (
+        <details className="mt-2 group">
+          <summary className="cursor-pointer select-none text-[10px] uppercase tracking-wide text-slate-500 font-semibold">
+            Logs ({r.logs.split("\n").length} line{r.logs.split("\n").length === 1 ? "" : "s"})
+          </summary>
+          <pre className="mt-1 rounded-lg bg-slate-900 text-slate-100 p-2 font-mono text-[11px] whitespace-pre-wrap max-h-48 overflow-auto">
+            {r.logs}
+          </pre>
+        </details>
+      ) : null}
+
+      {r.stderr ? (
+        <div className="mt-2">
+          <div className="text-[10px] uppercase tracking-wide text-slate-500 font-semibold">Error</div>
+          <pre className="rounded-lg bg-rose-50 border border-rose-200 p-2 font-mono text-[11px] whitespace-pre-wrap text-rose-900">
+            {r.stderr}
+          </pre>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+// JSON array (as text) -> its items; null when it isn't one
+function parseSteps(text) {
+  try {
+    const value = JSON.parse(text);
+    return Array.isArray(value) ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * A design case as a table of its calls, each with the expected result and, once run, the
+ * actual one (marked ✓/✗ by the case's comparator).
+ */
+function OperationSteps({ operations, expectedOutput = null, actualJson = null, comparator }) {
+  const expected = expectedOutput === null ? null : parseSteps(expectedOutput);
+  const actual = actualJson === null ? null : parseSteps(actualJson);
+  const show = (list, k) => (list && k < list.length ? JSON.stringify(list[k]) : "");
+
+  return (
+    <div className="space-y-1">
+      <div className="text-[10px] uppercase tracking-wide text-slate-500 font-semibold">Operations</div>
+      <div className="rounded-xl bg-slate-50 border border-slate-200 overflow-auto max-h-80">
+        <table className="w-full font-mono text-[11px] text-slate-800">
+          <thead>
+            <tr className="text-left text-[10px] text-slate-500 font-sans">
+              <th className="px-2 py-1 font-semibold">#</th>
+              <th className="px-2 py-1 font-semibold">Call</th>
+              {expected && <th className="px-2 py-1 font-semibold">Expected</th>}
+              {actual && <th className="px-2 py-1 font-semibold">Actual</th>}
+              {expected && actual && <th className="px-2 py-1" />}
+            </tr>
+          </thead>
+          <tbody>
+            {operations.map((call, k) => {
+              const match =
+                expected && actual && k < actual.length
+                  ? compareOutput({ expected: show(expected, k), actualText: show(actual, k), actualJson: show(actual, k) }, comparator)
+                      .equal
+                  : null;
+              return (
+                <tr key={k} className={["border-t border-slate-200", match === false ? "bg-rose-50" : ""].join(" ")}>
+                  <td className="px-2 py-1 text-slate-400">{k}</td>
+                  <td className="px-2 py-1 break-all">{call}</td>
+                  {expected && <td className="px-2 py-1 break-all">{show(expected, k)}</td>}
+                  {actual && <td className="px-2 py-1 break-all">{show(actual, k)}</td>}
+                  {expected && actual && (
+                    <td className={["px-2 py-1 font-sans font-bold", match ? "text-emerald-600" : "text-rose-600"].join(" ")}>
+                      {match === null ? "" : match ? "✓" : "✗"}
+                    </td>
+                  )}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
 
-            {r.stderr ? (
-              <div className="mt-2">
-                <div className="text-[10px] uppercase tracking-wide text-slate-500 font-semibold">Error</div>
-                <pre className="rounded-lg bg-rose-50 border border-rose-200 p-2 font-mono text-[11px] whitespace-pre-wrap text-rose-900">
-                  {r.stderr}
-                </pre>
+function previewValue(v) {
+  const s = typeof v === "string" ? JSON.stringify(v) : (JSON.stringify(v) ?? String(v));
+  return s.length > 80 ? s.slice(0, 80) + "…" : s;
+}
+
+// Array indices stand out in paths like $.items[3].name
+function DiffPath({ path }) {
+  return (
+    <span className="font-mono">
+      {path.split(/(\[\d+\]|\[\*\])/).map((part, i) =>
+        /^\[(\d+|\*)\]$/.test(part) ? (
+          <span key={i} className="px-0.5 rounded bg-amber-100 text-amber-800">
+            {part}
+          </span>
+        ) : (
+          <span key={i}>{part}</span>
+        )
+      )}
+    </span>
+  );
+}
+
+function CharDiff({ segments }) {
+  return (
+    <span className="font-mono whitespace-pre-wrap break-all">
+      {segments.map((seg, i) =>
+        seg.op === "equal" ? (
+          <span key={i}>{seg.text}</span>
+        ) : seg.op === "delete" ? (
+          <span key={i} className="bg-rose-100 text-rose-800 line-through" title="expected, missing from output">
+            {seg.text}
+          </span>
+        ) : (
+          <span key={i} className="bg-emerald-100 text-emerald-800" title="in output, not expected">
+            {seg.text}
+          </span>
+        )
+      )}
+    </span>
+  );
+}
+
+const DIFF_KIND = {
+  changed: { label: "changed", cls: "bg-amber-50 border-amber-200 text-amber-700" },
+  type: { label: "type", cls: "bg-rose-50 border-rose-200 text-rose-700" },
+  missing: { label: "missing", cls: "bg-rose-50 border-rose-200 text-rose-700" },
+  added: { label: "extra", cls: "bg-sky-50 border-sky-200 text-sky-700" },
+};
+
+function OutputDiff({ r }) {
+  const diff = useMemo(
+    () =>
+      diffOutputs({
+        expected: r.expectedOutput,
+        actualText: r.actualOutput,
+        actualJson: r.actualJson,
+        comparator: r.comparator,
+      }),
+    [r]
+  );
+
+  return (
+    <div className="mt-2">
+      <div className="text-[10px] uppercase tracking-wide text-slate-500 font-semibold">Diff</div>
+      <div className="rounded-lg bg-slate-50 border border-slate-200 p-2 text-[11px] space-y-1">
+        {diff.mode === "text" ? (
+          <CharDiff segments={diff.chars} />
+        ) : diff.entries.length === 0 ? (
+          <div className="text-slate-500">No structural difference (see mismatch reason above).</div>
+        ) : (
+          <>
+            {diff.entries.map((e, i) => (
+              <div key={i} className="flex flex-wrap items-baseline gap-1.5">
+                <span className={["text-[9px] font-bold px-1.5 rounded-full border", DIFF_KIND[e.kind].cls].join(" ")}>
+                  {DIFF_KIND[e.kind].label}
+                </span>
+                <DiffPath path={e.path} />
+                {e.chars ? (
+                  <CharDiff segments={e.chars} />
+                ) : (
+                  <span className="font-mono text-slate-600">
+                    {e.kind !== "added" && <span className="text-rose-700">{previewValue(e.expected)}</span>}
+                    {e.kind === "changed" || e.kind === "type" ? " → " : ""}
+                    {e.kind !== "missing" && <span className="text-emerald-700">{previewValue(e.actual)}</span>}
+                  </span>
+                )}
               </div>
-            ) : null}
+            ))}
+            {diff.truncated && <div className="text-slate-400">…more differences not shown</div>}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function CustomCaseEditor({ tc, signature, design, virtualClock, onChange, onDelete }) {
+  const inputError = jsonError(tc.input);
+  const field =
+    "w-full rounded-xl bg-slate-50 border p-2 font-mono text-[11px] text-slate-800 resize-y focus:outline-none focus:ring-2 focus:ring-indigo-400/60";
+
+  return (
+    <div className="space-y-2.5">
+      <div className="space-y-1">
+        <div className="text-[10px] uppercase tracking-wide text-slate-500 font-semibold">
+          Input (JSON)
+          {design ? (
+            <span className="normal-case font-normal">
+              {" "}
+              ([operations, arguments], e.g. [[&quot;{design.className}&quot;, &quot;{design.methods[0].name}&quot;], [[…], […]]])
+            </span>
+          ) : signature.spread ? (
+            <span className="normal-case font-normal">
+              {" "}
+              (array of arguments: [{signature.params.map((p) => p.name).join(", ")}])
+            </span>
+          ) : null}
+        </div>
+        <textarea
+          value={tc.input}
+          onChange={(e) => onChange({ input: e.target.value })}
+          spellCheck={false}
+          rows={3}
+          className={[field, inputError ? "border-rose-300" : "border-slate-200"].join(" ")}
+        />
+        {inputError && <div className="text-[10px] text-rose-600">{inputError}</div>}
+      </div>
+
+      <div className="space-y-1">
+        <div className="text-[10px] uppercase tracking-wide text-slate-500 font-semibold">
+          Expected Output <span className="normal-case font-normal">(optional: leave empty to just see the output)</span>
+        </div>
+        <textarea
+          value={tc.expectedOutput}
+          onChange={(e) => onChange({ expectedOutput: e.target.value })}
+          spellCheck={false}
+          rows={2}
+          className={[field, "border-slate-200"].join(" ")}
+        />
+      </div>
+
+      {virtualClock ? (
+        <div className="space-y-1">
+          <div className="text-[10px] uppercase tracking-wide text-slate-500 font-semibold">
+            Advance clock (ms) <span className="normal-case font-normal">(optional: empty runs until everything settled)</span>
           </div>
-        ))}
+          <input
+            value={tc.advanceMs ?? ""}
+            onChange={(e) => onChange({ advanceMs: e.target.value })}
+            inputMode="numeric"
+            placeholder="e.g. 500"
+            className={[field, "border-slate-200"].join(" ")}
+          />
+        </div>
+      ) : null}
+
+      <div className="flex items-center justify-between">
+        <div className="text-[10px] text-slate-400">Custom cases run with Run, not Submit.</div>
+        <button
+          onClick={onDelete}
+          className="text-[11px] px-2 py-1 rounded-lg bg-rose-50 text-rose-700 border border-rose-200 hover:bg-rose-100"
+        >
+          Delete
+        </button>
       </div>
     </div>
   );
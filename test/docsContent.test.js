@@ -0,0 +1,112 @@
+// test/docsContent.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { extractDocsContent, formatDocsForPrompt, loadDocsContent, trimToTokenBudget } from "@/app/lib/docsContent";
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/docs/${name}.html`, import.meta.url), "utf8");
+const allText = (content) => content.sections.map((s) => [s.heading, s.text, ...s.code].join("\n")).join("\n");
+
+describe("extractDocsContent", () => {
+  it("keeps the article header's title on MDN-style pages", () => {
+    const content = extractDocsContent(fixture("mdn-array-map"));
+    assert.equal(content.title, "Array.prototype.map() - JavaScript | MDN");
+    assert.deepEqual(
+      content.sections.map((s) => s.heading),
+      ["Array.prototype.map()", "Try it", "Syntax", "Parameters", "Return value", "Description"]
+    );
+    assert.match(content.sections[0].text, /^Baseline Widely available\nThe map\(\) method of Array instances/);
+  });
+
+  it("drops the site chrome around and inside the main region", () => {
+    const text = allText(extractDocsContent(fixture("mdn-array-map")));
+    const chromeText = [
+      "Skip to main content",
+      "References",
+      "Search MDN",
+      "Array.prototype.at()",
+      "In this article",
+      "Copy to Clipboard",
+      "Edit this page",
+      "blueprint",
+    ];
+    for (const chrome of chromeText) {
+      assert.ok(!text.includes(chrome), `unexpected "${chrome}"`);
+    }
+  });
+
+  it("keeps code samples verbatim, entities decoded", () => {
+    const [tryIt] = extractDocsContent(fixture("mdn-array-map")).sections.filter((s) => s.heading === "Try it");
+    assert.deepEqual(tryIt.code, [
+      "const array1 = [1, 4, 9, 16];\n\n// Pass a function to map\nconst map1 = array1.map((x) => x * 2);\n\nconsole.log(map1);\n// Expected output: Array [2, 8, 18, 32]",
+    ]);
+  });
+
+  it("strips the site header on pages without a main landmark", () => {
+    const content = extractDocsContent(fixture("plain-guide"));
+    assert.equal(content.title, "Rate limiting guide – Acme Docs");
+    assert.deepEqual(content.sections.map((s) => s.heading), ["Rate limiting", "Sliding windows", "Handling errors"]);
+    const text = allText(content);
+    for (const chrome of ["Acme Docs home", "API reference", "Copyright", "Was this page helpful?"]) {
+      assert.ok(!text.includes(chrome), `unexpected "${chrome}"`);
+    }
+    assert.equal(
+      content.sections[2].text,
+      "- Back off exponentially after repeated 429 responses.\n- Never retry requests that failed with HTTP 400."
+    );
+  });
+});
+
+describe("trimToTokenBudget", () => {
+  it("keeps whole sections in order and cuts the one over budget", () => {
+    const content = extractDocsContent(fixture("plain-guide"));
+    assert.equal(trimToTokenBudget(content).truncated, false);
+
+    const trimmed = trimToTokenBudget(content, 60);
+    assert.equal(trimmed.truncated, true);
+    assert.equal(trimmed.sections[0].text, content.sections[0].text);
+    assert.ok(trimmed.sections.length < content.sections.length);
+    assert.ok(trimmed.sections.at(-1).text.endsWith(" …"));
+  });
+});
+
+describe("loadDocsContent", () => {
+  it("extracts a page fetched through an offline fetcher", async () => {
+    const requested = [];
+    const fetcher = async (url) => {
+      requested.push(url);
+      return new Response(fixture("mdn-array-map"), { headers: { "content-type": "text/html; charset=utf-8" } });
+    };
+    const lookup = async () => [{ address: "93.184.216.34", family: 4 }];
+
+    const content = await loadDocsContent("https://developer.mozilla.org/en-US/docs/Array/map", { fetcher, lookup });
+    assert.deepEqual(requested, ["https://developer.mozilla.org/en-US/docs/Array/map"]);
+    assert.equal(content.sections[0].heading, "Array.prototype.map()");
+    assert.match(formatDocsForPrompt(content), /^\[S1\] Array\.prototype\.map\(\)\n/);
+    assert.match(formatDocsForPrompt(content), /\[S2\] Try it\n```\nconst array1/);
+  });
+});
+
+describe("extractDocsContent on hostile pages", () => {
+  // ~2 MB each (the extraction's input cap): unclosed elements, tags that never end, an open comment
+  const size = 2_000_000;
+  const pages = {
+    "unclosed nav": "<body>" + "<nav>".repeat(size / 5),
+    "unclosed main": "<main>".repeat(size / 6),
+    "unclosed article": "<article>".repeat(size / 9),
+    "unclosed role=main": '<div role="main">'.repeat(size / 17),
+    "unclosed pre and headings": "<pre><h2>".repeat(size / 9),
+    "unclosed title": "<title>".repeat(size / 7),
+    "tags without >": "<a x".repeat(size / 4),
+    "one endless tag": "<a " + "x".repeat(size),
+    "open comments": "<!--".repeat(size / 4),
+  };
+
+  for (const [name, html] of Object.entries(pages)) {
+    it(`handles ${name} in linear time`, () => {
+      const started = performance.now();
+      extractDocsContent(html);
+      assert.ok(performance.now() - started < 2_000, `took ${Math.round(performance.now() - started)}ms`);
+    });
+  }
+});
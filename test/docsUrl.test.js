@@ -0,0 +1,88 @@
+// test/docsUrl.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { fetchDocsPage, isPublicAddress, validateDocsUrl } from "@/app/lib/docsUrl";
+
+const resolvesTo = (...addresses) => async () => addresses.map((address) => ({ address }));
+
+describe("isPublicAddress", () => {
+  it("allows public IPv4 and IPv6", () => {
+    for (const ip of ["93.184.216.34", "2606:2800:220:1:248:1893:25c8:1946", "::ffff:93.184.216.34"]) {
+      assert.equal(isPublicAddress(ip), true, ip);
+    }
+  });
+
+  it("refuses private, loopback, link-local and reserved addresses", () => {
+    const v4 = ["127.0.0.1", "10.1.2.3", "172.16.0.1", "192.168.1.1", "169.254.169.254", "100.64.0.1", "0.0.0.0"];
+    for (const ip of v4) {
+      assert.equal(isPublicAddress(ip), false, ip);
+    }
+    for (const ip of ["::1", "::", "fe80::1", "fd00::1", "ff02::1", "2001:db8::1"]) {
+      assert.equal(isPublicAddress(ip), false, ip);
+    }
+  });
+
+  it("refuses IPv6 forms that carry an IPv4 address", () => {
+    for (const ip of [
+      "::ffff:169.254.169.254", // IPv4-mapped
+      "::ffff:7f00:1", // IPv4-mapped, hex
+      "::127.0.0.1", // IPv4-compatible
+      "64:ff9b::a9fe:a9fe", // NAT64
+      "64:ff9b:1::a00:1", // local-use NAT64
+      "2002:7f00:1::", // 6to4 around 127.0.0.1
+      "2002:a9fe:a9fe::1", // 6to4 around 169.254.169.254
+      "2001:0:4136:e378:8000:63bf:80ff:fffe", // Teredo around 127.0.0.1
+    ]) {
+      assert.equal(isPublicAddress(ip), false, ip);
+    }
+  });
+
+  it("refuses garbage", () => {
+    assert.equal(isPublicAddress("not-an-ip"), false);
+    assert.equal(isPublicAddress(""), false);
+  });
+});
+
+describe("validateDocsUrl", () => {
+  it("accepts a host that resolves only to public addresses", async () => {
+    const r = await validateDocsUrl(" https://docs.example.com/guide ", { lookup: resolvesTo("93.184.216.34") });
+    assert.deepEqual(r, { ok: true, value: "https://docs.example.com/guide" });
+  });
+
+  it("refuses hosts that resolve to an IPv4 address wrapped in IPv6", async () => {
+    for (const address of ["2002:7f00:1::", "::ffff:169.254.169.254", "2001:0:4136:e378:8000:63bf:80ff:fffe"]) {
+      const r = await validateDocsUrl("https://docs.example.com/", { lookup: resolvesTo("93.184.216.34", address) });
+      assert.deepEqual(r, { ok: false, error: "docsUrl must point to a public host" }, address);
+    }
+  });
+
+  it("refuses literal private addresses in any spelling", async () => {
+    for (const url of [
+      "http://127.0.0.1/",
+      "http://[::1]/",
+      "http://[::ffff:169.254.169.254]/latest/meta-data/",
+      "http://[2002:7f00:1::]/",
+      "http://[64:ff9b::7f00:1]/",
+    ]) {
+      const r = await validateDocsUrl(url);
+      assert.equal(r.ok, false, url);
+    }
+  });
+
+  it("refuses other schemes and credentials", async () => {
+    assert.equal((await validateDocsUrl("file:///etc/passwd")).ok, false);
+    const withCredentials = "https://user:pw@docs.example.com/";
+    assert.equal((await validateDocsUrl(withCredentials, { lookup: resolvesTo("93.184.216.34") })).ok, false);
+  });
+});
+
+describe("fetchDocsPage", () => {
+  it("re-checks redirect targets", async () => {
+    const location = "http://[2002:a9fe:a9fe::]/"; // 6to4 around 169.254.169.254
+    const fetcher = async () => new Response(null, { status: 302, headers: { location } });
+    await assert.rejects(
+      fetchDocsPage("https://docs.example.com/", { fetcher, lookup: resolvesTo("93.184.216.34") }),
+      /docsUrl must point to a public host/
+    );
+  });
+});
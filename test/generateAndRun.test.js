@@ -0,0 +1,105 @@
+// test/generateAndRun.test.js
+// generate -> submit through the route handlers, offline: the mock provider answers from its
+// fixtures and the local backend runs the code.
+import { after, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import dns from "node:dns";
+import fixtures from "@/app/lib/llm/fixtures/questions.json";
+import { POST as generate } from "@/app/api/generate-questions/route";
+import { POST as run } from "@/app/api/run/route";
+
+process.env.GENERATION_PROVIDER = "mock";
+process.env.EXECUTION_BACKEND = "local";
+
+const post = (handler, body) =>
+  handler(
+    new Request("http://localhost/api", {
+      method: "POST",
+      headers: { "content-type": "application/json", "x-forwarded-for": "198.18.0.1, 203.0.113.7" },
+      body: JSON.stringify(body),
+    })
+  );
+
+describe("generate -> run with the mock provider", () => {
+  let generated;
+
+  before(async () => {
+    // resolve the docs host to a public address, but fail the page fetch: the prompt falls back to the URL
+    mock.method(dns.promises, "lookup", async () => [{ address: "93.184.216.34", family: 4 }]);
+    mock.method(dns, "lookup", (hostname, options, callback) => callback(new Error("offline")));
+    mock.method(console, "warn", () => {});
+
+    const res = await post(generate, { docsUrl: "https://docs.example.com/arrays", language: "javascript", count: 3 });
+    assert.equal(res.status, 200);
+    generated = await res.json();
+  });
+
+  after(() => mock.restoreAll());
+
+  it("keeps every fixture question, verified against its reference solution", () => {
+    assert.deepEqual(
+      generated.questions.map((q) => q.title),
+      fixtures.questions.slice(0, 3).map((q) => q.title)
+    );
+    assert.equal(generated.grounding.grounded, false);
+    assert.deepEqual(generated.verification, { droppedCases: 0, discarded: [] });
+    for (const q of generated.questions) {
+      assert.equal(q.verified, true);
+      assert.equal(q.hiddenTestCases, undefined);
+      assert.equal(q.referenceSolution, undefined);
+      assert.ok(q.hiddenCount >= 2);
+    }
+  });
+
+  it("accepts the reference solution on submit and reports hidden cases by verdict only", async () => {
+    const [question] = generated.questions;
+    const res = await post(run, {
+      mode: "submit",
+      questionId: question.id,
+      language: "javascript",
+      code: fixtures.questions[0].referenceSolution.javascript,
+    });
+    assert.equal(res.status, 200);
+    const summary = await res.json();
+
+    assert.equal(summary.verdict, "accepted");
+    assert.equal(summary.total, question.testCases.length + question.hiddenCount);
+    const hidden = summary.results.filter((r) => r.hidden);
+    assert.equal(hidden.length, question.hiddenCount);
+    for (const r of hidden) {
+      assert.deepEqual(Object.keys(r).sort(), [
+        "hidden",
+        "memoryKb",
+        "name",
+        "passed",
+        "runtimeMs",
+        "skipped",
+        "verdict",
+      ]);
+    }
+  });
+
+  it("judges the starter code and runs design questions' operations", async () => {
+    const starter = await (
+      await post(run, {
+        mode: "submit",
+        questionId: generated.questions[0].id,
+        language: "javascript",
+        code: generated.questions[0].starterCode,
+      })
+    ).json();
+    assert.equal(starter.verdict, "wrong_answer");
+    assert.equal(starter.allPassed, false);
+
+    const design = generated.questions[2];
+    const res = await post(run, {
+      mode: "run",
+      questionId: design.id,
+      language: "javascript",
+      code: fixtures.questions[2].referenceSolution.javascript,
+    });
+    const summary = await res.json();
+    assert.equal(summary.verdict, "accepted");
+    assert.ok(summary.results[0].operations.length > 0);
+  });
+});
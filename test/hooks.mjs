@@ -0,0 +1,43 @@
+// test/hooks.mjs
+// Module hooks for the test run. Resolves the "@/..." alias from jsconfig.json and extensionless
+// imports the way Next does (index.js for directories), and loads the repo's .js files as ES modules
+// and its .json files as JSON modules, which Next's bundler assumes but Node doesn't.
+import { existsSync, statSync } from "node:fs";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+const ROOT = new URL("../", import.meta.url);
+const SRC = new URL("src/", ROOT);
+
+function resolveFile(url) {
+  const file = fileURLToPath(url);
+  for (const candidate of [file, `${file}.js`, `${file}/index.js`]) {
+    if (existsSync(candidate) && statSync(candidate).isFile()) return pathToFileURL(candidate).href;
+  }
+  return null;
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  const alias = specifier.startsWith("@/") ? resolveFile(new URL(specifier.slice(2), SRC)) : null;
+  const resolved = alias ? { url: alias, shortCircuit: true } : await resolvePackage(specifier, context, nextResolve);
+  return ownFile(resolved.url, ".json") ? { ...resolved, importAttributes: { type: "json" } } : resolved;
+}
+
+// "next/server" and friends are extensionless files outside any exports map
+async function resolvePackage(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (e) {
+    if (e?.code !== "ERR_MODULE_NOT_FOUND" || specifier.endsWith(".js")) throw e;
+    return nextResolve(`${specifier}.js`, context);
+  }
+}
+
+export async function load(url, context, nextLoad) {
+  if (ownFile(url, ".js")) return nextLoad(url, { ...context, format: "module" });
+  if (ownFile(url, ".json")) return nextLoad(url, { ...context, importAttributes: { type: "json" } });
+  return nextLoad(url, context);
+}
+
+function ownFile(url, extension) {
+  return url.startsWith(ROOT.href) && !url.includes("/node_modules/") && url.endsWith(extension);
+}
@@ -0,0 +1,121 @@
+// test/ip.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeIp, parseCidr, resolveClientIp, subnetKey } from "@/app/lib/ip";
+import { getClientIp, getRateLimitKey } from "@/app/lib/limiter";
+
+const ranges = (...cidrs) => cidrs.map(parseCidr);
+
+describe("resolveClientIp", () => {
+  it("ignores forged entries a client puts in front of x-forwarded-for", () => {
+    const forwardedFor = "6.6.6.6, 7.7.7.7, 203.0.113.5";
+    assert.equal(resolveClientIp({ forwardedFor, hops: 1 }), "203.0.113.5");
+  });
+
+  it("with 0 hops believes only a socket address (none in route handlers)", () => {
+    assert.equal(resolveClientIp({ forwardedFor: "6.6.6.6", hops: 0 }), null);
+    assert.equal(resolveClientIp({ realIp: "6.6.6.6", hops: 0 }), null);
+    assert.equal(resolveClientIp({ forwardedFor: "6.6.6.6", peer: "203.0.113.5", hops: 0 }), "203.0.113.5");
+  });
+
+  it("with 1 hop takes the entry the proxy appended", () => {
+    assert.equal(resolveClientIp({ forwardedFor: "203.0.113.5", hops: 1 }), "203.0.113.5");
+    assert.equal(resolveClientIp({ forwardedFor: "6.6.6.6, 203.0.113.5", peer: "10.0.0.2", hops: 1 }), "203.0.113.5");
+    assert.equal(resolveClientIp({ realIp: "203.0.113.5", hops: 1 }), "203.0.113.5");
+  });
+
+  it("with 2 hops skips the inner proxy's entry", () => {
+    const forwardedFor = "6.6.6.6, 203.0.113.5, 198.51.100.7";
+    assert.equal(resolveClientIp({ forwardedFor, hops: 2 }), "203.0.113.5");
+    assert.equal(resolveClientIp({ forwardedFor, hops: 1 }), "198.51.100.7");
+  });
+
+  it("skips addresses in trusted CIDRs beyond the counted hops", () => {
+    const forwardedFor = "6.6.6.6, 203.0.113.5, 10.1.2.3, 10.9.8.7";
+    assert.equal(resolveClientIp({ forwardedFor, hops: 1, trusted: ranges("10.0.0.0/8") }), "203.0.113.5");
+    assert.equal(resolveClientIp({ forwardedFor, hops: 1 }), "10.9.8.7");
+    // a spoofed "trusted" address left of the client isn't reached
+    assert.equal(
+      resolveClientIp({ forwardedFor: "10.0.0.1, 203.0.113.5", hops: 1, trusted: ranges("10.0.0.0/8") }),
+      "203.0.113.5"
+    );
+  });
+
+  it("stops at a garbage entry instead of walking past it", () => {
+    const forwardedFor = "6.6.6.6, not-an-ip, 203.0.113.5";
+    assert.equal(resolveClientIp({ forwardedFor, hops: 2 }), "203.0.113.5");
+    assert.equal(resolveClientIp({ forwardedFor: "not-an-ip", hops: 1 }), null);
+  });
+
+  it("treats IPv4-mapped IPv6 as IPv4", () => {
+    assert.equal(resolveClientIp({ forwardedFor: "::ffff:203.0.113.5", hops: 1 }), "203.0.113.5");
+    const forwardedFor = "203.0.113.5, ::ffff:10.0.0.9";
+    assert.equal(resolveClientIp({ forwardedFor, hops: 1, trusted: ranges("10.0.0.0/8") }), "203.0.113.5");
+    assert.equal(resolveClientIp({ forwardedFor, hops: 1, trusted: ranges("::ffff:10.0.0.0/104") }), "203.0.113.5");
+  });
+
+  it("accepts ports, brackets and zone ids", () => {
+    assert.equal(resolveClientIp({ forwardedFor: "203.0.113.5:5678", hops: 1 }), "203.0.113.5");
+    assert.equal(resolveClientIp({ forwardedFor: "[2001:DB8::1]:443", hops: 1 }), "2001:db8::1");
+    assert.equal(normalizeIp("fe80::1%eth0"), "fe80::1");
+  });
+});
+
+describe("subnetKey", () => {
+  it("groups IPv6 clients by their /64", () => {
+    assert.equal(subnetKey("2001:db8:1:2:aaaa::1"), "2001:db8:1:2::/64");
+    assert.equal(subnetKey("2001:db8:1:2:bbbb:cccc:dddd:eeee"), "2001:db8:1:2::/64");
+    assert.notEqual(subnetKey("2001:db8:1:3::1"), subnetKey("2001:db8:1:2::1"));
+  });
+
+  it("keeps IPv4 (and IPv4-mapped) addresses whole", () => {
+    assert.equal(subnetKey("203.0.113.5"), "203.0.113.5");
+    assert.equal(subnetKey("::ffff:203.0.113.5"), "203.0.113.5");
+    assert.equal(subnetKey("garbage"), null);
+  });
+});
+
+describe("getClientIp", () => {
+  const request = (headers) => new Request("http://localhost/api/run", { headers });
+  const withEnv = (t, env) => {
+    const saved = Object.fromEntries(Object.keys(env).map((k) => [k, process.env[k]]));
+    Object.assign(process.env, env);
+    t.after(() => {
+      for (const [k, v] of Object.entries(saved)) {
+        if (v === undefined) delete process.env[k];
+        else process.env[k] = v;
+      }
+    });
+  };
+
+  it("believes no proxy header by default, so rotating them doesn't give a fresh bucket", (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    for (const forged of ["6.6.6.6", "7.7.7.7", "2001:db8:1:2::99"]) {
+      assert.equal(getClientIp(request({ "x-forwarded-for": forged, "x-real-ip": forged })), "unknown");
+      assert.equal(getRateLimitKey(request({ "x-forwarded-for": forged })), "ip:unknown");
+    }
+    assert.equal(getRateLimitKey(request({})), "ip:unknown");
+    // warned once, not per request
+    assert.equal(warn.mock.callCount(), 1);
+  });
+
+  it("reads the proxy headers once TRUSTED_PROXY_HOPS is set", (t) => {
+    withEnv(t, { TRUSTED_PROXY_HOPS: "1" });
+    assert.equal(getClientIp(request({ "x-forwarded-for": "6.6.6.6, 203.0.113.5" })), "203.0.113.5");
+    assert.equal(getClientIp(request({ "x-real-ip": "203.0.113.5" })), "203.0.113.5");
+    assert.equal(getRateLimitKey(request({ "x-forwarded-for": "2001:db8:1:2::99" })), "ip:2001:db8:1:2::/64");
+  });
+
+  it("skips TRUSTED_PROXIES on top of the counted hops", (t) => {
+    withEnv(t, { TRUSTED_PROXY_HOPS: "2", TRUSTED_PROXIES: "10.0.0.0/8" });
+    const forwardedFor = "6.6.6.6, 203.0.113.5, 10.0.0.7, 10.0.0.8, 198.51.100.1";
+    assert.equal(getClientIp(request({ "x-forwarded-for": forwardedFor })), "203.0.113.5");
+  });
+
+  it("falls back to 0 hops on an invalid TRUSTED_PROXY_HOPS", (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    withEnv(t, { TRUSTED_PROXY_HOPS: "-1" });
+    assert.equal(getClientIp(request({ "x-forwarded-for": "203.0.113.5" })), "unknown");
+    assert.match(warn.mock.calls[0].arguments[0], /Ignoring invalid TRUSTED_PROXY_HOPS: -1/);
+  });
+});
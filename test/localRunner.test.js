@@ -0,0 +1,75 @@
+// test/localRunner.test.js
+// Process limits of the local execution backend.
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { runCases } from "@/app/lib/runCases";
+import { resolveSignature } from "@/app/lib/signature";
+
+process.env.EXECUTION_BACKEND = "local";
+
+const signature = resolveSignature({
+  signature: { name: "allocate", params: [{ name: "mb", type: "int" }], returnType: "int" },
+});
+
+describe("local runner memory", () => {
+  const code = "def allocate(mb):\n    block = bytearray(mb * 1024 * 1024)\n    return len(block) // (1024 * 1024)\n";
+  const run = (memoryLimitMb) =>
+    runCases({
+      language: "python",
+      code,
+      functionName: "allocate",
+      signature,
+      cases: [{ input: "[300]", expectedOutput: "300" }],
+      limits: { timeLimitMs: 5_000, memoryLimitMb },
+    });
+
+  it("lets a case use what the question allows, above the runner's default cap", async () => {
+    const summary = await run(512);
+    assert.equal(summary.verdict, "accepted", summary.results[0].stderr);
+  });
+
+  it("still reports the question's own limit", async () => {
+    const summary = await run(64);
+    assert.equal(summary.verdict, "memory_limit_exceeded");
+  });
+});
+
+describe("local runner cleanup", () => {
+  // true once `pid` is gone (or a zombie nobody has reaped yet)
+  const gone = (pid) => {
+    try {
+      process.kill(pid, 0);
+    } catch {
+      return true;
+    }
+    try {
+      return /^\d+ \(.*\) Z/.test(readFileSync(`/proc/${pid}/stat`, "utf8"));
+    } catch {
+      return true;
+    }
+  };
+
+  it("kills processes the solution leaves behind", async () => {
+    // the child lets go of stdout/stderr, so nothing holds the run open
+    const code =
+      "import os, time\n" +
+      "def allocate(mb):\n" +
+      "    pid = os.fork()\n" +
+      "    if pid == 0:\n" +
+      "        os.close(1); os.close(2); time.sleep(30); os._exit(0)\n" +
+      "    return pid\n";
+    const summary = await runCases({
+      language: "python",
+      code,
+      functionName: "allocate",
+      signature,
+      cases: [{ input: "[1]", expectedOutput: "0" }],
+      limits: { timeLimitMs: 5_000, memoryLimitMb: 64 },
+    });
+    const pid = Number(summary.results[0].actualOutput);
+    assert.ok(pid > 0, summary.results[0].stderr);
+    for (let i = 0; i < 20 && !gone(pid); i++) await new Promise((r) => setTimeout(r, 50));
+    assert.ok(gone(pid), `process ${pid} outlived the run`);
+  });
+});
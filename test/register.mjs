@@ -0,0 +1,5 @@
+// test/register.mjs
+// Loaded with `node --import` before the tests: lets plain Node import the app's modules.
+import { register } from "node:module";
+
+register("./hooks.mjs", import.meta.url);
@@ -0,0 +1,42 @@
+// test/runRequest.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { prepareRun } from "@/app/lib/runRequest";
+import { saveQuestionSet } from "@/app/lib/problemStore";
+
+const question = {
+  title: "Sum",
+  difficulty: "beginner",
+  signature: { name: "sum", params: [{ name: "a", type: "int[]" }], returnType: "int" },
+  functionName: "sum",
+  testCases: [{ name: "Case 1", input: "[[1,2]]", expectedOutput: "3" }],
+  hiddenTestCases: [{ name: "Hidden 1", input: "[[]]", expectedOutput: "0" }],
+  performance: null,
+};
+const store = () => saveQuestionSet({ language: "javascript", docsUrl: "https://example.com", questions: [question] });
+const code = "export function sum(a) {\n  return a.reduce((x, y) => x + y, 0);\n}\n";
+
+describe("prepareRun", () => {
+  it("reports an expired set as 404 for submit and benchmark alike", () => {
+    for (const mode of ["submit", "performance"]) {
+      const run = prepareRun({ mode, questionId: "gone:0", language: "javascript", code });
+      assert.equal(run.ok, false);
+      assert.equal(run.status, 404, mode);
+      assert.match(run.error, /expired/);
+    }
+  });
+
+  it("only says there is no benchmark when the stored question has none", () => {
+    const { questions } = store();
+    const run = prepareRun({ mode: "performance", questionId: questions[0].id, language: "javascript", code });
+    assert.deepEqual(run, { ok: false, error: "This question has no performance benchmark.", status: 400 });
+  });
+
+  it("runs the stored visible cases, and the hidden ones on submit", () => {
+    const { questions } = store();
+    const run = prepareRun({ mode: "run", questionId: questions[0].id, language: "javascript", code });
+    assert.deepEqual(run.cases.map((c) => c.name), ["Case 1"]);
+    const submit = prepareRun({ mode: "submit", questionId: questions[0].id, language: "javascript", code });
+    assert.deepEqual(submit.cases.map((c) => [c.name, c.hidden]), [["Case 1", false], ["Hidden 1", true]]);
+  });
+});
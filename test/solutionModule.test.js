@@ -0,0 +1,99 @@
+// test/solutionModule.test.js
+// The JS/TS harness loads the user's code as its own module; every usual way of declaring the
+// function (or class) has to be found. Runs on the local backend.
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { runCases } from "@/app/lib/runCases";
+import { resolveSignature } from "@/app/lib/signature";
+import { resolveDesign } from "@/app/lib/design";
+
+process.env.EXECUTION_BACKEND = "local";
+
+const signature = resolveSignature({
+  signature: {
+    name: "add",
+    params: [
+      { name: "a", type: "int" },
+      { name: "b", type: "int" },
+    ],
+    returnType: "int",
+  },
+});
+const cases = [
+  { input: "[1, 2]", expectedOutput: "3" },
+  { input: "[-5, 5]", expectedOutput: "0" },
+];
+
+const STYLES = {
+  "export function": {
+    javascript: "export function add(a, b) {\n  return a + b;\n}\n",
+    typescript: "export function add(a: number, b: number): number {\n  return a + b;\n}\n",
+  },
+  "plain function": {
+    javascript: "function add(a, b) {\n  return a + b;\n}\n",
+    typescript: "function add(a: number, b: number): number {\n  return a + b;\n}\n",
+  },
+  "const arrow": {
+    javascript: "const add = (a, b) => a + b;\n",
+    typescript: "const add = (a: number, b: number): number => a + b;\n",
+  },
+  "default export": {
+    javascript: "export default function (a, b) {\n  return a + b;\n}\n",
+    typescript: "export default function (a: number, b: number): number {\n  return a + b;\n}\n",
+  },
+  class: {
+    javascript: "class Solution {\n  add(a, b) {\n    return a + b;\n  }\n}\n",
+    typescript: "class Solution {\n  add(a: number, b: number): number {\n    return a + b;\n  }\n}\n",
+  },
+};
+
+const run = (language, code) => runCases({ language, code, functionName: "add", signature, cases });
+
+for (const language of ["javascript", "typescript"]) {
+  describe(`${language} solution module`, () => {
+    for (const [style, code] of Object.entries(STYLES)) {
+      it(`finds the function declared as ${style}`, async () => {
+        const summary = await run(language, code[language]);
+        assert.equal(summary.verdict, "accepted", summary.results[0].stderr);
+      });
+    }
+
+    it("finds a design question's class whether exported or not", async () => {
+      const design = resolveDesign({
+        design: {
+          className: "Counter",
+          constructorParams: [{ name: "start", type: "int" }],
+          methods: [{ name: "next", params: [], returnType: "int" }],
+        },
+      });
+      const body = language === "typescript" ? "n: number;\n  constructor(start: number)" : "constructor(start)";
+      const cls = `class Counter {\n  ${body} {\n    this.n = start;\n  }\n  next() {\n    return ++this.n;\n  }\n}\n`;
+      for (const code of [cls, `export ${cls}`]) {
+        const summary = await runCases({
+          language,
+          code,
+          functionName: "Counter",
+          design,
+          cases: [{ input: '[["Counter","next","next"],[[5],[],[]]]', expectedOutput: "[null,6,7]" }],
+        });
+        assert.equal(summary.verdict, "accepted", summary.results[0].stderr);
+      }
+    });
+
+    it("explains a missing export", async () => {
+      const summary = await run(language, "export function sum(a, b) {\n  return a + b;\n}\n");
+      assert.equal(summary.verdict, "compile_error");
+      const { stderr } = summary.results[0];
+      assert.match(stderr, /^Missing export: no add\(\) found in your code\./);
+      assert.match(stderr, /Define it as: export function add\(a, b\)/);
+      assert.match(stderr, /Your module exports: sum\./);
+    });
+
+    it("reports a syntax error as a parse failure", async () => {
+      const summary = await run(language, "export function add(a, b) {\n  return a +;\n}\n");
+      assert.equal(summary.verdict, "compile_error");
+      assert.match(summary.results[0].stderr, /^Your code does not parse:/);
+      if (language === "typescript") assert.match(summary.results[0].stderr, /solution\.ts\(2,\d+\): error TS1109/);
+    });
+  });
+}
@@ -0,0 +1,64 @@
+// test/sse.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { formatSseEvent, readSseStream } from "@/app/lib/sse";
+
+// A response whose body streams `chunks`, then stays open until cancelled.
+function streamingResponse(chunks) {
+  const state = { cancelled: false };
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    start(controller) {
+      for (const c of chunks) controller.enqueue(encoder.encode(c));
+    },
+    cancel() {
+      state.cancelled = true;
+    },
+  });
+  return { res: new Response(body), state };
+}
+
+describe("readSseStream", () => {
+  it("passes each event's JSON data, and non-JSON data as text", async () => {
+    const res = new Response(
+      formatSseEvent("start", { total: 2 }) + "event: note\ndata: plain text\n\n" + formatSseEvent("done", { ok: true })
+    );
+    const events = [];
+    await readSseStream(res, (event, data) => events.push([event, data]));
+    assert.deepEqual(events, [
+      ["start", { total: 2 }],
+      ["note", "plain text"],
+      ["done", { ok: true }],
+    ]);
+  });
+
+  it("joins events split across chunks", async () => {
+    const text = formatSseEvent("case", { index: 0, result: { passed: true } });
+    const res = new Response(
+      new ReadableStream({
+        start(controller) {
+          controller.enqueue(new TextEncoder().encode(text.slice(0, 10)));
+          controller.enqueue(new TextEncoder().encode(text.slice(10)));
+          controller.close();
+        },
+      })
+    );
+    const events = [];
+    await readSseStream(res, (event, data) => events.push([event, data]));
+    assert.deepEqual(events, [["case", { index: 0, result: { passed: true } }]]);
+  });
+
+  it("lets a handler's error through once and cancels the stream", async () => {
+    const { res, state } = streamingResponse([formatSseEvent("error", { error: "Code is too long" })]);
+    const calls = [];
+    await assert.rejects(
+      readSseStream(res, (event, data) => {
+        calls.push(data);
+        throw new Error(data.error);
+      }),
+      /Code is too long/
+    );
+    assert.deepEqual(calls, [{ error: "Code is too long" }]);
+    assert.equal(state.cancelled, true);
+  });
+});